@@ -0,0 +1,130 @@
+// backend/address.js
+/**
+ * Ergo address decoding.
+ *
+ * An address is Base58( prefix | content | checksum ) where
+ *   prefix   = network byte (0x00 mainnet, 0x10 testnet) + address type (1 P2PK, 2 P2SH, 3 P2S)
+ *   checksum = first 4 bytes of blake2b256(prefix | content)
+ * and content is the public key (P2PK), the script hash (P2SH) or the ErgoTree itself (P2S).
+ */
+
+const { blake2b } = require('blakejs');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_MAP = new Map(Array.from(BASE58_ALPHABET).map((c, i) => [c, BigInt(i)]));
+
+const NETWORKS = { 0x00: 'mainnet', 0x10: 'testnet' };
+const ADDRESS_TYPES = { 1: 'P2PK', 2: 'P2SH', 3: 'P2S' };
+const CHECKSUM_LENGTH = 4;
+
+// ErgoTree templates for the non-script address types
+const P2PK_TREE_PREFIX = '0008cd';
+const P2SH_TREE_PREFIX = '00ea02d193b4cbe4e3010e040004300e18';
+const P2SH_TREE_SUFFIX = 'd40801';
+
+function base58Decode(str) {
+  let n = 0n;
+  for (const c of str) {
+    const v = BASE58_MAP.get(c);
+    if (v === undefined) throw new Error(`invalid Base58 character '${c}'`);
+    n = n * 58n + v;
+  }
+  let hex = n === 0n ? '' : n.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  // every leading '1' is a leading zero byte
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === '1') zeros++;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
+
+function base58Encode(buf) {
+  let n = buf.length ? BigInt('0x' + buf.toString('hex')) : 0n;
+  let out = '';
+  while (n > 0n) {
+    out = BASE58_ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (let i = 0; i < buf.length && buf[i] === 0; i++) out = '1' + out;
+  return out;
+}
+
+function blake2b256(buf) {
+  return Buffer.from(blake2b(buf, undefined, 32));
+}
+
+function ergoTreeFor(type, content) {
+  const hex = content.toString('hex');
+  if (type === 'P2PK') return P2PK_TREE_PREFIX + hex;
+  if (type === 'P2SH') return P2SH_TREE_PREFIX + hex + P2SH_TREE_SUFFIX;
+  return hex;
+}
+
+function encodeAddress(network, type, content) {
+  const netByte = Object.keys(NETWORKS).find(k => NETWORKS[k] === network);
+  if (netByte === undefined) throw new Error(`unknown network ${network}`);
+  const typeByte = Object.keys(ADDRESS_TYPES).find(k => ADDRESS_TYPES[k] === type);
+  const body = Buffer.concat([Buffer.from([Number(netByte) + Number(typeByte)]), content]);
+  const checksum = blake2b256(body).subarray(0, CHECKSUM_LENGTH);
+  return base58Encode(Buffer.concat([body, checksum]));
+}
+
+// P2PK address for a compressed public key (hex) on the given network
+function p2pkAddress(publicKeyHex, network = 'testnet') {
+  return encodeAddress(network, 'P2PK', Buffer.from(publicKeyHex, 'hex'));
+}
+
+// address for an ErgoTree (hex): P2PK / P2SH when the tree matches their template, P2S otherwise
+function addressFromErgoTree(treeHex, network = 'testnet') {
+  const tree = String(treeHex || '').toLowerCase();
+  if (tree.startsWith(P2PK_TREE_PREFIX) && tree.length === P2PK_TREE_PREFIX.length + 66) {
+    return encodeAddress(network, 'P2PK', Buffer.from(tree.slice(P2PK_TREE_PREFIX.length), 'hex'));
+  }
+  if (tree.startsWith(P2SH_TREE_PREFIX) && tree.endsWith(P2SH_TREE_SUFFIX) && tree.length === P2SH_TREE_PREFIX.length + 48 + P2SH_TREE_SUFFIX.length) {
+    return encodeAddress(network, 'P2SH', Buffer.from(tree.slice(P2SH_TREE_PREFIX.length, -P2SH_TREE_SUFFIX.length), 'hex'));
+  }
+  return encodeAddress(network, 'P2S', Buffer.from(tree, 'hex'));
+}
+
+/**
+ * Decode and check an address. Never throws: returns { valid: false, error } for bad input,
+ * otherwise { valid: true, network, type, prefixByte, ergoTree, ... }.
+ */
+function inspectAddress(raw) {
+  const address = String(raw || '').replace(/\s/g, '');
+  if (!address) return { valid: false, address, error: 'empty address' };
+
+  let bytes;
+  try {
+    bytes = base58Decode(address);
+  } catch (err) {
+    return { valid: false, address, error: err.message };
+  }
+  if (bytes.length < 1 + CHECKSUM_LENGTH + 1) return { valid: false, address, error: 'address too short' };
+
+  const body = bytes.subarray(0, bytes.length - CHECKSUM_LENGTH);
+  const checksum = bytes.subarray(bytes.length - CHECKSUM_LENGTH);
+  const expected = blake2b256(body).subarray(0, CHECKSUM_LENGTH);
+  if (!checksum.equals(expected)) return { valid: false, address, error: 'checksum mismatch' };
+
+  const prefixByte = body[0];
+  const network = NETWORKS[prefixByte & 0xf0] || null;
+  const type = ADDRESS_TYPES[prefixByte & 0x0f] || null;
+  if (!network) return { valid: false, address, prefixByte, error: `unknown network prefix 0x${(prefixByte & 0xf0).toString(16)}` };
+  if (!type) return { valid: false, address, prefixByte, network, error: `unknown address type ${prefixByte & 0x0f}` };
+
+  const content = body.subarray(1);
+  if (type === 'P2PK' && content.length !== 33) return { valid: false, address, prefixByte, network, type, error: 'P2PK public key must be 33 bytes' };
+  if (type === 'P2SH' && content.length !== 24) return { valid: false, address, prefixByte, network, type, error: 'P2SH hash must be 24 bytes' };
+
+  return {
+    valid: true,
+    address,
+    network,
+    type,
+    prefixByte,
+    contentHex: content.toString('hex'),
+    ergoTree: ergoTreeFor(type, content)
+  };
+}
+
+module.exports = { inspectAddress, p2pkAddress, addressFromErgoTree, base58Decode, base58Encode, blake2b256 };
@@ -0,0 +1,204 @@
+// backend/aggregate.js
+// BigInt aggregation helpers shared by the summary and history routes.
+
+function toBig(v) {
+  try { return BigInt(v || 0); } catch (e) { return 0n; }
+}
+
+// total nanoERG + per-token totals over a list of explorer boxes
+function sumBoxes(items) {
+  let totalNanoErg = 0n;
+  const tokenMap = new Map();
+  (items || []).forEach(it => {
+    totalNanoErg += toBig(it.value);
+    (it.assets || []).forEach(a => {
+      const id = String(a.tokenId);
+      tokenMap.set(id, (tokenMap.get(id) || 0n) + toBig(a.amount));
+    });
+  });
+  const tokens = Array.from(tokenMap.entries()).map(([tokenId, amount]) => ({ tokenId, amount: amount.toString() }));
+  return { totalNanoErg, tokens };
+}
+
+// raw integer amount -> exact decimal string using the token's decimals ('1500', 3 -> '1.5')
+function formatUnits(amount, decimals) {
+  const a = toBig(amount);
+  const d = Number(decimals) || 0;
+  if (d <= 0) return a.toString();
+  const neg = a < 0n;
+  const digits = (neg ? -a : a).toString().padStart(d + 1, '0');
+  const whole = digits.slice(0, digits.length - d);
+  const frac = digits.slice(digits.length - d).replace(/0+$/, '');
+  return `${neg ? '-' : ''}${whole}${frac ? '.' + frac : ''}`;
+}
+
+// decimal string -> raw integer amount (inverse of formatUnits); throws on malformed input
+// or more fractional digits than `decimals` allows ('1.5', 3 -> 1500n)
+function parseUnits(str, decimals) {
+  const m = /^(-)?(\d*)(?:\.(\d*))?$/.exec(String(str).trim());
+  if (!m || (!m[2] && !m[3])) throw new Error(`invalid amount '${str}'`);
+  const d = Number(decimals) || 0;
+  const frac = (m[3] || '').replace(/0+$/, '');
+  if (frac.length > d) throw new Error(`amount '${str}' has more than ${d} decimals`);
+  const n = BigInt((m[2] || '0') + frac.padEnd(d, '0'));
+  return m[1] ? -n : n;
+}
+
+// net effect of a transaction on one address: outputs to it minus inputs from it.
+// Returns strings so the result can go straight into JSON.
+function txDelta(tx, address) {
+  let net = 0n;
+  const tokenMap = new Map();
+  const add = (id, amt) => tokenMap.set(id, (tokenMap.get(id) || 0n) + amt);
+  let ownInputs = 0;
+  let ownOutputs = 0;
+
+  (tx.inputs || []).forEach(inp => {
+    if (inp.address !== address) return;
+    ownInputs++;
+    net -= toBig(inp.value);
+    (inp.assets || []).forEach(a => add(String(a.tokenId), -toBig(a.amount)));
+  });
+  (tx.outputs || []).forEach(out => {
+    if (out.address !== address) return;
+    ownOutputs++;
+    net += toBig(out.value);
+    (out.assets || []).forEach(a => add(String(a.tokenId), toBig(a.amount)));
+  });
+
+  const tokens = Array.from(tokenMap.entries())
+    .filter(([, amt]) => amt !== 0n)
+    .map(([tokenId, amt]) => ({ tokenId, delta: amt.toString() }));
+
+  // 'self' = nothing moved in or out (e.g. the address only paid itself)
+  let direction = 'self';
+  if (ownInputs === 0) direction = 'in';
+  else if (net < 0n) direction = 'out';
+  else if (net > 0n) direction = 'in';
+  else if (tokens.some(t => !t.delta.startsWith('-'))) direction = 'in';
+  else if (tokens.length) direction = 'out';
+
+  return { netNanoErg: net.toString(), tokens, direction, ownInputs, ownOutputs };
+}
+
+// Balance over time for one address, replayed from its confirmed transactions (each tx
+// creates and/or spends some of the address's boxes). `tokenIds` picks the token balances
+// to track next to ERG. A point is emitted per tx; with `from` the balance carried into
+// the window becomes its first point. x is the block height or the timestamp (ms).
+function balanceSeries(txs, address, { tokenIds = [], axis = 'time', from = null, to = null } = {}) {
+  const xOf = tx => (axis === 'height' ? Number(tx.inclusionHeight) : Number(tx.timestamp));
+  const confirmed = (txs || [])
+    .filter(tx => tx && tx.inclusionHeight)
+    .sort((a, b) => (a.inclusionHeight - b.inclusionHeight) || ((a.timestamp || 0) - (b.timestamp || 0)) || ((a.index || 0) - (b.index || 0)));
+
+  const tracked = new Set(tokenIds);
+  let nano = 0n;
+  const balances = new Map(tokenIds.map(id => [id, 0n]));
+  const snapshot = (x, extra) => Object.assign({
+    x,
+    nanoErg: nano.toString(),
+    tokens: Object.fromEntries(Array.from(balances.entries()).map(([id, amt]) => [id, amt.toString()]))
+  }, extra);
+
+  const points = [];
+  let carried = false;
+  for (const tx of confirmed) {
+    const x = xOf(tx);
+    if (to !== null && x > to) break;
+    const d = txDelta(tx, address);
+    if (from !== null && x < from) {
+      nano += toBig(d.netNanoErg);
+      d.tokens.forEach(t => { if (tracked.has(t.tokenId)) balances.set(t.tokenId, balances.get(t.tokenId) + toBig(t.delta)); });
+      carried = true;
+      continue;
+    }
+    if (carried && points.length === 0) points.push(snapshot(from, { carried: true }));
+    nano += toBig(d.netNanoErg);
+    d.tokens.forEach(t => { if (tracked.has(t.tokenId)) balances.set(t.tokenId, balances.get(t.tokenId) + toBig(t.delta)); });
+    points.push(snapshot(x, { txId: tx.id, height: tx.inclusionHeight, timestamp: tx.timestamp ?? null }));
+  }
+  // nothing happened inside the window: the balance was flat at its carried value
+  if (carried && points.length === 0) points.push(snapshot(from, { carried: true }));
+  return points;
+}
+
+// Reduce a step series to about `maxPoints` points: split the x range into equal buckets and
+// keep the last point of each (the balance the bucket ends with). The first point always stays.
+function downsampleSeries(points, maxPoints) {
+  if (points.length <= maxPoints || maxPoints < 2) return points;
+  const x0 = points[0].x;
+  const span = points[points.length - 1].x - x0 || 1;
+  const out = [points[0]];
+  let lastBucket = -1;
+  for (let i = 1; i < points.length; i++) {
+    const bucket = Math.min(maxPoints - 2, Math.floor(((points[i].x - x0) / span) * (maxPoints - 1)));
+    if (bucket === lastBucket) out[out.length - 1] = points[i];
+    else out.push(points[i]);
+    lastBucket = bucket;
+  }
+  return out;
+}
+
+// miners' fee contract: a tx pays its fee by creating an output guarded by this ErgoTree
+const FEE_ERGO_TREE = '1005040004000e36100204a00b08cd0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798ea02d192a39a8cc7a701730073011001020402d19683030193a38cc7b2a57300000193c2b2a57301007473027303830108cdeeac93b1a57304';
+
+function isFeeOutput(out) {
+  return Boolean(out) && out.ergoTree === FEE_ERGO_TREE;
+}
+
+// total nanoERG sent to the fee contract (string)
+function txFee(tx) {
+  return (tx.outputs || []).filter(isFeeOutput).reduce((sum, out) => sum + toBig(out.value), 0n).toString();
+}
+
+// box list query used by the paged UTXO route: min value (nanoERG), tokenId substring, sort
+const BOX_SORTS = ['value_desc', 'value_asc', 'height_desc', 'height_asc'];
+
+function cmpBig(a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function filterAndSortBoxes(items, { minValue = 0n, token = '', sort = '' } = {}) {
+  let list = (items || []).filter(it => toBig(it.value) >= minValue);
+  if (token) list = list.filter(it => (it.assets || []).some(a => String(a.tokenId).includes(token)));
+  if (sort === 'value_desc') list.sort((a, b) => cmpBig(toBig(b.value), toBig(a.value)));
+  if (sort === 'value_asc') list.sort((a, b) => cmpBig(toBig(a.value), toBig(b.value)));
+  if (sort === 'height_desc') list.sort((a, b) => Number(b.creationHeight || 0) - Number(a.creationHeight || 0));
+  if (sort === 'height_asc') list.sort((a, b) => Number(a.creationHeight || 0) - Number(b.creationHeight || 0));
+  return list;
+}
+
+// part / whole as a percentage string with `digits` decimals (truncated), exact for any size ('1', '3' -> '33.3333')
+function percentOf(part, whole, digits = 4) {
+  const w = toBig(whole);
+  if (w <= 0n) return null;
+  const scale = 10n ** BigInt(digits);
+  const scaled = (toBig(part) * 100n * scale) / w;
+  const whole100 = scaled / scale;
+  const frac = (scaled % scale).toString().padStart(digits, '0');
+  return digits > 0 ? `${whole100}.${frac}` : whole100.toString();
+}
+
+// per-address totals of one token over a list of (unspent) boxes, largest holder first.
+// Returns the circulating amount seen in those boxes alongside the holder list.
+function tokenHolders(items, tokenId) {
+  const id = String(tokenId);
+  const byAddress = new Map();
+  let circulating = 0n;
+  (items || []).forEach(it => {
+    const amount = (it.assets || []).filter(a => String(a.tokenId) === id).reduce((sum, a) => sum + toBig(a.amount), 0n);
+    if (amount === 0n) return;
+    circulating += amount;
+    const key = it.address || it.ergoTree || '?';
+    const entry = byAddress.get(key) || { address: key, amount: 0n, boxCount: 0 };
+    entry.amount += amount;
+    entry.boxCount++;
+    byAddress.set(key, entry);
+  });
+  const holders = Array.from(byAddress.values())
+    .sort((a, b) => cmpBig(b.amount, a.amount) || a.address.localeCompare(b.address))
+    .map(h => ({ address: h.address, amount: h.amount.toString(), boxCount: h.boxCount }));
+  return { circulating: circulating.toString(), holders };
+}
+
+module.exports = { toBig, formatUnits, parseUnits, sumBoxes, txDelta, balanceSeries, downsampleSeries, isFeeOutput, txFee, BOX_SORTS, filterAndSortBoxes, percentOf, tokenHolders };
@@ -0,0 +1,401 @@
+// backend/alerts.js
+/**
+ * Balance-change alerts delivered to webhooks.
+ *
+ * Rules live in a JSON file and are checked on a timer. Each check loads the unspent
+ * boxes of every address that has enabled rules (once per address) and evaluates:
+ *   erg_below      ERG balance drops below `thresholdNanoErg`
+ *   erg_above      ERG balance rises above `thresholdNanoErg`
+ *   token_received any token amount went up (or a new token arrived)
+ *   token_changed  the amount of `tokenId` changed
+ *   new_box        a box the rule has not seen yet appeared
+ * Threshold rules fire when the condition becomes true; the others compare against the
+ * state saved by the previous check, so the first check only records a baseline.
+ *
+ * A firing rule POSTs a JSON payload to its webhook (or the default one), retrying
+ * network errors, 429 and 5xx with exponential backoff.
+ *
+ * Webhooks on loopback, link-local or private hosts are refused unless `allowPrivateWebhooks`
+ * is set: the URL is checked when a rule is saved and again before each delivery, and
+ * webhookAgent() refuses host names that resolve to such an address at connect time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { toBig, parseUnits, sumBoxes } = require('./aggregate');
+
+const RULE_TYPES = ['erg_below', 'erg_above', 'token_received', 'token_changed', 'new_box'];
+const FILE_VERSION = 1;
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_RULE';
+  return e;
+}
+
+// loopback, link-local, private (RFC 1918, CGNAT, IPv6 ULA) and unspecified addresses
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (net.isIPv6(ip)) {
+    const v = ip.toLowerCase();
+    // IPv4-mapped, dotted (::ffff:127.0.0.1) or as URL parsing writes it (::ffff:7f00:1)
+    const dotted = v.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return isPrivateAddress(dotted[1]);
+    const hex = v.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+      const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+    }
+    return v === '::' || v === '::1' || /^f[cd]/.test(v) || /^fe[89ab]/.test(v);
+  }
+  return false;
+}
+
+function checkWebhookUrl(url, { allowPrivate = false } = {}) {
+  let u;
+  try { u = new URL(url); } catch (e) { throw invalid('webhookUrl is not a valid URL'); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw invalid('webhookUrl must be http(s)');
+  const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+    throw invalid('webhookUrl must not point at a loopback, link-local or private host');
+  }
+  return u.toString();
+}
+
+// node-fetch `agent` option for webhook deliveries: host names that resolve to a private
+// address fail to connect (literal IPs never reach `lookup`; checkWebhookUrl covers those)
+function webhookAgent({ allowPrivate = false } = {}) {
+  const lookup = (hostname, options, callback) => dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const all = Array.isArray(address) ? address : [{ address, family }];
+    if (!allowPrivate && all.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`webhook host ${hostname} resolves to a private address`), { code: 'EPRIVATEHOST' }));
+    }
+    return callback(null, address, family);
+  });
+  const agents = { 'http:': new http.Agent({ lookup }), 'https:': new https.Agent({ lookup }) };
+  return parsedUrl => agents[parsedUrl.protocol];
+}
+
+function createAlertManager({
+  filePath,
+  loadBoxes,
+  postJson,
+  defaultWebhookUrl = null,
+  intervalMs = 60 * 1000,
+  maxAttempts = 5,
+  retryBaseMs = 2000,
+  maxRules = 100,
+  allowPrivateWebhooks = false
+}) {
+  // id -> rule
+  const rules = new Map();
+  const deliveries = new Set();
+  let timer = null;
+  let checking = false;
+  let lastCheckAt = null;
+  let saveChain = Promise.resolve();
+
+  // --- persistence ---
+  function restore() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || parsed.version !== FILE_VERSION || !Array.isArray(parsed.rules)) return;
+      parsed.rules.forEach(r => { if (r && r.id) rules.set(r.id, r); });
+    } catch (err) {
+      console.error('[alerts] could not read', filePath, err && err.message);
+    }
+  }
+
+  // writes are chained so two saves never interleave on the tmp file
+  function save() {
+    if (!filePath) return Promise.resolve();
+    const data = JSON.stringify({ version: FILE_VERSION, savedAt: Date.now(), rules: Array.from(rules.values()) }, null, 2);
+    saveChain = saveChain.then(async () => {
+      const tmp = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, filePath);
+    }).catch(err => console.error('[alerts] save failed:', err && err.message));
+    return saveChain;
+  }
+
+  // --- rule validation ---
+  // builds the stored fields from user input; `base` is the existing rule on update
+  function normalize(input, base = null) {
+    const src = Object.assign({}, base || {}, input || {});
+    const type = String(src.type || '');
+    if (!RULE_TYPES.includes(type)) throw invalid(`type must be one of ${RULE_TYPES.join('|')}`);
+
+    const rule = {
+      type,
+      label: src.label ? String(src.label).slice(0, 80) : '',
+      enabled: src.enabled !== false,
+      webhookUrl: src.webhookUrl ? checkWebhookUrl(String(src.webhookUrl), { allowPrivate: allowPrivateWebhooks }) : null
+    };
+    if (!rule.webhookUrl && !defaultWebhookUrl) throw invalid('webhookUrl is required (no ALERT_WEBHOOK_URL configured)');
+
+    if (type === 'erg_below' || type === 'erg_above') {
+      let threshold;
+      try {
+        // `thresholdErg` (decimal ERG) wins over an already stored nanoERG value
+        threshold = input && input.thresholdErg !== undefined && input.thresholdErg !== ''
+          ? parseUnits(input.thresholdErg, 9)
+          : BigInt(src.thresholdNanoErg);
+      } catch (e) {
+        throw invalid('thresholdErg (ERG) or thresholdNanoErg is required');
+      }
+      if (threshold < 0n) throw invalid('threshold must not be negative');
+      rule.thresholdNanoErg = threshold.toString();
+    }
+    if (type === 'token_changed') {
+      const tokenId = String(src.tokenId || '').trim().toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(tokenId)) throw invalid('tokenId must be 64 hex characters');
+      rule.tokenId = tokenId;
+    }
+    return rule;
+  }
+
+  function list({ address = null } = {}) {
+    return Array.from(rules.values()).filter(r => !address || r.address === address);
+  }
+
+  function get(id) {
+    return rules.get(id) || null;
+  }
+
+  // `address` must already be validated by the caller
+  async function create(address, input) {
+    if (rules.size >= maxRules) throw invalid(`too many rules (max ${maxRules})`);
+    const rule = Object.assign({
+      id: crypto.randomBytes(8).toString('hex'),
+      address,
+      createdAt: Date.now()
+    }, normalize(input), { state: null, lastCheckedAt: null, lastTriggeredAt: null, lastDelivery: null });
+    rules.set(rule.id, rule);
+    await save();
+    return rule;
+  }
+
+  async function update(id, input) {
+    const cur = rules.get(id);
+    if (!cur) return null;
+    const next = Object.assign({}, cur, normalize(input, cur), { updatedAt: Date.now() });
+    // a different condition needs a fresh baseline
+    if (next.type !== cur.type || next.thresholdNanoErg !== cur.thresholdNanoErg || next.tokenId !== cur.tokenId) next.state = null;
+    rules.set(id, next);
+    await save();
+    return next;
+  }
+
+  async function remove(id) {
+    if (!rules.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  // --- evaluation ---
+  function snapshotOf(boxes) {
+    const { totalNanoErg, tokens } = sumBoxes(boxes);
+    const maxGlobalIndex = boxes.reduce((m, b) => (typeof b.globalIndex === 'number' && b.globalIndex > m ? b.globalIndex : m), -1);
+    return { totalNanoErg, tokens: Object.fromEntries(tokens.map(t => [t.tokenId, t.amount])), maxGlobalIndex };
+  }
+
+  // returns { fired: details|null, state } for one rule against the current snapshot
+  function evaluate(rule, snap, boxes) {
+    const prev = rule.state;
+    const state = { totalNanoErg: snap.totalNanoErg.toString(), tokens: snap.tokens, maxGlobalIndex: snap.maxGlobalIndex, active: false };
+
+    if (rule.type === 'erg_below' || rule.type === 'erg_above') {
+      const threshold = toBig(rule.thresholdNanoErg);
+      state.active = rule.type === 'erg_below' ? snap.totalNanoErg < threshold : snap.totalNanoErg > threshold;
+      const fired = state.active && !(prev && prev.active)
+        ? { totalNanoErg: state.totalNanoErg, thresholdNanoErg: rule.thresholdNanoErg }
+        : null;
+      return { fired, state };
+    }
+    if (!prev) return { fired: null, state };
+
+    if (rule.type === 'token_received') {
+      const received = Object.entries(snap.tokens)
+        .filter(([id, amt]) => toBig(amt) > toBig(prev.tokens[id]))
+        .map(([tokenId, amt]) => ({ tokenId, previous: prev.tokens[tokenId] || '0', amount: amt }));
+      return { fired: received.length ? { tokens: received } : null, state };
+    }
+    if (rule.type === 'token_changed') {
+      const before = prev.tokens[rule.tokenId] || '0';
+      const after = snap.tokens[rule.tokenId] || '0';
+      const fired = toBig(before) !== toBig(after)
+        ? { tokenId: rule.tokenId, previous: before, amount: after, delta: (toBig(after) - toBig(before)).toString() }
+        : null;
+      return { fired, state };
+    }
+    if (rule.type === 'new_box') {
+      const added = boxes.filter(b => typeof b.globalIndex === 'number' && b.globalIndex > prev.maxGlobalIndex);
+      // keep the high-water mark even if those boxes were spent again meanwhile
+      state.maxGlobalIndex = Math.max(prev.maxGlobalIndex, snap.maxGlobalIndex);
+      const fired = added.length
+        ? { boxes: added.map(b => ({ boxId: b.boxId, value: String(b.value), transactionId: b.transactionId || null, assets: b.assets || [] })) }
+        : null;
+      return { fired, state };
+    }
+    return { fired: null, state };
+  }
+
+  function describe(rule, details) {
+    const erg = nano => `${(Number(nano) / 1e9).toLocaleString('en-US', { maximumFractionDigits: 9 })} ERG`;
+    switch (rule.type) {
+      case 'erg_below': return `balance ${erg(details.totalNanoErg)} is below ${erg(details.thresholdNanoErg)}`;
+      case 'erg_above': return `balance ${erg(details.totalNanoErg)} is above ${erg(details.thresholdNanoErg)}`;
+      case 'token_received': return `received ${details.tokens.length} token(s)`;
+      case 'token_changed': return `token ${rule.tokenId.slice(0, 12)}… changed by ${details.delta}`;
+      case 'new_box': return `${details.boxes.length} new box(es)`;
+      default: return rule.type;
+    }
+  }
+
+  function payloadFor(rule, details, snap, test = false) {
+    return {
+      event: test ? 'alert.test' : 'alert',
+      ruleId: rule.id,
+      type: rule.type,
+      label: rule.label || null,
+      address: rule.address,
+      triggeredAt: Date.now(),
+      message: test ? 'test delivery' : describe(rule, details),
+      details: details || null,
+      balance: snap ? { totalNanoErg: snap.totalNanoErg.toString(), tokens: snap.tokens } : null
+    };
+  }
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // POST with retries; resolves to the delivery record (never rejects)
+  async function deliver(rule, payload, attempts = maxAttempts) {
+    const url = rule.webhookUrl || defaultWebhookUrl;
+    let last = null;
+    // rules stored before the host check, or a private ALERT_WEBHOOK_URL, are not sent
+    try {
+      checkWebhookUrl(url, { allowPrivate: allowPrivateWebhooks });
+    } catch (err) {
+      attempts = 0;
+      last = { ok: false, status: null, attempts: 0, at: Date.now(), error: err.message };
+    }
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const resp = await postJson(url, payload);
+        last = { ok: resp.ok, status: resp.status, attempts: attempt, at: Date.now(), error: resp.ok ? null : `HTTP ${resp.status}` };
+        if (resp.ok) break;
+        // other 4xx mean the receiver rejected the payload; retrying will not help
+        if (resp.status < 500 && resp.status !== 429) break;
+      } catch (err) {
+        last = { ok: false, status: null, attempts: attempt, at: Date.now(), error: String(err && (err.message || err)) };
+      }
+      if (attempt < attempts) await sleep(retryBaseMs * 2 ** (attempt - 1));
+    }
+    if (!last.ok) console.error('[alerts] delivery failed for rule', rule.id, last.error);
+    return last;
+  }
+
+  // deliveries run in the background so a slow webhook does not hold up the next check
+  function dispatch(rule, payload, attempts) {
+    const p = deliver(rule, payload, attempts).then(result => {
+      const cur = rules.get(rule.id);
+      if (cur) {
+        cur.lastDelivery = result;
+        save();
+      }
+      return result;
+    });
+    deliveries.add(p);
+    p.finally(() => deliveries.delete(p));
+    return p;
+  }
+
+  async function checkAddress(address, addressRules) {
+    const walk = await loadBoxes(address);
+    // a partial box list would look like a balance drop; skip this round instead
+    if (!walk.complete) throw new Error('incomplete box list');
+    const boxes = walk.items;
+    const snap = snapshotOf(boxes);
+    addressRules.forEach(rule => {
+      const { fired, state } = evaluate(rule, snap, boxes);
+      rule.state = state;
+      rule.lastCheckedAt = Date.now();
+      rule.lastError = null;
+      if (fired) {
+        rule.lastTriggeredAt = Date.now();
+        dispatch(rule, payloadFor(rule, fired, snap));
+      }
+    });
+  }
+
+  // one pass over every enabled rule, one box walk per address
+  async function check() {
+    if (checking) return;
+    checking = true;
+    try {
+      const byAddress = new Map();
+      rules.forEach(r => {
+        if (!r.enabled) return;
+        if (!byAddress.has(r.address)) byAddress.set(r.address, []);
+        byAddress.get(r.address).push(r);
+      });
+      for (const [address, addressRules] of byAddress) {
+        try {
+          await checkAddress(address, addressRules);
+        } catch (err) {
+          console.error('[alerts] check failed for', address, err && (err.name || err.message || err));
+          addressRules.forEach(r => { r.lastError = String(err && (err.message || err)); });
+        }
+      }
+      lastCheckAt = Date.now();
+      if (byAddress.size) await save();
+    } finally {
+      checking = false;
+    }
+  }
+
+  // send a sample payload right away (single attempt) and wait for the outcome
+  async function sendTest(id) {
+    const rule = rules.get(id);
+    if (!rule) return null;
+    return await dispatch(rule, payloadFor(rule, null, null, true), 1);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => check().catch(err => console.error('[alerts] check failed:', err && err.message)), intervalMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // resolves once every delivery in flight has settled
+  async function idle() {
+    while (deliveries.size) await Promise.allSettled(Array.from(deliveries));
+  }
+
+  function stats() {
+    return { rules: rules.size, enabled: list().filter(r => r.enabled).length, pendingDeliveries: deliveries.size, lastCheckAt, intervalMs };
+  }
+
+  restore();
+
+  return { list, get, create, update, remove, check, sendTest, start, stop, idle, stats };
+}
+
+module.exports = { createAlertManager, RULE_TYPES, isPrivateAddress, webhookAgent };
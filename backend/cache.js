@@ -0,0 +1,247 @@
+// backend/cache.js
+/**
+ * Explorer response cache — size-bounded LRU with per-resource TTLs.
+ *
+ * Every entry is tagged with a resource type. Each type has:
+ *   ttl      — how long an entry is served as fresh
+ *   stale    — how long past `ttl` it may still be served, either while a
+ *              background refresh runs (stale-while-revalidate) or when the
+ *              upstream call fails (serve-stale-on-error)
+ *
+ * Optionally the entries are mirrored to a JSON file so a restart does not
+ * start cold and flood the explorer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// tokens and confirmed txs never change once they exist; address boxes do
+const DEFAULT_TYPES = {
+  boxes: { ttl: 30 * 1000, stale: 10 * MINUTE },
+  token: { ttl: 24 * HOUR, stale: 7 * 24 * HOUR },
+  tx: { ttl: 24 * HOUR, stale: 7 * 24 * HOUR },
+  txPending: { ttl: 15 * 1000, stale: 5 * MINUTE },
+  history: { ttl: 30 * 1000, stale: 10 * MINUTE },
+  mempool: { ttl: 5 * 1000, stale: 1 * MINUTE },
+  height: { ttl: 30 * 1000, stale: 10 * MINUTE },
+  default: { ttl: 30 * 1000, stale: 5 * MINUTE }
+};
+
+const FILE_VERSION = 1;
+
+function createCache(opts = {}) {
+  const maxEntries = opts.maxEntries || 1000;
+  const types = Object.assign({}, DEFAULT_TYPES, opts.types || {});
+  const filePath = opts.filePath || null;
+  const flushDelayMs = opts.flushDelayMs ?? 2000;
+
+  // Map iteration order doubles as LRU order: oldest first
+  const entries = new Map();
+  // key -> Promise, so concurrent misses / revalidations share one upstream call
+  const inflight = new Map();
+  // key -> last background refresh error, cleared on the next successful load
+  const refreshErrors = new Map();
+  let flushTimer = null;
+  const stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0, staleOnError: 0 };
+
+  function policy(type) {
+    return types[type] || types.default;
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return now - entry.ts > policy(entry.type).ttl;
+  }
+
+  function isDead(entry, now = Date.now()) {
+    const p = policy(entry.type);
+    return now - entry.ts > p.ttl + p.stale;
+  }
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  // returns { data, ts, type, fresh } or null; expired-but-not-dead entries are
+  // returned with fresh: false so callers can decide whether stale is acceptable
+  function peek(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (isDead(entry, now)) {
+      entries.delete(key);
+      return null;
+    }
+    touch(key, entry);
+    return { data: entry.data, ts: entry.ts, type: entry.type, fresh: !isExpired(entry, now) };
+  }
+
+  // fresh data or null (drop-in for the old getCached)
+  function get(key) {
+    const hit = peek(key);
+    return hit && hit.fresh ? hit.data : null;
+  }
+
+  function set(key, data, type = 'default') {
+    entries.delete(key);
+    entries.set(key, { data, ts: Date.now(), type });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+    scheduleFlush();
+  }
+
+  function del(key) {
+    entries.delete(key);
+    refreshErrors.delete(key);
+    scheduleFlush();
+  }
+
+  function clear() {
+    entries.clear();
+    refreshErrors.clear();
+    scheduleFlush();
+  }
+
+  // `type` may be a function of the loaded data (e.g. confirmed vs pending tx)
+  function load(key, type, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = Promise.resolve()
+      .then(loader)
+      .then(data => {
+        set(key, data, typeof type === 'function' ? type(data) : type);
+        refreshErrors.delete(key);
+        return data;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  /**
+   * Read-through helper.
+   *   fresh hit          -> { data, cached: true }
+   *   stale hit          -> { data, cached: true, stale: true } and a background refresh
+   *                         (`error` is set when the previous refresh failed)
+   *   miss               -> awaits loader -> { data, cached: false }
+   *   loader error       -> stale entry if one survives ({ ..., stale: true, error }), else rethrow
+   */
+  async function wrap(key, type, loader) {
+    const hit = peek(key);
+    if (hit && hit.fresh) {
+      stats.hits++;
+      return { data: hit.data, cached: true, stale: false, ts: hit.ts };
+    }
+    if (hit) {
+      stats.staleHits++;
+      const previousError = refreshErrors.get(key);
+      if (previousError) stats.staleOnError++;
+      load(key, type, loader).catch(err => {
+        refreshErrors.set(key, err);
+        console.error('[cache] revalidate failed for', key, err && (err.name || err.message || err));
+      });
+      return { data: hit.data, cached: true, stale: true, ts: hit.ts, error: previousError };
+    }
+    stats.misses++;
+    try {
+      const data = await load(key, type, loader);
+      return { data, cached: false, stale: false, ts: Date.now() };
+    } catch (err) {
+      // a concurrent caller may have left an entry behind; re-check including stale
+      const fallback = peek(key);
+      if (fallback) {
+        stats.staleOnError++;
+        return { data: fallback.data, cached: true, stale: true, ts: fallback.ts, error: err };
+      }
+      throw err;
+    }
+  }
+
+  // bypass the TTL: always call the loader (sharing an in-flight call) and store the result
+  async function refresh(key, type, loader) {
+    const data = await load(key, type, loader);
+    return { data, cached: false, stale: false, ts: Date.now() };
+  }
+
+  // --- optional file-backed store ---
+  function scheduleFlush() {
+    if (!filePath || flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(err => console.error('[cache] flush failed:', err && err.message));
+    }, flushDelayMs);
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  function serialize() {
+    const now = Date.now();
+    const list = [];
+    for (const [key, entry] of entries) {
+      if (!isDead(entry, now)) list.push([key, entry]);
+    }
+    return JSON.stringify({ version: FILE_VERSION, savedAt: now, entries: list });
+  }
+
+  async function flush() {
+    if (!filePath) return;
+    const tmp = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmp, serialize());
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  function flushSync() {
+    if (!filePath) return;
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, serialize());
+    } catch (err) {
+      console.error('[cache] sync flush failed:', err && err.message);
+    }
+  }
+
+  function restore() {
+    if (!filePath || !fs.existsSync(filePath)) return 0;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || parsed.version !== FILE_VERSION || !Array.isArray(parsed.entries)) return 0;
+      const now = Date.now();
+      let n = 0;
+      parsed.entries.forEach(([key, entry]) => {
+        if (!entry || typeof entry.ts !== 'number' || isDead(entry, now)) return;
+        entries.set(key, entry);
+        n++;
+      });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      return n;
+    } catch (err) {
+      console.error('[cache] could not restore', filePath, err && err.message);
+      return 0;
+    }
+  }
+
+  if (filePath) {
+    const restored = restore();
+    if (restored) console.log(`[cache] restored ${restored} entries from ${filePath}`);
+  }
+
+  return {
+    get,
+    peek,
+    set,
+    del,
+    clear,
+    wrap,
+    refresh,
+    flush,
+    flushSync,
+    stats: () => Object.assign({ size: entries.size, maxEntries, inflight: inflight.size }, stats)
+  };
+}
+
+module.exports = { createCache, DEFAULT_TYPES };
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+// backend/cli.js
+/**
+ * Command line wallet checks for scripts and CI, on the same cached reads as the HTTP API
+ * (wallet.js) and configured by the same environment variables (ERGO_NETWORK, UPSTREAMS, ...).
+ *
+ *   balance <address>   ERG + token totals of the unspent boxes
+ *   utxos <address>     box list (--status, --min-value, --token, --sort, --limit)
+ *   token <tokenId>     supply, minting box, EIP-4 metadata, top holders (--holders, --address)
+ *   tx <txId>           fee and, with --address, the net effect on that address
+ *   watch <address>     prints box / balance / mempool events until stopped (or --timeout)
+ *
+ * --format table|json (utxos also csv). Assertion flags make the exit code usable as a gate:
+ *   --min-erg X  --max-erg X  --min-utxos N  --has-token ID (repeatable)
+ * `watch` with assertion flags waits until they all hold (exit 0) or --timeout runs out (exit 1).
+ *
+ * Exit codes: 0 ok, 1 an assertion failed, 2 usage or input error, 3 upstream / other failure.
+ */
+
+const { parseArgs } = require('util');
+const { inspectAddress } = require('./address');
+const { toBig, formatUnits, parseUnits, txDelta, txFee, BOX_SORTS, filterAndSortBoxes } = require('./aggregate');
+const { createBoxWatcher } = require('./watcher');
+const { boxRow, lineFormat } = require('./export');
+const { BOX_STATUSES, parseBoxStatus, walletFromEnv } = require('./wallet');
+const { describeError } = require('./errors');
+
+const EXIT = { OK: 0, ASSERTION: 1, USAGE: 2, FAILURE: 3 };
+
+const USAGE = `usage: node cli.js <command> [options]
+
+commands:
+  balance <address>   [--min-erg X] [--max-erg X] [--min-utxos N] [--has-token ID]...
+  utxos <address>     [--status unspent|spent|all] [--min-value NANOERG] [--token ID] [--sort ${BOX_SORTS.join('|')}] [--limit N]
+  token <tokenId>     [--holders N] [--address ADDRESS]
+  tx <txId>           [--address ADDRESS]
+  watch <address>     [--interval SECONDS] [--timeout SECONDS] [assertion flags as for balance]
+
+options:
+  --format table|json   output (utxos also: csv); default table
+  -h, --help            this text
+
+exit codes: 0 ok, 1 assertion failed, 2 usage / input error, 3 upstream or other failure`;
+
+const OPTIONS = {
+  format: { type: 'string', default: 'table' },
+  status: { type: 'string', default: 'unspent' },
+  'min-value': { type: 'string' },
+  token: { type: 'string' },
+  sort: { type: 'string' },
+  limit: { type: 'string' },
+  holders: { type: 'string', default: '20' },
+  address: { type: 'string' },
+  interval: { type: 'string', default: '15' },
+  timeout: { type: 'string' },
+  'min-erg': { type: 'string' },
+  'max-erg': { type: 'string' },
+  'min-utxos': { type: 'string' },
+  'has-token': { type: 'string', multiple: true, default: [] },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const usageError = message => Object.assign(new Error(message), { usage: true });
+
+function positiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw usageError(`--${name} must be a positive integer`);
+  return n;
+}
+
+// --- output ---
+function printTable(rows, columns) {
+  const widths = columns.map(c => Math.max(c.length, ...rows.map(r => String(r[c] ?? '').length)));
+  const line = values => values.map((v, i) => String(v ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  rows.forEach(r => console.log(line(columns.map(c => r[c]))));
+}
+
+function printPairs(pairs) {
+  const width = Math.max(...pairs.map(([k]) => k.length));
+  pairs.forEach(([k, v]) => console.log(`${k.padEnd(width)}  ${v}`));
+}
+
+const printJson = value => console.log(JSON.stringify(value, null, 2));
+
+// --- assertions (balance and watch) ---
+function parseAssertions(values) {
+  const erg = name => {
+    if (values[name] === undefined) return null;
+    try { return parseUnits(values[name], 9); } catch (e) { throw usageError(`--${name}: ${e.message}`); }
+  };
+  const hasTokens = values['has-token'].map(id => {
+    const tokenId = String(id).trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(tokenId)) throw usageError(`--has-token must be 64 hex characters (got '${id}')`);
+    return tokenId;
+  });
+  return {
+    minErg: erg('min-erg'),
+    maxErg: erg('max-erg'),
+    minUtxos: values['min-utxos'] !== undefined ? positiveInt(values['min-utxos'], 'min-utxos') : null,
+    hasTokens
+  };
+}
+
+const hasAssertions = a => a.minErg !== null || a.maxErg !== null || a.minUtxos !== null || a.hasTokens.length > 0;
+
+// -> list of failure messages for { totalNanoErg, utxoCount, tokens }
+function checkAssertions(a, totals) {
+  const failures = [];
+  const total = toBig(totals.totalNanoErg);
+  if (a.minErg !== null && total < a.minErg) failures.push(`balance ${formatUnits(total, 9)} ERG is below --min-erg ${formatUnits(a.minErg, 9)}`);
+  if (a.maxErg !== null && total > a.maxErg) failures.push(`balance ${formatUnits(total, 9)} ERG is above --max-erg ${formatUnits(a.maxErg, 9)}`);
+  if (a.minUtxos !== null && totals.utxoCount < a.minUtxos) failures.push(`${totals.utxoCount} unspent boxes, --min-utxos wants ${a.minUtxos}`);
+  a.hasTokens.forEach(id => {
+    const held = totals.tokens.find(t => t.tokenId === id);
+    if (!held || toBig(held.amount) <= 0n) failures.push(`token ${id} is not held`);
+  });
+  return failures;
+}
+
+// --- commands ---
+function requireAddress(wallet, value) {
+  if (!value) throw usageError('an address is required');
+  const info = inspectAddress(value);
+  const problem = wallet.addressProblem(info);
+  if (problem) throw problem;
+  return info.address;
+}
+
+async function balance(ctx, [addr]) {
+  const { wallet, values } = ctx;
+  const address = requireAddress(wallet, addr);
+  const assertions = parseAssertions(values);
+  const summary = await wallet.buildSummary(address, 'unspent', { tokenMeta: true });
+  if (values.format === 'json') printJson(summary);
+  else {
+    printPairs([
+      ['address', address],
+      ['balance', `${formatUnits(summary.totalNanoErg, 9)} ERG`],
+      ['unspent boxes', summary.utxoCount + (summary.complete ? '' : ` (partial: ${summary.pagesFetched}/${summary.pagesTotal} pages)`)]
+    ]);
+    if (summary.tokens.length) {
+      console.log('');
+      printTable(summary.tokens.map(t => ({ tokenId: t.tokenId, name: t.name || '', amount: t.amountFormatted })), ['tokenId', 'name', 'amount']);
+    }
+  }
+  // a partial walk can miss boxes, so it cannot prove a minimum
+  if (!summary.complete && hasAssertions(assertions)) {
+    console.error('assertion not checked: the box list is incomplete');
+    return EXIT.FAILURE;
+  }
+  const failures = checkAssertions(assertions, summary);
+  failures.forEach(f => console.error(`assertion failed: ${f}`));
+  return failures.length ? EXIT.ASSERTION : EXIT.OK;
+}
+
+async function utxos(ctx, [addr]) {
+  const { wallet, values } = ctx;
+  const address = requireAddress(wallet, addr);
+  const status = parseBoxStatus(values.status);
+  if (!status) throw usageError(`--status must be one of ${BOX_STATUSES.join('|')}`);
+  if (values.sort && !BOX_SORTS.includes(values.sort)) throw usageError(`--sort must be one of ${BOX_SORTS.join('|')}`);
+  if (!['table', 'json', 'csv'].includes(values.format)) throw usageError('--format must be table, json or csv');
+
+  const minValue = values['min-value'] || '0';
+  if (!/^\d+$/.test(minValue)) throw usageError('--min-value must be a non-negative integer (nanoERG)');
+
+  const walk = await wallet.fetchAllBoxPages(address, status);
+  let items = filterAndSortBoxes(walk.items, {
+    minValue: BigInt(minValue),
+    token: values.token || '',
+    sort: values.sort || ''
+  });
+  if (values.limit) items = items.slice(0, positiveInt(values.limit, 'limit'));
+  if (!walk.complete) console.error(`warning: partial box list (${walk.pagesFetched}/${walk.pagesTotal} pages)`);
+
+  if (values.format === 'json') printJson(items);
+  else if (values.format === 'csv') {
+    const tokens = await wallet.loadTokenMeta(items.flatMap(b => (b.assets || []).map(a => String(a.tokenId))));
+    const csv = lineFormat('boxes', 'csv');
+    process.stdout.write(csv.header + items.map(b => csv.line(boxRow(b, { tokens }))).join(''));
+  } else {
+    printTable(items.map(b => ({
+      boxId: b.boxId,
+      erg: formatUnits(b.value, 9),
+      tokens: (b.assets || []).length,
+      height: b.creationHeight ?? '',
+      spentBy: b.spentTransactionId || ''
+    })), ['boxId', 'erg', 'tokens', 'height', 'spentBy']);
+  }
+  return EXIT.OK;
+}
+
+async function token(ctx, [tokenId]) {
+  const { wallet, values } = ctx;
+  const id = String(tokenId || '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(id)) throw usageError('tokenId must be 64 hex characters');
+  const address = values.address ? requireAddress(wallet, values.address) : '';
+  const d = await wallet.tokenDetail(id, { top: positiveInt(values.holders, 'holders'), address });
+  if (values.format === 'json') {
+    printJson(d);
+    return EXIT.OK;
+  }
+  const s = d.supply;
+  const pairs = [
+    ['tokenId', d.tokenId],
+    ['name', (d.eip4 && d.eip4.name) || d.name || ''],
+    ['decimals', d.decimals],
+    ['emitted', s.emissionFormatted ?? '?'],
+    ['circulating', s.circulatingFormatted + (s.complete ? '' : ' (partial)')]
+  ];
+  if (s.burned !== null) pairs.push(['burned', formatUnits(s.burned, d.decimals)]);
+  if (d.minting) pairs.push(['minting tx', d.minting.txId || '?'], ['minting box', d.minting.boxId]);
+  if (d.eip4 && d.eip4.type) pairs.push(['asset type', `${d.eip4.type.label} (${d.eip4.type.code})`]);
+  if (d.eip4 && d.eip4.contentHash) pairs.push(['content hash', d.eip4.contentHash]);
+  if (d.wallet) pairs.push(['wallet holds', `${d.wallet.amountFormatted} (${d.wallet.percentOfCirculating ?? '0'}% of circulating)`]);
+  printPairs(pairs);
+  if (d.holders.length) {
+    console.log('');
+    printTable(d.holders.map(h => ({ address: h.address, amount: h.amountFormatted, share: `${h.percentOfCirculating}%`, boxes: h.boxCount })), ['address', 'amount', 'share', 'boxes']);
+  }
+  return EXIT.OK;
+}
+
+async function tx(ctx, [txId]) {
+  const { wallet, values } = ctx;
+  if (!txId) throw usageError('a txId is required');
+  const address = values.address ? requireAddress(wallet, values.address) : '';
+  const item = (await wallet.fetchTxCached(txId)).result.data || {};
+  const out = { item, feeNanoErg: txFee(item) };
+  if (address) Object.assign(out, { address, delta: txDelta(item, address) });
+  if (values.format === 'json') {
+    printJson(out);
+    return EXIT.OK;
+  }
+  const pairs = [
+    ['txId', item.id],
+    ['height', item.inclusionHeight ?? 'unconfirmed'],
+    ['time', item.timestamp ? new Date(item.timestamp).toISOString() : ''],
+    ['inputs', (item.inputs || []).length],
+    ['outputs', (item.outputs || []).length],
+    ['fee', `${formatUnits(out.feeNanoErg, 9)} ERG`]
+  ];
+  if (out.delta) {
+    pairs.push(['direction', out.delta.direction], ['net', `${formatUnits(out.delta.netNanoErg, 9)} ERG`]);
+    out.delta.tokens.forEach(t => pairs.push([`token ${t.tokenId.slice(0, 12)}…`, t.delta]));
+  }
+  printPairs(pairs);
+  return EXIT.OK;
+}
+
+async function watch(ctx, [addr]) {
+  const { wallet, values } = ctx;
+  const address = requireAddress(wallet, addr);
+  const assertions = parseAssertions(values);
+  const waiting = hasAssertions(assertions);
+  const timeoutMs = values.timeout !== undefined ? positiveInt(values.timeout, 'timeout') * 1000 : null;
+  const watcher = createBoxWatcher({
+    intervalMs: positiveInt(values.interval, 'interval') * 1000,
+    maxAddresses: 1,
+    loadBoxes: async a => {
+      const walk = await wallet.fetchAllBoxPages(a, 'unspent', { fresh: true });
+      if (!walk.complete) throw new Error(`partial box set (${walk.pagesFetched}/${walk.pagesTotal} pages)`);
+      return walk.items;
+    },
+    loadPending: async a => (await wallet.fetchMempool(a, { fresh: true })).items.map(p => p.txId)
+  });
+
+  return await new Promise(resolve => {
+    let timer = null;
+    let unsubscribe = () => {};
+    const onInterrupt = () => finish(EXIT.OK);
+    const finish = code => {
+      clearTimeout(timer);
+      unsubscribe();
+      process.off('SIGINT', onInterrupt);
+      resolve(code);
+    };
+    // the watcher's own timer does not hold the process open; this one does
+    timer = timeoutMs ? setTimeout(() => {
+      if (waiting) console.error('assertion failed: timed out waiting for the assertions to hold');
+      finish(waiting ? EXIT.ASSERTION : EXIT.OK);
+    }, timeoutMs) : setInterval(() => {}, 1 << 30);
+    process.once('SIGINT', onInterrupt);
+
+    unsubscribe = watcher.subscribe(address, (event, data) => {
+      const at = new Date().toISOString();
+      if (values.format === 'json') console.log(JSON.stringify({ at, event, data }));
+      else if (event === 'snapshot' || event === 'balance-changed') console.log(`${at} ${event} ${formatUnits(data.totalNanoErg, 9)} ERG, ${data.utxoCount} boxes, ${data.tokens.length} tokens`);
+      else if (event === 'box-added' || event === 'box-spent') console.log(`${at} ${event} ${data.boxId || data.box.boxId} ${formatUnits((data.box || {}).value, 9)} ERG`);
+      else if (event === 'mempool-changed') console.log(`${at} ${event} +${data.added.length} -${data.removed.length} pending`);
+      else console.log(`${at} ${event} ${data.message || ''}`);
+
+      if (waiting && (event === 'snapshot' || event === 'balance-changed') && checkAssertions(assertions, data).length === 0) finish(EXIT.OK);
+    });
+  });
+}
+
+const COMMANDS = { balance, utxos, token, tx, watch };
+
+async function main(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT.OK : EXIT.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`unknown command '${command}'\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  // only utxos has a CSV form (the box export columns)
+  const formats = command === 'utxos' ? ['table', 'json', 'csv'] : ['table', 'json'];
+  if (!formats.includes(values.format)) {
+    console.error(`--format must be ${formats.join(', ').replace(/, (\w+)$/, ' or $1')} for ${command}`);
+    return EXIT.USAGE;
+  }
+
+  let setup;
+  try {
+    setup = walletFromEnv(env);
+  } catch (err) {
+    // bad ERGO_NETWORK / UPSTREAMS
+    console.error(`configuration error: ${err.message}`);
+    return EXIT.USAGE;
+  }
+  const { wallet, cache } = setup;
+  try {
+    const code = await COMMANDS[command]({ wallet, values }, args);
+    if (env.CACHE_FILE) cache.flushSync();
+    return code;
+  } catch (err) {
+    if (err.usage) {
+      console.error(err.message);
+      return EXIT.USAGE;
+    }
+    // same classification as the API's error envelope
+    const d = describeError(err);
+    console.error(`error ${d.code}: ${d.message}${d.retryable ? ' (retryable)' : ''}`);
+    return d.status >= 400 && d.status < 500 && d.code !== 'NOT_FOUND' ? EXIT.USAGE : EXIT.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { main, checkAssertions, parseAssertions, EXIT };
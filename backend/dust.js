@@ -0,0 +1,133 @@
+// backend/dust.js
+/**
+ * Dust analysis of an address's unspent boxes (GET /api/wallet/:address/dust, export kind=dust).
+ *
+ * Boxes are grouped by ERG value and by age (blocks since `creationHeight`), and flagged:
+ *   near-min-value     ERG at most NEAR_MIN_FACTOR x the minimum value of a box with its tokens
+ *                      (or at most `thresholdNanoErg` when one is given)
+ *   dust-token-only    near-min-value and carrying a single token, nothing else: the box exists to
+ *                      hold that token (typical for airdrops / bot output) and its ERG only comes
+ *                      back by moving the token along
+ *   storage-rent       at least STORAGE_RENT_BLOCKS old; the network may charge storage rent on it
+ *
+ * The flagged boxes are the consolidation candidates. Merging them into one box is estimated with
+ * the same constants as the send preview (selection.js): at most CONSOLIDATE_MAX_INPUTS inputs per
+ * tx, each later tx also spending the previous tx's output, and RECOMMENDED_FEE per tx.
+ */
+
+const { toBig } = require('./aggregate');
+const { RECOMMENDED_FEE, CONSOLIDATE_MAX_INPUTS, MAX_TOKENS_PER_BOX, minBoxValue } = require('./selection');
+
+const NEAR_MIN_FACTOR = 2n;
+const STORAGE_RENT_BLOCKS = 1051200; // four years of 2-minute blocks
+
+// upper bounds (inclusive); the last bucket is open
+const VALUE_BUCKETS = [1000000n, 2000000n, 10000000n, 100000000n, 1000000000n, 10000000000n, null];
+const AGE_BUCKETS = [720, 5040, 21600, 262800, STORAGE_RENT_BLOCKS, null]; // ~1 day, week, month, year, 4 years
+
+function bucketIndex(bounds, v, below) {
+  const i = bounds.findIndex(max => max !== null && below(v, max));
+  return i === -1 ? bounds.length - 1 : i;
+}
+
+function emptyBuckets(bounds, minKey, maxKey) {
+  return bounds.map((max, i) => ({ [minKey]: i === 0 ? null : bounds[i - 1], [maxKey]: max, count: 0, nanoErg: 0n, flagged: 0 }));
+}
+
+// BigInt fields -> strings for JSON
+const stringify = buckets => buckets.map(b => {
+  const out = {};
+  Object.keys(b).forEach(k => { out[k] = typeof b[k] === 'bigint' ? b[k].toString() : b[k]; });
+  return out;
+});
+
+/**
+ * `boxes`: confirmed unspent boxes. `height`: current block height, or null when unknown (ages
+ * and the storage-rent flag are then left out).
+ * -> { height, boxCount, totalNanoErg, valueBuckets, ageBuckets, flagged: { counts }, boxes, consolidation }
+ * `boxes` lists every box with its buckets and flags, most flags first, then smallest value.
+ */
+function analyzeDust(boxes, { height = null, thresholdNanoErg = null } = {}) {
+  const valueBuckets = emptyBuckets(VALUE_BUCKETS, 'minNanoErg', 'maxNanoErg');
+  const ageBuckets = emptyBuckets(AGE_BUCKETS, 'minBlocks', 'maxBlocks');
+  const counts = { 'near-min-value': 0, 'dust-token-only': 0, 'storage-rent': 0 };
+  let total = 0n;
+
+  const rows = boxes.map(box => {
+    const value = toBig(box.value);
+    const assets = box.assets || [];
+    const limit = thresholdNanoErg !== null ? thresholdNanoErg : NEAR_MIN_FACTOR * minBoxValue(assets.length);
+    const age = height !== null && box.creationHeight !== undefined && box.creationHeight !== null
+      ? Math.max(0, height - Number(box.creationHeight)) : null;
+    const flags = [];
+    if (value <= limit) flags.push('near-min-value');
+    if (value <= limit && assets.length === 1) flags.push('dust-token-only');
+    if (age !== null && age >= STORAGE_RENT_BLOCKS) flags.push('storage-rent');
+    flags.forEach(f => counts[f]++);
+    total += value;
+
+    const vb = bucketIndex(VALUE_BUCKETS, value, (v, max) => v <= max);
+    valueBuckets[vb].count++;
+    valueBuckets[vb].nanoErg += value;
+    if (flags.length) valueBuckets[vb].flagged++;
+    let ab = null;
+    if (age !== null) {
+      ab = bucketIndex(AGE_BUCKETS, age, (v, max) => v < max);
+      ageBuckets[ab].count++;
+      ageBuckets[ab].nanoErg += value;
+      if (flags.length) ageBuckets[ab].flagged++;
+    }
+    return {
+      boxId: box.boxId,
+      value: value.toString(),
+      creationHeight: box.creationHeight ?? null,
+      ageBlocks: age,
+      valueBucket: vb,
+      ageBucket: ab,
+      tokens: assets.map(a => ({ tokenId: String(a.tokenId), amount: String(a.amount) })),
+      flags
+    };
+  });
+  rows.sort((a, b) => (b.flags.length - a.flags.length) || (toBig(a.value) < toBig(b.value) ? -1 : toBig(a.value) > toBig(b.value) ? 1 : 0));
+
+  return {
+    height,
+    boxCount: boxes.length,
+    totalNanoErg: total.toString(),
+    thresholdNanoErg: thresholdNanoErg !== null ? thresholdNanoErg.toString() : null,
+    valueBuckets: stringify(valueBuckets),
+    ageBuckets: height !== null ? stringify(ageBuckets) : null,
+    flagged: counts,
+    boxes: rows,
+    consolidation: consolidationPlan(rows.filter(r => r.flags.length), boxes.length)
+  };
+}
+
+// merge `candidates` into a single box: tx count, fees and what is left
+function consolidationPlan(candidates, boxCount) {
+  const n = candidates.length;
+  if (n < 2) return { candidates: n, txCount: 0, feeNanoErg: '0', inputNanoErg: '0', resultNanoErg: '0', boxesAfter: boxCount, tokenCount: 0, worthIt: false, issues: [] };
+  // the first tx takes up to MAX inputs, every later one the previous output plus MAX - 1 new boxes
+  const txCount = 1 + Math.ceil(Math.max(0, n - CONSOLIDATE_MAX_INPUTS) / (CONSOLIDATE_MAX_INPUTS - 1));
+  const fee = RECOMMENDED_FEE * BigInt(txCount);
+  const input = candidates.reduce((sum, r) => sum + toBig(r.value), 0n);
+  const tokenCount = new Set(candidates.flatMap(r => r.tokens.map(tk => tk.tokenId))).size;
+  const result = input - fee;
+  const issues = [];
+  if (result < minBoxValue(tokenCount)) issues.push('RESULT_BELOW_MIN_BOX_VALUE');
+  if (tokenCount > MAX_TOKENS_PER_BOX) issues.push('TOO_MANY_TOKENS');
+  return {
+    candidates: n,
+    txCount,
+    feeNanoErg: fee.toString(),
+    inputNanoErg: input.toString(),
+    resultNanoErg: result.toString(),
+    boxesAfter: boxCount - n + 1,
+    tokenCount,
+    // the merge leaves at least one valid box and costs less than the ERG it frees up for spending
+    worthIt: issues.length === 0 && fee < input,
+    issues
+  };
+}
+
+module.exports = { NEAR_MIN_FACTOR, STORAGE_RENT_BLOCKS, VALUE_BUCKETS, AGE_BUCKETS, analyzeDust };
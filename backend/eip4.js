@@ -0,0 +1,52 @@
+// backend/eip4.js
+/**
+ * EIP-4 token metadata, read from the registers of the box that minted the token.
+ *
+ *   R4 Coll[Byte]  name (UTF-8)
+ *   R5 Coll[Byte]  description (UTF-8)
+ *   R6 Coll[Byte]  number of decimals, as a UTF-8 digit string
+ *   R7 Coll[Byte]  asset type, e.g. 0x0101 for a picture NFT (see ASSET_TYPES)
+ *   R8 Coll[Byte]  SHA-256 hash of the NFT content
+ *   R9             link(s) to the content: Coll[Byte], a (Coll[Byte], Coll[Byte]) pair
+ *                  (audio + cover image) or Coll[Coll[Byte]] (file attachments)
+ *
+ * Input is decodeRegisters() output (sigma.js). Registers that are missing or do not have the
+ * expected type are left null rather than failing the whole read.
+ */
+
+const ASSET_TYPES = {
+  '0101': { label: 'NFT - picture', nft: true },
+  '0102': { label: 'NFT - audio', nft: true },
+  '0103': { label: 'NFT - video', nft: true },
+  '0104': { label: 'Artwork collection', nft: false },
+  '010f': { label: 'NFT - file attachments', nft: true },
+  '0201': { label: 'Membership token - threshold signature', nft: false }
+};
+
+const isBytes = r => Boolean(r) && !r.error && r.type === 'Coll[Byte]' && r.value;
+const text = r => (isBytes(r) ? r.value.utf8 : null);
+
+// every Coll[Byte] found in R9, in order
+function links(r) {
+  if (!r || r.error || r.value === null || r.value === undefined) return [];
+  const flat = Array.isArray(r.value) ? r.value : [r.value];
+  return flat.filter(v => v && typeof v.hex === 'string').map(v => v.utf8 || `0x${v.hex}`);
+}
+
+function eip4Metadata(registers) {
+  const byName = Object.fromEntries((registers || []).map(r => [r.register, r]));
+  if (!isBytes(byName.R4)) return null;
+  const decimalsText = text(byName.R6);
+  const typeHex = isBytes(byName.R7) ? byName.R7.value.hex.toLowerCase() : null;
+  const type = typeHex ? Object.assign({ code: typeHex }, ASSET_TYPES[typeHex] || { label: 'unknown', nft: false }) : null;
+  return {
+    name: text(byName.R4),
+    description: text(byName.R5),
+    decimals: decimalsText && /^\d+$/.test(decimalsText) ? Number(decimalsText) : null,
+    type,
+    contentHash: type && type.nft && isBytes(byName.R8) ? byName.R8.value.hex : null,
+    links: type && type.nft ? links(byName.R9) : []
+  };
+}
+
+module.exports = { ASSET_TYPES, eip4Metadata };
@@ -0,0 +1,85 @@
+// backend/errors.js
+/**
+ * One error shape for every API response:
+ *   { error: { code, message, upstreamStatus, requestId, retryable, details? } }
+ *
+ * Routes throw (or pass to next) and the error middleware in server.js turns the error into
+ * that envelope with `errorBody()`. Local errors are made with `apiError(code, message, details)`;
+ * errors coming back from the explorer / node (see http.js) are classified by `describeError()`.
+ * `code` is stable and meant for programs (and UI translations); `message` is English text.
+ */
+
+// code -> HTTP status and whether trying again later can help
+const CODES = {
+  BAD_REQUEST: { status: 400, retryable: false },
+  INVALID_ADDRESS: { status: 400, retryable: false },
+  WRONG_NETWORK: { status: 400, retryable: false },
+  INVALID_RULE: { status: 400, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: true },
+  UPSTREAM_REJECTED: { status: 400, retryable: false }, // answered with the upstream's own 4xx
+  UPSTREAM_RATE_LIMITED: { status: 503, retryable: true },
+  UPSTREAM_ERROR: { status: 502, retryable: true },
+  UPSTREAM_MALFORMED: { status: 502, retryable: true },
+  UPSTREAM_UNREACHABLE: { status: 502, retryable: true },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true },
+  INTERNAL: { status: 500, retryable: false }
+};
+
+function apiError(code, message, details) {
+  const e = new Error(message);
+  e.code = code;
+  if (details) e.details = details;
+  return e;
+}
+
+// transport-level failures and overloaded upstreams; the same request may work a moment later
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.name === 'AbortError' || err.name === 'FetchError' || err.name === 'MalformedResponse') return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+// -> { status, code, message, upstreamStatus, retryable, details }
+function describeError(err) {
+  const from = err && err.upstream ? `${err.upstream} ` : 'upstream ';
+  const out = (code, message, upstreamStatus = null, status = CODES[code].status) => ({
+    status,
+    code,
+    message,
+    upstreamStatus,
+    retryable: CODES[code].retryable,
+    details: (err && err.details) || undefined
+  });
+
+  if (err && CODES[err.code]) return out(err.code, err.message);
+  // express.json(): unparsable or oversized bodies
+  if (err && typeof err.type === 'string' && err.type.startsWith('entity.')) {
+    return out('BAD_REQUEST', err.type === 'entity.parse.failed' ? 'request body is not valid JSON' : err.message, null, err.status || 400);
+  }
+  if (err && err.name === 'AbortError') return out('UPSTREAM_TIMEOUT', `${from}request timed out`);
+  if (err && err.name === 'MalformedResponse') return out('UPSTREAM_MALFORMED', `${from}returned a malformed body`);
+  // node-fetch: connection refused, DNS, reset, or a JSON body it could not parse
+  if (err && err.name === 'FetchError') {
+    if (err.type === 'invalid-json') return out('UPSTREAM_MALFORMED', `${from}returned a malformed body`);
+    return out('UPSTREAM_UNREACHABLE', `${from}is unreachable`);
+  }
+  if (err && typeof err.status === 'number') {
+    const s = err.status;
+    if (s === 404) return out('NOT_FOUND', `${from}has no such resource`, s);
+    if (s === 429) return out('UPSTREAM_RATE_LIMITED', `${from}is rate limiting requests`, s);
+    if (s >= 500) return out('UPSTREAM_ERROR', `${from}returned HTTP ${s}`, s);
+    return out('UPSTREAM_REJECTED', `${from}rejected the request (HTTP ${s})`, s, s);
+  }
+  return out('INTERNAL', 'internal error');
+}
+
+// -> { status, body } ready for res.status(status).json(body)
+function errorBody(err, requestId = null) {
+  const d = describeError(err);
+  const error = { code: d.code, message: d.message, upstreamStatus: d.upstreamStatus, requestId, retryable: d.retryable };
+  if (d.details) error.details = d.details;
+  return { status: d.status, body: { error } };
+}
+
+module.exports = { CODES, apiError, isRetryable, describeError, errorBody };
@@ -0,0 +1,180 @@
+// backend/export.js
+/**
+ * Row builders and line formats for /api/wallet/:address/export.
+ *
+ *   boxes         one row per box: value, tokens, heights, when it was created / spent
+ *   transactions  one row per confirmed tx: net ERG and token effect on the address, fee
+ *   ledger        one row per asset moved by a tx, oldest first, with the running balance of
+ *                 that asset (accounting import format)
+ *   dust          one row per unspent box of the dust analysis (dust.js): buckets, age and flags
+ *
+ * Rows are flat objects whose keys are the CSV columns; JSON Lines writes the same objects.
+ * `tokens` arguments are Map(tokenId -> { name, decimals }) with whatever metadata is known;
+ * unknown tokens are written raw (0 decimals, empty name).
+ */
+
+const { toBig, formatUnits, txDelta, txFee } = require('./aggregate');
+
+const EXPORT_KINDS = ['boxes', 'transactions', 'ledger', 'dust'];
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+const COLUMNS = {
+  boxes: ['boxId', 'status', 'value', 'erg', 'tokens', 'tokensFormatted', 'creationHeight', 'settlementHeight', 'createdAt', 'transactionId', 'spentTransactionId', 'spentAt'],
+  transactions: ['date', 'txId', 'height', 'direction', 'netErg', 'netNanoErg', 'fee', 'tokens', 'inputCount', 'outputCount'],
+  ledger: ['date', 'txId', 'height', 'direction', 'asset', 'assetName', 'amount', 'fee', 'balance'],
+  dust: ['boxId', 'value', 'erg', 'valueBucket', 'creationHeight', 'ageBlocks', 'ageBucket', 'tokenCount', 'tokensFormatted', 'flags', 'candidate']
+};
+
+const iso = ts => (ts ? new Date(Number(ts)).toISOString() : '');
+const metaOf = (tokens, id) => (tokens && tokens.get(id)) || {};
+const erg = nano => formatUnits(nano, 9);
+
+// { fromTs, toTs, fromHeight, toHeight } (all nullable) against one height / timestamp pair;
+// a row without a timestamp is kept unless a date bound is set
+function inRange(range, { height = null, timestamp = null }) {
+  if (!range) return true;
+  const h = height === null || height === undefined ? null : Number(height);
+  if (range.fromHeight !== null && range.fromHeight !== undefined && (h === null || h < range.fromHeight)) return false;
+  if (range.toHeight !== null && range.toHeight !== undefined && (h === null || h > range.toHeight)) return false;
+  const ts = timestamp ? Number(timestamp) : null;
+  if (range.fromTs !== null && range.fromTs !== undefined && (ts === null || ts < range.fromTs)) return false;
+  if (range.toTs !== null && range.toTs !== undefined && (ts === null || ts > range.toTs)) return false;
+  return true;
+}
+
+// `times` is Map(txId -> timestamp) from the address's history (boxes carry no time of their own)
+function boxRow(box, { tokens, times } = {}) {
+  const assets = box.assets || [];
+  const timeOf = id => (id && times ? times.get(id) : null);
+  return {
+    boxId: box.boxId,
+    status: box.spentTransactionId ? 'spent' : 'unspent',
+    value: String(box.value ?? '0'),
+    erg: erg(box.value),
+    tokens: assets.map(a => `${a.tokenId}(${a.amount})`).join(';'),
+    tokensFormatted: assets.map(a => {
+      const m = metaOf(tokens, String(a.tokenId));
+      return `${m.name ? `${m.name}:` : ''}${a.tokenId}(${formatUnits(a.amount, m.decimals || 0)})`;
+    }).join(';'),
+    creationHeight: box.creationHeight ?? '',
+    settlementHeight: box.settlementHeight ?? '',
+    createdAt: iso(timeOf(box.transactionId)),
+    transactionId: box.transactionId || '',
+    spentTransactionId: box.spentTransactionId || '',
+    spentAt: iso(timeOf(box.spentTransactionId))
+  };
+}
+
+// `entry` is one of analyzeDust(...).boxes; buckets are written as their bounds, e.g. "0.001-0.002"
+function dustRow(entry, analysis, { tokens } = {}) {
+  const bounds = (b, fmt) => `${b.min !== null ? fmt(b.min) : ''}-${b.max !== null ? fmt(b.max) : ''}`;
+  const vb = analysis.valueBuckets[entry.valueBucket];
+  const ab = entry.ageBucket !== null && analysis.ageBuckets ? analysis.ageBuckets[entry.ageBucket] : null;
+  return {
+    boxId: entry.boxId,
+    value: entry.value,
+    erg: erg(entry.value),
+    valueBucket: bounds({ min: vb.minNanoErg, max: vb.maxNanoErg }, erg),
+    creationHeight: entry.creationHeight ?? '',
+    ageBlocks: entry.ageBlocks ?? '',
+    ageBucket: ab ? bounds({ min: ab.minBlocks, max: ab.maxBlocks }, String) : '',
+    tokenCount: entry.tokens.length,
+    tokensFormatted: entry.tokens.map(a => {
+      const m = metaOf(tokens, a.tokenId);
+      return `${m.name ? `${m.name}:` : ''}${a.tokenId}(${formatUnits(a.amount, m.decimals || 0)})`;
+    }).join(';'),
+    flags: entry.flags.join(';'),
+    candidate: entry.flags.length ? 'yes' : 'no'
+  };
+}
+
+// the fee is the address's own cost only when it funded the tx (spent one of its boxes)
+function ownFee(tx, delta) {
+  return delta.ownInputs > 0 ? txFee(tx) : '0';
+}
+
+function txRow(tx, address, { tokens } = {}) {
+  const d = txDelta(tx, address);
+  const fee = ownFee(tx, d);
+  return {
+    date: iso(tx.timestamp),
+    txId: tx.id,
+    height: tx.inclusionHeight ?? '',
+    direction: d.direction,
+    netErg: erg(d.netNanoErg),
+    netNanoErg: d.netNanoErg,
+    fee: fee === '0' ? '' : erg(fee),
+    tokens: d.tokens.map(tk => {
+      const m = metaOf(tokens, tk.tokenId);
+      return `${m.name ? `${m.name}:` : ''}${tk.tokenId}(${formatUnits(tk.delta, m.decimals || 0)})`;
+    }).join(';'),
+    inputCount: (tx.inputs || []).length,
+    outputCount: (tx.outputs || []).length
+  };
+}
+
+// confirmed txs oldest first, in the order balanceSeries replays them
+function chronological(txs) {
+  return (txs || [])
+    .filter(tx => tx && tx.inclusionHeight)
+    .sort((a, b) => (a.inclusionHeight - b.inclusionHeight) || ((a.timestamp || 0) - (b.timestamp || 0)) || ((a.index || 0) - (b.index || 0)));
+}
+
+/**
+ * Ledger rows for every tx of the address. Balances run over the whole history, so `range`
+ * and `token` (tokenId substring; 'ERG' keeps the ERG rows) only pick which rows are returned.
+ * The ERG amount already includes the fee; `fee` repeats it on the ERG row of txs the address paid for.
+ */
+function ledgerRows(txs, address, { tokens, range = null, token = '' } = {}) {
+  const balances = new Map();
+  const rows = [];
+  for (const tx of chronological(txs)) {
+    const d = txDelta(tx, address);
+    const fee = ownFee(tx, d);
+    const keep = inRange(range, { height: tx.inclusionHeight, timestamp: tx.timestamp });
+    const moves = [];
+    if (d.netNanoErg !== '0' || fee !== '0') moves.push({ asset: 'ERG', amount: d.netNanoErg });
+    d.tokens.forEach(tk => moves.push({ asset: tk.tokenId, amount: tk.delta }));
+    for (const mv of moves) {
+      const balance = (balances.get(mv.asset) || 0n) + toBig(mv.amount);
+      balances.set(mv.asset, balance);
+      if (!keep) continue;
+      if (token && !(mv.asset === 'ERG' ? token.toUpperCase() === 'ERG' : mv.asset.includes(token))) continue;
+      const isErg = mv.asset === 'ERG';
+      const m = isErg ? { name: 'ERG', decimals: 9 } : metaOf(tokens, mv.asset);
+      rows.push({
+        date: iso(tx.timestamp),
+        txId: tx.id,
+        height: tx.inclusionHeight,
+        direction: mv.amount.startsWith('-') ? 'out' : 'in',
+        asset: mv.asset,
+        assetName: m.name || '',
+        amount: formatUnits(mv.amount, m.decimals || 0),
+        fee: isErg && fee !== '0' ? erg(fee) : '',
+        balance: formatUnits(balance, m.decimals || 0)
+      });
+    }
+  }
+  return rows;
+}
+
+// every value quoted, so token lists and names with commas stay in one cell
+function csvLine(values) {
+  return values.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(',');
+}
+
+// -> { contentType, extension, header: string|null, line(row) } for one kind + format; lines end with '\n'
+function lineFormat(kind, format) {
+  const columns = COLUMNS[kind];
+  if (format === 'jsonl') {
+    return { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl', header: null, line: row => `${JSON.stringify(row)}\n` };
+  }
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: `${columns.join(',')}\n`,
+    line: row => `${csvLine(columns.map(c => row[c]))}\n`
+  };
+}
+
+module.exports = { EXPORT_KINDS, EXPORT_FORMATS, COLUMNS, inRange, boxRow, txRow, dustRow, ledgerRows, chronological, csvLine, lineFormat };
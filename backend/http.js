@@ -0,0 +1,130 @@
+// backend/http.js
+/**
+ * Outgoing HTTP shared by every upstream call (explorer, node). Webhook deliveries do not go
+ * through here (see the alerts setup in server.js), so they never carry the explorer headers.
+ *
+ * createHttpClient({ timeoutMs, retries, retryBaseMs, retryMaxMs }) ->
+ *   fetchWithTimeout(url, opts, timeoutMs?)  raw node-fetch response, AbortError on timeout
+ *   requestJson(url, opts)                   parsed JSON body; throws on anything else:
+ *     - non-OK answers: Error with `status` and `body` (first 1000 chars)
+ *     - timeouts: Error named 'AbortError'
+ *     - 2xx with a body that is not JSON: Error named 'MalformedResponse'
+ *
+ * mapWithConcurrency(list, limit, fn) runs many requests with a bounded number in flight.
+ *
+ * GETs that fail in a retryable way (errors.isRetryable: timeouts, network errors, 429, 5xx)
+ * are tried again up to `retries` times after a random delay in [0, retryBaseMs * 2^attempt]
+ * ("full jitter"), so a burst of clients does not come back in lockstep. Other methods are
+ * never retried here.
+ */
+
+const fetch = require('node-fetch'); // node-fetch v2 (CommonJS)
+const { isRetryable } = require('./errors');
+
+const IDEMPOTENT = ['GET', 'HEAD'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// helper to try parse json safely (returns object or text)
+async function parseResponseBody(resp) {
+  const ct = resp.headers && resp.headers.get ? resp.headers.get('content-type') || '' : '';
+  if (ct.includes('application/json')) {
+    return await resp.json();
+  }
+  // try json parse fallback
+  const txt = await resp.text().catch(() => '');
+  try {
+    return JSON.parse(txt);
+  } catch {
+    return txt;
+  }
+}
+
+// run `fn` over `list` with at most `limit` calls in flight; never rejects,
+// each result is { ok: true, value } or { ok: false, error }
+async function mapWithConcurrency(list, limit, fn) {
+  const results = new Array(list.length);
+  let next = 0;
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      try {
+        results[i] = { ok: true, value: await fn(list[i], i) };
+      } catch (error) {
+        results[i] = { ok: false, error };
+      }
+    }
+  }
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, list.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+function createHttpClient({ timeoutMs = 30 * 1000, retries = 2, retryBaseMs = 250, retryMaxMs = 4000 } = {}) {
+  // fetch with timeout and browser-like headers
+  async function fetchWithTimeout(url, opts = {}, ms = timeoutMs) {
+    opts.headers = Object.assign({
+      'User-Agent': 'Mini-Ergo-Wallet-Tracker/1.0 (Node.js)',
+      'Accept': 'application/json, text/plain, */*',
+      'Referer': 'https://api-testnet.ergoplatform.com/'
+    }, opts.headers || {});
+
+    const controller = new globalThis.AbortController();
+    opts.signal = controller.signal;
+    const timeout = setTimeout(() => controller.abort(), ms);
+    try {
+      return await fetch(url, opts);
+    } catch (err) {
+      // Normalize aborted error name
+      if (err && err.name === 'AbortError') {
+        const e = new Error('Request timed out');
+        e.name = 'AbortError';
+        throw e;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async function requestOnce(url, opts) {
+    const resp = await fetchWithTimeout(url, Object.assign({}, opts));
+    if (!resp.ok) {
+      const t = await resp.text().catch(() => '');
+      console.error('Upstream returned non-OK:', resp.status, url, t.slice(0, 500));
+      const e = new Error(`Upstream returned ${resp.status}`);
+      e.status = resp.status;
+      e.body = t.slice(0, 1000);
+      throw e;
+    }
+    const body = await parseResponseBody(resp);
+    // parseResponseBody falls back to text; a body that is not JSON is an upstream failure
+    if (typeof body === 'string') {
+      console.error('Upstream returned a non-JSON body:', url, body.slice(0, 200));
+      const e = new Error('Upstream returned a malformed body');
+      e.name = 'MalformedResponse';
+      throw e;
+    }
+    return body;
+  }
+
+  async function requestJson(url, opts = {}) {
+    const method = String(opts.method || 'GET').toUpperCase();
+    const attempts = IDEMPOTENT.includes(method) ? retries + 1 : 1;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestOnce(url, opts);
+      } catch (err) {
+        if (attempt + 1 >= attempts || !isRetryable(err)) throw err;
+        const delay = Math.floor(Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+        console.error(`[http] ${method} ${url} failed (${err.status || err.name}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { fetchWithTimeout, requestJson };
+}
+
+module.exports = { createHttpClient, parseResponseBody, mapWithConcurrency };
@@ -0,0 +1,185 @@
+// backend/selection.js
+/**
+ * Coin selection over an address's unspent boxes, to preview which boxes a send would spend
+ * (GET /api/wallet/:address/select). Nothing is built or signed.
+ *
+ *   largest-first     biggest ERG boxes first: few inputs, large change
+ *   smallest-first    smallest ERG boxes first: spends small boxes, more inputs
+ *   min-inputs        the smallest box that covers what is still missing, else the largest, repeated
+ *   consolidate-dust  every box at or below the dust threshold (up to CONSOLIDATE_MAX_INPUTS), then
+ *                     smallest-first
+ *
+ * Token targets are covered first from the boxes holding them (their ERG counts as well). ERG is
+ * then added in the strategy's order, from boxes without tokens while those can still cover the
+ * rest, so the change box stays small. Selection continues until the change is zero or a valid box.
+ *
+ * Fees and box sizes are estimates: a flat fee (RECOMMENDED_FEE unless given) and a minimum box
+ * value of MIN_VALUE_PER_BYTE per estimated byte, never below SAFE_MIN_BOX_VALUE.
+ */
+
+const { toBig } = require('./aggregate');
+
+const STRATEGIES = ['largest-first', 'smallest-first', 'min-inputs', 'consolidate-dust'];
+
+const RECOMMENDED_FEE = 1100000n; // 0.0011 ERG, what wallets pay by default
+const SAFE_MIN_BOX_VALUE = 1000000n; // 0.001 ERG
+const MIN_VALUE_PER_BYTE = 360n;
+const BOX_BASE_BYTES = 105n; // P2PK box with no tokens or registers
+const TOKEN_BYTES = 40n; // token id + VLQ amount
+const MAX_TOKENS_PER_BOX = 122;
+const DUST_NANOERG = 2n * SAFE_MIN_BOX_VALUE;
+const CONSOLIDATE_MAX_INPUTS = 50;
+
+// estimated minimum value of a P2PK box carrying `tokenCount` tokens
+function minBoxValue(tokenCount = 0) {
+  const bySize = (BOX_BASE_BYTES + BigInt(tokenCount) * TOKEN_BYTES) * MIN_VALUE_PER_BYTE;
+  return bySize > SAFE_MIN_BOX_VALUE ? bySize : SAFE_MIN_BOX_VALUE;
+}
+
+function tokenAmount(box, tokenId) {
+  return (box.assets || []).filter(a => String(a.tokenId) === tokenId).reduce((sum, a) => sum + toBig(a.amount), 0n);
+}
+
+const cmpBig = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const hasTokens = box => (box.assets || []).length > 0;
+
+// ERG and per-token totals of a set of boxes
+function totalsOf(boxes) {
+  let nanoErg = 0n;
+  const tokens = new Map();
+  boxes.forEach(b => {
+    nanoErg += toBig(b.value);
+    (b.assets || []).forEach(a => tokens.set(String(a.tokenId), (tokens.get(String(a.tokenId)) || 0n) + toBig(a.amount)));
+  });
+  return { nanoErg, tokens };
+}
+
+// tokens left over after paying `target` (Map tokenId -> amount), as [{ tokenId, amount }]
+function tokenChange(inputTokens, target) {
+  return Array.from(inputTokens.entries())
+    .map(([tokenId, amount]) => ({ tokenId, amount: amount - (target.get(tokenId) || 0n) }))
+    .filter(t => t.amount > 0n);
+}
+
+// next ERG box for a strategy; `candidates` are the boxes not taken yet
+function pickErg(strategy, candidates, shortfall) {
+  if (candidates.length === 0) return null;
+  // boxes with tokens only once the token-free ones cannot cover the rest
+  const tokenFree = candidates.filter(b => !hasTokens(b));
+  const pool = totalsOf(tokenFree).nanoErg >= shortfall ? tokenFree : candidates;
+  const ordered = pool.slice().sort((a, b) => {
+    const byValue = cmpBig(toBig(a.value), toBig(b.value));
+    return strategy === 'largest-first' || strategy === 'min-inputs' ? -byValue : byValue;
+  });
+  if (strategy === 'min-inputs') {
+    const covering = ordered.filter(b => toBig(b.value) >= shortfall);
+    if (covering.length) return covering[covering.length - 1];
+  }
+  return ordered[0];
+}
+
+const issue = (severity, code, message, details = {}) => Object.assign({ severity, code, message }, details);
+
+/**
+ * Pick inputs from `boxes` (confirmed, unspent) for sending `nanoErg` plus `tokens`
+ * (Map tokenId -> raw amount) and paying `feeNanoErg`.
+ * -> { strategy, ok, inputs, inputCount, inputNanoErg, feeNanoErg, change, issues }
+ * `ok` is false when any issue has severity 'error'; `change` is null when no change box is needed.
+ */
+function selectBoxes(boxes, { strategy = 'largest-first', nanoErg = 0n, tokens = new Map(), feeNanoErg = RECOMMENDED_FEE, dustNanoErg = DUST_NANOERG } = {}) {
+  if (!STRATEGIES.includes(strategy)) throw new Error(`unknown strategy '${strategy}'`);
+  const chosen = [];
+  const taken = new Set();
+  const take = box => { chosen.push(box); taken.add(box.boxId); };
+  const remaining = () => boxes.filter(b => !taken.has(b.boxId));
+  const need = nanoErg + feeNanoErg;
+  const issues = [];
+
+  // 1. the requested tokens, from the boxes that hold them
+  tokens.forEach((amount, tokenId) => {
+    let have = totalsOf(chosen).tokens.get(tokenId) || 0n;
+    const holders = remaining().filter(b => tokenAmount(b, tokenId) > 0n).sort((a, b) => {
+      const byAmount = cmpBig(tokenAmount(a, tokenId), tokenAmount(b, tokenId));
+      return strategy === 'largest-first' || strategy === 'min-inputs' ? -byAmount : byAmount;
+    });
+    for (const box of holders) {
+      if (have >= amount) break;
+      take(box);
+      have += tokenAmount(box, tokenId);
+    }
+  });
+
+  // 2. sweep the dust in
+  if (strategy === 'consolidate-dust') {
+    remaining()
+      .filter(b => toBig(b.value) <= dustNanoErg)
+      .sort((a, b) => cmpBig(toBig(a.value), toBig(b.value)))
+      .slice(0, Math.max(0, CONSOLIDATE_MAX_INPUTS - chosen.length))
+      .forEach(take);
+  }
+
+  // 3. ERG, until the change is zero or large enough to be its own box
+  for (;;) {
+    const t = totalsOf(chosen);
+    const changeTokens = tokenChange(t.tokens, tokens);
+    const change = t.nanoErg - need;
+    const minChange = minBoxValue(changeTokens.length);
+    if (change === 0n && changeTokens.length === 0) break;
+    if (change >= minChange) break;
+    const shortfall = change < 0n ? -change : minChange - change;
+    const next = pickErg(strategy, remaining(), shortfall);
+    if (!next) break;
+    take(next);
+  }
+
+  const t = totalsOf(chosen);
+  const changeTokens = tokenChange(t.tokens, tokens);
+  const changeNanoErg = t.nanoErg - need;
+  const change = changeNanoErg !== 0n || changeTokens.length
+    ? { nanoErg: changeNanoErg.toString(), tokens: changeTokens.map(c => ({ tokenId: c.tokenId, amount: c.amount.toString() })), minBoxValue: minBoxValue(changeTokens.length).toString() }
+    : null;
+
+  if (changeNanoErg < 0n) {
+    issues.push(issue('error', 'INSUFFICIENT_ERG', 'not enough ERG in the unspent boxes', { missingNanoErg: (-changeNanoErg).toString() }));
+  }
+  tokens.forEach((amount, tokenId) => {
+    const have = t.tokens.get(tokenId) || 0n;
+    if (have < amount) issues.push(issue('error', 'INSUFFICIENT_TOKEN', 'not enough of a requested token', { tokenId, missing: (amount - have).toString() }));
+  });
+  if (change && changeNanoErg >= 0n && changeNanoErg < minBoxValue(changeTokens.length)) {
+    issues.push(issue('error', 'CHANGE_BELOW_MIN_BOX_VALUE', 'the change is too small to be a box of its own', { changeNanoErg: changeNanoErg.toString(), minBoxValue: minBoxValue(changeTokens.length).toString() }));
+  }
+  const outputMin = minBoxValue(tokens.size);
+  if (nanoErg < outputMin) {
+    issues.push(issue('error', 'OUTPUT_BELOW_MIN_BOX_VALUE', 'the ERG sent is below the minimum value of the recipient box', { nanoErg: nanoErg.toString(), minBoxValue: outputMin.toString() }));
+  }
+  if (changeTokens.length > MAX_TOKENS_PER_BOX) {
+    issues.push(issue('warning', 'CHANGE_TOO_MANY_TOKENS', `the change holds more than ${MAX_TOKENS_PER_BOX} tokens and has to be split over several boxes`, { tokenCount: changeTokens.length }));
+  }
+  if (feeNanoErg < RECOMMENDED_FEE) {
+    issues.push(issue('warning', 'FEE_BELOW_RECOMMENDED', 'the fee is below what wallets pay by default and may not be mined', { recommendedNanoErg: RECOMMENDED_FEE.toString() }));
+  }
+
+  return {
+    strategy,
+    ok: issues.every(i => i.severity !== 'error'),
+    inputs: chosen.map(b => ({ boxId: b.boxId, value: String(b.value), creationHeight: b.creationHeight ?? null, assets: b.assets || [] })),
+    inputCount: chosen.length,
+    inputNanoErg: t.nanoErg.toString(),
+    feeNanoErg: feeNanoErg.toString(),
+    change,
+    issues
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  RECOMMENDED_FEE,
+  SAFE_MIN_BOX_VALUE,
+  MIN_VALUE_PER_BYTE,
+  MAX_TOKENS_PER_BOX,
+  DUST_NANOERG,
+  CONSOLIDATE_MAX_INPUTS,
+  minBoxValue,
+  selectBoxes
+};
@@ -11,15 +11,28 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const fetch = require('node-fetch'); // node-fetch v2 (CommonJS)
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const fetch = require('node-fetch');
+const { toBig, parseUnits, txDelta, balanceSeries, downsampleSeries, txFee, BOX_SORTS, filterAndSortBoxes } = require('./aggregate');
+const { inspectAddress } = require('./address');
+const { createBoxWatcher } = require('./watcher');
+const { createAlertManager, webhookAgent } = require('./alerts');
+const { snapshotOf, snapshotMeta, diffSnapshots, createSnapshotStore } = require('./snapshots');
+const { EXPORT_KINDS, EXPORT_FORMATS, inRange, boxRow, txRow, dustRow, ledgerRows, chronological, lineFormat } = require('./export');
+const { STRATEGIES, RECOMMENDED_FEE, selectBoxes } = require('./selection');
+const { analyzeDust } = require('./dust');
+const {
+  EXPLORER_MAX_LIMIT, BOX_STATUSES, TOKEN_TOP_HOLDERS_MAX,
+  parseBoxStatus, mapWithConcurrency, pendingBalance, walletFromEnv
+} = require('./wallet');
+const { apiError, errorBody } = require('./errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const TESTNET_BASE = 'https://api-testnet.ergoplatform.com/api/v1';
 
 // --- basic middleware ---
 // Helmet with CSP configured so CDN scripts (Tailwind, Chart.js) can load
@@ -40,17 +53,29 @@ app.use(helmet({
         'https://cdn.tailwindcss.com'
       ],
       imgSrc: ["'self'", 'data:', 'https:'],
-      connectSrc: ["'self'", 'https://api-testnet.ergoplatform.com'],
+      connectSrc: ["'self'"],
       fontSrc: ["'self'", 'https://fonts.gstatic.com', 'data:'],
       objectSrc: ["'none'"],
     }
   }
 }));
 
+// request id: the caller's X-Request-Id when it looks sane, otherwise a new one. It is echoed
+// back, printed in the access log and error logs, and included in every error envelope.
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // allow cross-origin for development (if you will later host frontend separately you can lock this down)
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+// no request log under the test runner
+morgan.token('id', req => req.id);
+if (process.env.NODE_ENV !== 'test') app.use(morgan(':method :url :status :response-time ms - :res[content-length] [:id]'));
 app.use(express.json());
-app.use(morgan('dev'));
 
 // serve frontend static files (expects ../frontend/index.html and assets)
 app.use('/', express.static(path.join(__dirname, '..', 'frontend')));
@@ -58,316 +83,857 @@ app.use('/', express.static(path.join(__dirname, '..', 'frontend')));
 // --- simple rate limiter (protect explorer from being hammered) ---
 const limiter = rateLimit({
   windowMs: 15 * 1000, // 15s window
-  max: 30, // limit each IP to 30 requests per windowMs
+  max: Number(process.env.RATE_LIMIT_MAX) || 30, // limit each IP to 30 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
-  message: { error: 'Too many requests, slow down.' }
+  handler: (req, res) => sendError(req, res, apiError('RATE_LIMITED', 'too many requests, slow down'))
 });
 app.use('/api/', limiter);
 
-// --- simple in-memory cache ---
-const cache = new Map();
-const CACHE_TTL_MS = 30 * 1000; // 30s - tune as needed
-
-function getCached(key) {
-  const item = cache.get(key);
-  if (!item) return null;
-  if (Date.now() - item.ts > CACHE_TTL_MS) {
-    cache.delete(key);
-    return null;
+// --- upstream data: response cache, outgoing HTTP, providers and the cached reads on top (see wallet.js) ---
+const { network: NETWORK, http, cache, upstream, wallet } = walletFromEnv(process.env);
+if (process.env.CACHE_FILE) {
+  process.on('exit', () => cache.flushSync());
+  ['SIGINT', 'SIGTERM'].forEach(sig => process.once(sig, () => process.exit(0)));
+}
+const {
+  resourceKey, addressProblem, cachedBoxPage, fetchBoxPage, fetchAllBoxPages, fetchTokenInfo, fetchTokenInfoBatch, loadTokenMeta,
+  buildSummary, fetchMempool, fetchHeight, decodeBoxRegisters, fetchBoxCached, fetchTxCached, addressTxsKey, fetchAllTxPages, tokenDetail
+} = wallet;
+
+// answer with the error envelope from errors.js; server-side failures are logged with the request id
+function sendError(req, res, err) {
+  const { status, body } = errorBody(err, req.id || null);
+  if (status >= 500) {
+    const detail = body.error.code === 'INTERNAL' ? (err && (err.stack || err)) : (err && (err.message || err.name));
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} -> ${status} ${body.error.code}:`, detail);
   }
-  return item.data;
+  return res.status(status).json(body);
 }
-function setCached(key, data) {
-  cache.set(key, { data, ts: Date.now() });
+
+// note attached to responses served from cache past their TTL
+function staleNote(result) {
+  if (!result.stale) return undefined;
+  return result.error ? 'returned stale cached data due to upstream error' : 'stale cached data, refresh in progress';
 }
 
-// --- helper: fetch with timeout and browser-like headers ---
-// default timeout
-const defaultTimeout = 30_000; // ms
-
-async function fetchWithTimeout(url, opts = {}, timeoutMs = defaultTimeout) {
-  opts.headers = Object.assign({
-    'User-Agent': 'Mini-Ergo-Wallet-Tracker/1.0 (Node.js)',
-    'Accept': 'application/json, text/plain, */*',
-    'Referer': 'https://api-testnet.ergoplatform.com/'
-  }, opts.headers || {});
-
-  // If AbortController is available, use it (preferred).
-  const hasAbort = typeof globalThis.AbortController !== 'undefined';
-
-  if (hasAbort) {
-    const controller = new globalThis.AbortController();
-    opts.signal = controller.signal;
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    try {
-      // Minimal logging to avoid noisy output
-      const res = await fetch(url, opts);
-      clearTimeout(timeout);
-      return res;
-    } catch (err) {
-      clearTimeout(timeout);
-      // Normalize aborted error name
-      if (err && err.name === 'AbortError') {
-        const e = new Error('Request timed out');
-        e.name = 'AbortError';
-        throw e;
-      }
-      throw err;
-    }
-  } else {
-    // Fallback for older Node.js where AbortController is missing:
-    // race fetch against a timeout promise.
-    return await Promise.race([
-      fetch(url, opts),
-      new Promise((_, reject) => setTimeout(() => {
-        const e = new Error('Request timed out');
-        e.name = 'AbortError';
-        reject(e);
-      }, timeoutMs))
-    ]);
-  }
+// --- live box watcher (one explorer poll per address, fanned out over SSE) ---
+const boxWatcher = createBoxWatcher({
+  intervalMs: Number(process.env.STREAM_POLL_MS) || 15000,
+  maxAddresses: Number(process.env.STREAM_MAX_ADDRESSES) || 50,
+  loadBoxes: async address => {
+    const walk = await fetchAllBoxPages(address, 'unspent', { fresh: true });
+    // a partial walk would look like a mass spend; only diff complete sets
+    if (!walk.complete) throw new Error(`partial box set (${walk.pagesFetched}/${walk.pagesTotal} pages)`);
+    return walk.items;
+  },
+  loadPending: async address => (await fetchMempool(address, { fresh: true })).items.map(tx => tx.txId)
+});
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// --- named snapshots (one JSON file each in SNAPSHOTS_DIR) ---
+const snapshots = createSnapshotStore({ dir: path.resolve(__dirname, process.env.SNAPSHOTS_DIR || '.data/snapshots') });
+const SNAPSHOT_MAX = Number(process.env.SNAPSHOT_MAX) || 200;
+
+// --- balance-change alerts (rules in ALERTS_FILE, checked every ALERT_CHECK_MS) ---
+// webhooks on loopback / private hosts only with ALERT_ALLOW_PRIVATE_WEBHOOKS=1
+const ALERT_ALLOW_PRIVATE_WEBHOOKS = process.env.ALERT_ALLOW_PRIVATE_WEBHOOKS === '1';
+const webhookHttpAgent = webhookAgent({ allowPrivate: ALERT_ALLOW_PRIVATE_WEBHOOKS });
+const alerts = createAlertManager({
+  filePath: path.resolve(__dirname, process.env.ALERTS_FILE || '.data/alerts.json'),
+  defaultWebhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  intervalMs: Number(process.env.ALERT_CHECK_MS) || 60 * 1000,
+  maxAttempts: Number(process.env.ALERT_WEBHOOK_ATTEMPTS) || 5,
+  maxRules: Number(process.env.ALERT_MAX_RULES) || 100,
+  allowPrivateWebhooks: ALERT_ALLOW_PRIVATE_WEBHOOKS,
+  loadBoxes: address => fetchAllBoxPages(address, 'unspent', { fresh: true }),
+  // a plain POST: no explorer headers, no redirects (a 3xx counts as a rejected delivery)
+  postJson: (url, payload) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'Mini-Ergo-Wallet-Tracker/1.0 (alerts)' },
+    body: JSON.stringify(payload),
+    redirect: 'manual',
+    agent: webhookHttpAgent,
+    timeout: 10 * 1000
+  })
+});
+
+// --- address validation ---
+// route middleware: rejects bad / wrong-network addresses before anything reaches the explorer,
+// and leaves the normalized address on req.address
+function requireAddress(req, res, next) {
+  const info = inspectAddress(req.params.address);
+  const problem = addressProblem(info);
+  if (problem) return next(problem);
+  req.address = info.address;
+  req.addressInfo = info;
+  next();
 }
 
-// helper to try parse json safely (returns object or text)
-async function parseResponseBody(resp) {
-  const ct = resp.headers && resp.headers.get ? resp.headers.get('content-type') || '' : '';
-  if (ct.includes('application/json')) {
-    return await resp.json();
-  }
-  // try json parse fallback
-  const txt = await resp.text().catch(() => '');
-  try {
-    return JSON.parse(txt);
-  } catch {
-    return txt;
-  }
+// page params shared by the paged routes; limit is capped at the explorer's 500
+function parsePaging(query, defaultLimit) {
+  let limit = parseInt(query.limit, 10) || defaultLimit;
+  let offset = parseInt(query.offset, 10) || 0;
+  if (Number.isNaN(limit) || limit <= 0) limit = defaultLimit;
+  if (Number.isNaN(offset) || offset < 0) offset = 0;
+  if (limit > EXPLORER_MAX_LIMIT) limit = EXPLORER_MAX_LIMIT;
+  return { limit, offset };
+}
+
+function requireBoxStatus(value, fallback) {
+  const status = parseBoxStatus(value, fallback);
+  if (!status) throw apiError('BAD_REQUEST', `status must be one of ${BOX_STATUSES.join('|')}`);
+  return status;
+}
+
+// ?minValue in nanoERG: a non-negative integer, 0 when absent
+function requireMinValue(value) {
+  if (value === undefined || value === '') return 0n;
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) throw apiError('BAD_REQUEST', 'minValue must be a non-negative integer (nanoERG)');
+  return BigInt(text);
 }
 
 // --- endpoints ---
+// Handlers throw (async ones reject) and the error middleware at the bottom answers with the
+// envelope from errors.js, so routes only deal with the success path.
+
+// health: ok is false when no upstream answers its ping
+app.get('/api/health', async (req, res) => {
+  const upstreams = await upstream.health();
+  res.json({
+    ok: upstreams.some(u => u.reachable),
+    ts: Date.now(),
+    network: NETWORK,
+    upstreams,
+    cache: cache.stats(),
+    streams: boxWatcher.stats(),
+    alerts: alerts.stats()
+  });
+});
 
-// health
-app.get('/api/health', (req, res) => res.json({ ok: true, ts: Date.now() }));
+// decode an address without touching the explorer: network, type, ErgoTree
+// always 200 for a non-empty input; `valid` / `usable` say whether the tracker accepts it
+app.get('/api/address/:address/inspect', (req, res) => {
+  const info = inspectAddress(req.params.address);
+  if (!info.address) throw apiError('BAD_REQUEST', 'address is required');
+  const problem = addressProblem(info);
+  return res.json(Object.assign({}, info, {
+    expectedNetwork: NETWORK,
+    usable: !problem,
+    code: problem ? problem.code : null,
+    message: problem ? problem.message : null
+  }));
+});
 
-// get UTXOs for an address (with optional paging)
+// get boxes for an address (with optional paging)
+// ?status=unspent|spent|all (default all, the explorer's byAddress history)
+// ?minValue=<nanoERG>&token=<tokenId substring>&sort=value_desc|value_asc|height_desc|height_asc
+//   filters/sort apply to the whole box set, so they (and status=spent) walk every explorer page
+//   and page locally; `total` is always the size of the filtered set.
 // IMPORTANT: explorer limits 'limit' to <= 500 — we cap it server-side.
-app.get('/api/wallet/:address/utxos', async (req, res) => {
-  try {
-    const raw = String(req.params.address || '');
-    const address = raw.replace(/\s/g, '').trim();
-    if (!address) return res.status(400).json({ error: 'آدرس نامعتبر است' });
+app.get('/api/wallet/:address/utxos', requireAddress, async (req, res) => {
+  const address = req.address;
+  const status = requireBoxStatus(req.query.status, 'all');
+  const { limit, offset } = parsePaging(req.query, 100);
+
+  const sort = req.query.sort ? String(req.query.sort) : '';
+  if (sort && !BOX_SORTS.includes(sort)) throw apiError('BAD_REQUEST', `sort must be one of ${BOX_SORTS.join('|')}`);
+  const token = String(req.query.token || '').trim();
+  const minValue = requireMinValue(req.query.minValue);
+
+  // spent-only has no explorer route and filters/sort need the full set:
+  // walk every page (cached per page) and slice locally
+  if (status === 'spent' || sort || token || minValue > 0n) {
+    const walk = await fetchAllBoxPages(address, status);
+    const list = filterAndSortBoxes(walk.items, { minValue, token, sort });
+    return res.json({
+      fetchedAt: Date.now(),
+      cached: false,
+      status,
+      sort: sort || null,
+      total: list.length,
+      limit,
+      offset,
+      complete: walk.complete,
+      items: list.slice(offset, offset + limit)
+    });
+  }
 
-    // validate & cap limit
-    let limit = parseInt(req.query.limit, 10) || 100;
-    let offset = parseInt(req.query.offset, 10) || 0;
-    if (Number.isNaN(limit) || limit <= 0) limit = 100;
-    if (Number.isNaN(offset) || offset < 0) offset = 0;
+  const { result, key } = await cachedBoxPage(address, offset, limit, status);
+  const { items, total } = result.data;
+  return res.json({ fetchedAt: Date.now(), cached: result.cached, from: key, status, sort: null, total, limit, offset, items, note: staleNote(result) });
+});
 
-    const EXPLORER_MAX_LIMIT = 500;
-    if (limit > EXPLORER_MAX_LIMIT) limit = EXPLORER_MAX_LIMIT;
+// get token info
+app.get('/api/asset/:tokenId', async (req, res) => {
+  const id = String(req.params.tokenId || '').trim();
+  if (!id) throw apiError('BAD_REQUEST', 'tokenId is required');
+  const result = await fetchTokenInfo(id);
+  return res.json({ fetchedAt: Date.now(), cached: result.cached, from: resourceKey(`tokens/${id}`), item: result.data, note: staleNote(result) });
+});
 
-    const url = `${TESTNET_BASE}/boxes/byAddress/${encodeURIComponent(address)}?limit=${limit}&offset=${offset}`;
+// token info for many ids in one call (the token panel asks for every token of a wallet at once).
+// Body: { tokenIds: [...] }. Partial results: ids that fail, or are not token ids, are listed
+// under `errors` with their own envelope instead of failing the request.
+const ASSETS_MAX_IDS = Number(process.env.ASSETS_MAX_IDS) || 200;
+
+app.post('/api/assets', async (req, res) => {
+  const input = req.body && Array.isArray(req.body.tokenIds) ? req.body.tokenIds : null;
+  if (!input) throw apiError('BAD_REQUEST', 'body must be { tokenIds: [...] }');
+  const ids = Array.from(new Set(input.map(id => String(id || '').trim()).filter(Boolean)));
+  if (ids.length === 0) throw apiError('BAD_REQUEST', 'at least one tokenId is required');
+  if (ids.length > ASSETS_MAX_IDS) throw apiError('BAD_REQUEST', `at most ${ASSETS_MAX_IDS} tokenIds are allowed`);
+
+  const valid = ids.filter(id => /^[0-9a-fA-F]{64}$/.test(id));
+  const batch = await fetchTokenInfoBatch(valid, { requestId: req.id });
+  ids.filter(id => !valid.includes(id)).forEach(id => {
+    batch.errors[id] = errorBody(apiError('BAD_REQUEST', 'tokenId must be 64 hex characters'), req.id).body.error;
+  });
+  return res.json({
+    fetchedAt: Date.now(),
+    network: NETWORK,
+    requested: ids.length,
+    cached: batch.cached,
+    fetched: batch.fetched,
+    items: batch.items,
+    errors: batch.errors
+  });
+});
 
-    // try cache first
-    const cached = getCached(url);
-    if (cached) {
-      return res.json({ fetchedAt: Date.now(), cached: true, from: url, items: cached.items || cached });
-    }
+// get box details (explorer box + decoded registers)
+app.get('/api/box/:boxId', async (req, res) => {
+  const boxId = String(req.params.boxId || '').trim();
+  if (!/^[0-9a-fA-F]{64}$/.test(boxId)) throw apiError('BAD_REQUEST', 'boxId must be 64 hex characters');
+
+  const result = await fetchBoxCached(boxId);
+  const box = result.data || {};
+  return res.json({
+    fetchedAt: Date.now(),
+    cached: result.cached,
+    from: resourceKey(`boxes/${boxId}`),
+    item: box,
+    registers: decodeBoxRegisters(box.additionalRegisters),
+    note: staleNote(result)
+  });
+});
 
-    // call explorer
-    let response;
-    try {
-      response = await fetchWithTimeout(url);
-    } catch (err) {
-      console.error('[proxy] fetch error for', url, err && (err.name || err.message || err));
-      // fallback to cache if available
-      if (cached) {
-        return res.json({ fetchedAt: Date.now(), cached: true, from: url, items: cached.items || cached, note: 'returned stale cached data due to fetch error' });
-      }
-      if (err && err.name === 'AbortError') return res.status(504).json({ error: 'Explorer request timed out' });
-      return res.status(502).json({ error: 'خطا در تماس با Explorer', detail: String(err && (err.message || err)) });
-    }
+// decode registers the client already has (e.g. unconfirmed outputs that the explorer
+// has no box page for). Body: { registers: { R4: "hex" | { serializedValue }, ... } }
+app.post('/api/registers/decode', (req, res) => {
+  const registers = req.body && req.body.registers;
+  if (!registers || typeof registers !== 'object') throw apiError('BAD_REQUEST', 'registers object is required');
+  return res.json({ registers: decodeBoxRegisters(registers) });
+});
 
-    if (!response.ok) {
-      const txt = await response.text().catch(() => '');
-      console.error('Explorer returned non-OK:', response.status, txt.slice(0, 1000));
-      // try to return cached data if explorer failed
-      if (cached) {
-        return res.json({ fetchedAt: Date.now(), cached: true, from: url, items: cached.items || cached, note: 'returned stale cached data due to explorer error' });
-      }
-      const statusToClient = response.status >= 500 ? 502 : response.status;
-      return res.status(statusToClient).json({ error: 'خطا از Explorer', status: response.status, body: txt.slice(0, 1000) });
-    }
+// --- token details: supply, minting box, EIP-4 metadata, holders (see wallet.js tokenDetail) ---
+// ?holders=N (top N, default 20, max 100) &address= (adds that address's share of the supply)
+app.get('/api/token/:tokenId', async (req, res) => {
+  const tokenId = String(req.params.tokenId || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(tokenId)) throw apiError('BAD_REQUEST', 'tokenId must be 64 hex characters');
+  const top = Math.min(TOKEN_TOP_HOLDERS_MAX, Math.max(1, parseInt(req.query.holders, 10) || 20));
+  const address = String(req.query.address || '').replace(/\s/g, '');
+  if (address) {
+    const problem = addressProblem(inspectAddress(address));
+    if (problem) throw problem;
+  }
+  return res.json(await tokenDetail(tokenId, { top, address, requestId: req.id }));
+});
 
-    // parse body safely
-    const body = await parseResponseBody(response);
-    const items = Array.isArray(body) ? body : (body && body.items ? body.items : []);
-    setCached(url, { items, raw: body });
-    return res.json({ fetchedAt: Date.now(), cached: false, from: url, items });
-  } catch (err) {
-    console.error('Error /api/wallet/:address/utxos', err && (err.stack || err.message || err));
-    if (err && err.name === 'AbortError') return res.status(504).json({ error: 'Explorer request timed out' });
-    return res.status(500).json({ error: 'خطا در دریافت UTXOها', detail: String(err && (err.message || err)) });
+// get tx details; ?address= adds the net effect on that address
+app.get('/api/tx/:txId', async (req, res) => {
+  const txId = String(req.params.txId || '').trim();
+  if (!txId) throw apiError('BAD_REQUEST', 'txId is required');
+  const address = String(req.query.address || '').replace(/\s/g, '');
+  if (address) {
+    const problem = addressProblem(inspectAddress(address));
+    if (problem) throw problem;
   }
+
+  const { result, key } = await fetchTxCached(txId);
+  const tx = result.data || {};
+  const out = { fetchedAt: Date.now(), cached: result.cached, from: key, item: tx, feeNanoErg: txFee(tx), note: staleNote(result) };
+  if (address) {
+    out.address = address;
+    out.delta = txDelta(tx, address);
+  }
+  return res.json(out);
 });
 
-// get token info
-app.get('/api/asset/:tokenId', async (req, res) => {
+// live updates for an address over Server-Sent Events
+// events: snapshot, box-added, box-spent, balance-changed, mempool-changed, upstream-error (data is JSON)
+app.get('/api/wallet/:address/stream', requireAddress, (req, res) => {
+  const address = req.address;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.write(`retry: 5000\n\n`);
+  let unsubscribe;
   try {
-    const id = String(req.params.tokenId || '').trim();
-    if (!id) return res.status(400).json({ error: 'tokenId لازم است' });
-
-    const url = `${TESTNET_BASE}/tokens/${encodeURIComponent(id)}`;
-    const cached = getCached(url);
-    if (cached) return res.json({ fetchedAt: Date.now(), cached: true, from: url, item: cached });
-
-    let resp;
-    try {
-      resp = await fetchWithTimeout(url);
-    } catch (err) {
-      console.error('[proxy] fetch error for token', id, err && (err.name || err.message || err));
-      if (cached) return res.json({ fetchedAt: Date.now(), cached: true, from: url, item: cached, note: 'stale due to fetch error' });
-      if (err && err.name === 'AbortError') return res.status(504).json({ error: 'Explorer request timed out' });
-      return res.status(502).json({ error: 'خطا در تماس با Explorer', detail: String(err && (err.message || err)) });
-    }
-
-    if (!resp.ok) {
-      const t = await resp.text().catch(()=>'');
-      const statusToClient = resp.status >= 500 ? 502 : resp.status;
-      return res.status(statusToClient).json({ error: 'Explorer token API error', status: resp.status, body: t.slice(0,1000) });
-    }
-    const json = await parseResponseBody(resp);
-    setCached(url, json);
-    return res.json({ fetchedAt: Date.now(), cached: false, from: url, item: json });
+    unsubscribe = boxWatcher.subscribe(address, send);
   } catch (err) {
-    console.error('Error /api/asset/:tokenId', err && (err.stack || err.message || err));
-    return res.status(500).json({ error: 'خطا در گرفتن اطلاعات توکن', detail: String(err && (err.message || err)) });
+    send('upstream-error', { message: err.message, code: err.code || null, requestId: req.id });
+    return res.end();
   }
+  const heartbeat = setInterval(() => res.write(`: ping ${Date.now()}\n\n`), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
-// get tx details
-app.get('/api/tx/:txId', async (req, res) => {
+// unconfirmed activity for an address plus the balance it leads to once mined
+app.get('/api/wallet/:address/mempool', requireAddress, async (req, res) => {
+  const address = req.address;
+  const [mempool, confirmed] = await Promise.all([fetchMempool(address), buildSummary(address, 'unspent')]);
+  const pending = mempool.items;
+  return res.json({
+    fetchedAt: Date.now(),
+    address,
+    count: pending.length,
+    items: pending,
+    // false: pending txs that only spend this address's boxes may be missing (node upstream)
+    complete: mempool.complete,
+    confirmed: { totalNanoErg: confirmed.totalNanoErg, tokens: confirmed.tokens, utxoCount: confirmed.utxoCount, complete: confirmed.complete },
+    pending: pendingBalance(confirmed, pending)
+  });
+});
+
+// transaction history for an address (newest first, paged like the explorer)
+// each item carries the net ERG / token effect of the tx on this address
+app.get('/api/wallet/:address/transactions', requireAddress, async (req, res) => {
+  const address = req.address;
+  const { limit, offset } = parsePaging(req.query, 20);
+
+  const key = addressTxsKey(address, limit, offset);
+  const result = await cache.wrap(key, 'history', () => upstream.addressTransactions(address, { limit, offset }));
+  const txs = result.data.items;
+  const total = result.data.total;
+  const items = txs.map(tx => {
+    const delta = txDelta(tx, address);
+    return {
+      txId: tx.id,
+      inclusionHeight: tx.inclusionHeight ?? null,
+      timestamp: tx.timestamp ?? null,
+      numConfirmations: tx.numConfirmations ?? null,
+      inputCount: (tx.inputs || []).length,
+      outputCount: (tx.outputs || []).length,
+      direction: delta.direction,
+      netNanoErg: delta.netNanoErg,
+      tokens: delta.tokens
+    };
+  });
+
+  return res.json({ fetchedAt: Date.now(), cached: result.cached, from: key, address, total, limit, offset, items, note: staleNote(result) });
+});
+
+// balance history for charts: ERG (+ up to BALANCE_HISTORY_MAX_TOKENS tokens) after every tx
+//   ?axis=time|height  x axis (timestamp ms or block height), default time
+//   ?from=&to=         window in axis units; the balance carried into it is the first point
+//   ?tokens=id1,id2    token balances to include
+//   ?points=N          downsample to about N points (default 300)
+const BALANCE_HISTORY_MAX_TOKENS = 5;
+const BALANCE_HISTORY_MAX_POINTS = 2000;
+app.get('/api/wallet/:address/balance-history', requireAddress, async (req, res) => {
+  const address = req.address;
+
+  const axis = String(req.query.axis || 'time').toLowerCase();
+  if (!['time', 'height'].includes(axis)) throw apiError('BAD_REQUEST', 'axis must be time or height');
+  const num = v => (v === undefined || v === '' ? null : Number(v));
+  const from = num(req.query.from);
+  const to = num(req.query.to);
+  if ([from, to].some(v => v !== null && !Number.isFinite(v))) throw apiError('BAD_REQUEST', 'from / to must be numbers');
+  const tokenIds = Array.from(new Set(String(req.query.tokens || '').split(',').map(s => s.trim()).filter(Boolean)));
+  if (tokenIds.length > BALANCE_HISTORY_MAX_TOKENS) throw apiError('BAD_REQUEST', `at most ${BALANCE_HISTORY_MAX_TOKENS} tokens`);
+  let maxPoints = parseInt(req.query.points, 10) || 300;
+  if (maxPoints < 2) maxPoints = 2;
+  if (maxPoints > BALANCE_HISTORY_MAX_POINTS) maxPoints = BALANCE_HISTORY_MAX_POINTS;
+
+  const walk = await fetchAllTxPages(address);
+  const series = balanceSeries(walk.items, address, { tokenIds, axis, from, to });
+  const points = downsampleSeries(series, maxPoints);
+  return res.json({
+    fetchedAt: Date.now(),
+    address,
+    axis,
+    from,
+    to,
+    tokens: tokenIds,
+    txCount: walk.items.length,
+    totalTxs: walk.total,
+    complete: walk.complete,
+    failedOffsets: walk.failedOffsets,
+    downsampled: points.length < series.length,
+    points
+  });
+});
+
+// --- exports ---
+// Downloads for a whole address, written as they are produced:
+//   ?kind=boxes|transactions|ledger  (default boxes)   ?format=csv|jsonl  (default csv)
+//   ?status=&minValue=&token=&sort=   box filters, as on the utxos route (token also filters txs / ledger rows)
+//   ?from=&to=                        date range: ms timestamps or ISO dates (a bare date `to` covers the whole day)
+//   ?fromHeight=&toHeight=            block height range
+// Box pages are streamed one by one (all of them are kept only when a sort is asked for), with
+// the times of just that page's txs looked up alongside.
+// Transactions and the ledger need the full history first: the ledger's running balances are
+// wrong without it, so an incomplete history is an error rather than a short file.
+// A failure after the first bytes were sent aborts the response, so a cut download never looks complete.
+
+const EXPORT_TX_CONCURRENCY = 4;
+
+function parseExportDate(value, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const v = String(value).trim();
+  if (/^\d+$/.test(v)) return Number(v);
+  const ts = Date.parse(v);
+  if (Number.isNaN(ts)) throw apiError('BAD_REQUEST', `invalid date '${v}' (use ms or an ISO date)`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v) ? ts + 24 * 60 * 60 * 1000 - 1 : ts;
+}
+
+function parseExportRange(query) {
+  const height = name => {
+    const v = query[name];
+    if (v === undefined || v === '') return null;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw apiError('BAD_REQUEST', `${name} must be a block height`);
+    return n;
+  };
+  return {
+    fromTs: parseExportDate(query.from, false),
+    toTs: parseExportDate(query.to, true),
+    fromHeight: height('fromHeight'),
+    toHeight: height('toHeight')
+  };
+}
+
+// res.write that waits for the socket to drain; rejects once the client went away
+function writeChunk(res, chunk) {
+  if (res.destroyed) return Promise.reject(new Error('client closed the export'));
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = err => { res.off('drain', done); res.off('close', closed); err ? reject(err) : resolve(); };
+    const closed = () => done(new Error('client closed the export'));
+    res.on('drain', done);
+    res.on('close', closed);
+  });
+}
+
+async function fullTxHistory(address) {
+  const walk = await fetchAllTxPages(address);
+  if (!walk.complete) {
+    throw apiError('UPSTREAM_ERROR', `transaction history could not be read in full (${walk.failedOffsets.length} page(s) failed)`, { failedOffsets: walk.failedOffsets });
+  }
+  return walk.items;
+}
+
+const txTouchesToken = (tx, address, token) => txDelta(tx, address).tokens.some(tk => tk.tokenId.includes(token));
+
+app.get('/api/wallet/:address/export', requireAddress, async (req, res) => {
+  const address = req.address;
+  const kind = String(req.query.kind || 'boxes').toLowerCase();
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_KINDS.includes(kind)) throw apiError('BAD_REQUEST', `kind must be one of ${EXPORT_KINDS.join('|')}`);
+  if (!EXPORT_FORMATS.includes(format)) throw apiError('BAD_REQUEST', `format must be one of ${EXPORT_FORMATS.join('|')}`);
+  const status = requireBoxStatus(req.query.status, 'all');
+  const sort = req.query.sort ? String(req.query.sort) : '';
+  if (sort && !BOX_SORTS.includes(sort)) throw apiError('BAD_REQUEST', `sort must be one of ${BOX_SORTS.join('|')}`);
+  const token = String(req.query.token || '').trim();
+  const minValue = requireMinValue(req.query.minValue);
+  const range = parseExportRange(req.query);
+
+  const fmt = lineFormat(kind, format);
+  let rows = 0;
+  const begin = () => {
+    res.set({
+      'Content-Type': fmt.contentType,
+      'Content-Disposition': `attachment; filename="${address}_${kind}.${fmt.extension}"`,
+      'Cache-Control': 'no-store'
+    });
+    if (fmt.header) res.write(fmt.header);
+  };
+  const writeRows = list => {
+    rows += list.length;
+    return list.length ? writeChunk(res, list.map(fmt.line).join('')) : Promise.resolve();
+  };
+
+  if (kind === 'dust') {
+    const dust = await addressDust(req);
+    if (!dust.complete) throw apiError('UPSTREAM_ERROR', 'the unspent boxes could not be read in full', { issues: dust.issues });
+    const tokens = await loadTokenMeta(dust.analysis.boxes.flatMap(b => b.tokens.map(tk => tk.tokenId)));
+    begin();
+    await writeRows(dust.analysis.boxes.map(b => dustRow(b, dust.analysis, { tokens })));
+    return res.end();
+  }
+
+  if (kind !== 'boxes') {
+    const txs = chronological(await fullTxHistory(address));
+    const tokens = await loadTokenMeta(txs.flatMap(tx => txDelta(tx, address).tokens.map(tk => tk.tokenId)));
+    const list = kind === 'ledger'
+      ? ledgerRows(txs, address, { tokens, range, token })
+      : txs.filter(tx => inRange(range, { height: tx.inclusionHeight, timestamp: tx.timestamp }) && (!token || txTouchesToken(tx, address, token)))
+        .map(tx => txRow(tx, address, { tokens }));
+    begin();
+    await writeRows(list);
+    return res.end();
+  }
+
+  // boxes: times come from the creating / spending txs, looked up page by page (confirmed txs are
+  // cached for good). Lookups that fail leave those times blank and are reported in the
+  // X-Export-Incomplete trailer, e.g. `missing-times=3`.
+  const route = status === 'unspent' ? 'unspent' : 'all';
+  const first = await fetchBoxPage(address, 0, EXPLORER_MAX_LIMIT, route);
+  const times = new Map();
+  let missingTimes = 0;
+  const loadTimes = async txIds => {
+    const wanted = Array.from(new Set(txIds.filter(id => id && !times.has(id))));
+    const found = await mapWithConcurrency(wanted, EXPORT_TX_CONCURRENCY, id => fetchTxCached(id));
+    found.forEach((r, i) => {
+      if (!r.ok) {
+        missingTimes++;
+        console.error(`[${req.id}] export: tx ${wanted[i]} lookup failed:`, r.error && (r.error.message || r.error.name));
+      }
+      times.set(wanted[i], r.ok && r.value.result.data ? r.value.result.data.timestamp ?? null : null);
+    });
+  };
+  const hasDates = range.fromTs !== null || range.toTs !== null;
+  const tokens = new Map();
+  const keepBox = box => (status !== 'spent' || box.spentTransactionId) &&
+    inRange(range, { height: box.settlementHeight ?? box.creationHeight, timestamp: times.get(box.transactionId) });
+  const pick = async items => {
+    // the creation time is only needed up front when a date bound filters on it
+    if (hasDates) await loadTimes(items.map(b => b.transactionId));
+    return filterAndSortBoxes(items.filter(keepBox), { minValue, token });
+  };
+  const toRows = async items => {
+    await loadTimes(items.flatMap(b => [b.transactionId, b.spentTransactionId]));
+    await loadTokenMeta(items.flatMap(b => (b.assets || []).map(a => String(a.tokenId))), tokens);
+    return items.map(b => boxRow(b, { tokens, times }));
+  };
+
+  res.set('Trailer', 'X-Export-Incomplete');
+  begin();
+  const seen = new Set();
+  const sorted = [];
+  let page = first;
+  let offset = 0;
   try {
-    const txId = String(req.params.txId || '').trim();
-    if (!txId) return res.status(400).json({ error: 'txId لازم است' });
-
-    const url = `${TESTNET_BASE}/transactions/byId/${encodeURIComponent(txId)}`;
-    const cached = getCached(url);
-    if (cached) return res.json({ fetchedAt: Date.now(), cached: true, from: url, item: cached });
-
-    let resp;
-    try {
-      resp = await fetchWithTimeout(url);
-    } catch (err) {
-      console.error('[proxy] fetch error for tx', txId, err && (err.name || err.message || err));
-      if (cached) return res.json({ fetchedAt: Date.now(), cached: true, from: url, item: cached, note: 'stale due to fetch error' });
-      if (err && err.name === 'AbortError') return res.status(504).json({ error: 'Explorer request timed out' });
-      return res.status(502).json({ error: 'خطا در تماس با Explorer', detail: String(err && (err.message || err)) });
+    for (;;) {
+      // offsets shift when boxes arrive mid-walk
+      const fresh = page.items.filter(b => b && b.boxId && !seen.has(b.boxId) && seen.add(b.boxId));
+      if (sort) sorted.push(...await pick(fresh));
+      else await writeRows(await toRows(await pick(fresh)));
+      offset += EXPLORER_MAX_LIMIT;
+      const more = page.total !== null ? offset < page.total : page.items.length === EXPLORER_MAX_LIMIT;
+      if (!more) break;
+      page = await fetchBoxPage(address, offset, EXPLORER_MAX_LIMIT, route);
     }
+    if (sort) await writeRows(await toRows(filterAndSortBoxes(sorted, { sort })));
+  } catch (err) {
+    console.error(`[${req.id}] export boxes for ${address} aborted after ${rows} rows:`, err && (err.message || err.name));
+    return res.destroy();
+  }
+  if (missingTimes) res.addTrailers({ 'X-Export-Incomplete': `missing-times=${missingTimes}` });
+  return res.end();
+});
 
-    if (!resp.ok) {
-      const t = await resp.text().catch(()=>'');
-      const statusToClient = resp.status >= 500 ? 502 : resp.status;
-      return res.status(statusToClient).json({ error: 'Explorer tx API error', status: resp.status, body: t.slice(0,1000) });
+// --- send preview (coin selection, see selection.js) ---
+//   ?erg=1.5                        ERG to send (decimal)
+//   ?tokens=<tokenId>:<amount>,...  tokens to send, raw integer amounts
+//   ?strategy=largest-first|smallest-first|min-inputs|consolidate-dust|all  (default largest-first)
+//   ?fee=0.0011                     fee in ERG (default RECOMMENDED_FEE)
+// Runs over the confirmed unspent boxes minus those already spent by a mempool tx. Shortfalls and
+// min-box-value problems are reported per selection as `issues`, not as HTTP errors.
+function parseErgParam(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  let n;
+  try { n = parseUnits(String(value), 9); } catch (e) { throw apiError('BAD_REQUEST', `${name}: ${e.message}`); }
+  if (n < 0n) throw apiError('BAD_REQUEST', `${name} must not be negative`);
+  return n;
+}
+
+function parseTokenTargets(value) {
+  const tokens = new Map();
+  String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(part => {
+    const m = /^([0-9a-fA-F]{64}):(\d+)$/.exec(part);
+    if (!m || BigInt(m[2]) === 0n) throw apiError('BAD_REQUEST', `tokens entries must be <tokenId>:<raw amount> (got '${part}')`);
+    const id = m[1].toLowerCase();
+    tokens.set(id, (tokens.get(id) || 0n) + BigInt(m[2]));
+  });
+  return tokens;
+}
+
+app.get('/api/wallet/:address/select', requireAddress, async (req, res) => {
+  const address = req.address;
+  const nanoErg = parseErgParam(req.query.erg, 'erg', 0n);
+  const feeNanoErg = parseErgParam(req.query.fee, 'fee', RECOMMENDED_FEE);
+  const tokens = parseTokenTargets(req.query.tokens);
+  if (nanoErg === 0n && tokens.size === 0) throw apiError('BAD_REQUEST', 'nothing to send: set erg and/or tokens');
+  const strategy = String(req.query.strategy || 'largest-first');
+  if (strategy !== 'all' && !STRATEGIES.includes(strategy)) throw apiError('BAD_REQUEST', `strategy must be one of ${STRATEGIES.join('|')}|all`);
+
+  const walk = await fetchAllBoxPages(address, 'unspent');
+  const issues = [];
+  if (!walk.complete) {
+    issues.push({ severity: 'warning', code: 'PARTIAL_BOX_LIST', message: `only ${walk.pagesFetched}/${walk.pagesTotal} box pages could be read` });
+  }
+  let spending = new Set();
+  try {
+    const mempool = await fetchMempool(address);
+    spending = new Set(mempool.items.flatMap(tx => tx.spendingBoxIds));
+    if (!mempool.complete) {
+      issues.push({ severity: 'warning', code: 'MEMPOOL_PARTIAL', message: 'the upstream only lists pending txs paying this address; boxes another pending tx spends may be selected' });
     }
-    const json = await parseResponseBody(resp);
-    setCached(url, json);
-    return res.json({ fetchedAt: Date.now(), cached: false, from: url, item: json });
   } catch (err) {
-    console.error('Error /api/tx/:txId', err && (err.stack || err.message || err));
-    return res.status(500).json({ error: 'خطا در گرفتن اطلاعات تراکنش', detail: String(err && (err.message || err)) });
+    console.error(`[${req.id}] mempool lookup for select failed:`, err && (err.message || err.name));
+    issues.push({ severity: 'warning', code: 'MEMPOOL_UNKNOWN', message: 'the mempool could not be read; boxes a pending tx spends may be selected' });
   }
+  const boxes = walk.items.filter(b => !spending.has(b.boxId));
+
+  const selections = (strategy === 'all' ? STRATEGIES : [strategy]).map(s => selectBoxes(boxes, { strategy: s, nanoErg, tokens, feeNanoErg }));
+  return res.json({
+    fetchedAt: Date.now(),
+    address,
+    target: { nanoErg: nanoErg.toString(), tokens: Array.from(tokens, ([tokenId, amount]) => ({ tokenId, amount: amount.toString() })) },
+    feeNanoErg: feeNanoErg.toString(),
+    boxCount: boxes.length,
+    excludedPending: walk.items.filter(b => spending.has(b.boxId)).map(b => b.boxId),
+    complete: walk.complete,
+    issues,
+    selections
+  });
 });
 
-// summary (total ERG and token aggregation)
-app.get('/api/summary/:address', async (req, res) => {
+// dust: unspent boxes by value and age, flagged boxes and what merging them would cost (dust.js)
+// ?threshold=<ERG> replaces the per-box "twice the minimum box value" limit.
+// Without a block height (upstream failed) the analysis still runs, minus ages.
+async function addressDust(req) {
+  const address = req.address;
+  const thresholdNanoErg = parseErgParam(req.query.threshold, 'threshold', null);
+  const walk = await fetchAllBoxPages(address, 'unspent');
+  const issues = [];
+  if (!walk.complete) {
+    issues.push({ severity: 'warning', code: 'PARTIAL_BOX_LIST', message: `only ${walk.pagesFetched}/${walk.pagesTotal} box pages could be read` });
+  }
+  let height = null;
   try {
-    const raw = String(req.params.address || '');
-    const address = raw.replace(/\s/g, '').trim();
-    if (!address) return res.status(400).json({ error: 'آدرس لازم است' });
-
-    const url = `${TESTNET_BASE}/boxes/byAddress/${encodeURIComponent(address)}?limit=500`;
-
-    // try cache first
-    let data = getCached(url);
-    if (!data) {
-      // fetch and validate response
-      let resp;
-      try {
-        resp = await fetchWithTimeout(url);
-      } catch (err) {
-        console.error('[proxy] summary fetch error for', url, err && (err.name || err.message || err));
-        // fallback to cached if present
-        if (data) {
-          // (we already checked, but keep pattern)
-          const items = data.items || (Array.isArray(data) ? data : []);
-          // aggregate from cached below
-        } else {
-          if (err && err.name === 'AbortError') return res.status(504).json({ error: 'Explorer request timed out' });
-          return res.status(502).json({ error: 'خطا در تماس با Explorer', detail: String(err && (err.message || err)) });
-        }
-      }
+    height = await fetchHeight();
+  } catch (err) {
+    console.error(`[${req.id}] height lookup for dust failed:`, err && (err.message || err.name));
+    issues.push({ severity: 'warning', code: 'HEIGHT_UNKNOWN', message: 'the block height could not be read; box ages are left out' });
+  }
+  return { complete: walk.complete, issues, analysis: analyzeDust(walk.items, { height, thresholdNanoErg }) };
+}
 
-      if (resp) {
-        if (!resp.ok) {
-          const t = await resp.text().catch(()=>'');
-          console.error('Explorer returned non-OK for summary:', resp.status, t.slice(0,500));
-          // fallback to cache if possible
-          data = getCached(url);
-          if (!data) {
-            const statusToClient = resp.status >= 500 ? 502 : resp.status;
-            return res.status(statusToClient).json({ error: 'Explorer error for summary', status: resp.status, body: t.slice(0,1000) });
-          }
-        } else {
-          // good response
-          const body = await parseResponseBody(resp);
-          const items = Array.isArray(body) ? body : (body && body.items ? body.items : []);
-          data = { items, raw: body };
-          setCached(url, data);
-        }
-      }
-    }
+app.get('/api/wallet/:address/dust', requireAddress, async (req, res) => {
+  const { complete, issues, analysis } = await addressDust(req);
+  return res.json(Object.assign({ fetchedAt: Date.now(), address: req.address, complete, issues }, analysis));
+});
 
-    // at this point data should exist (either from fetch above or cache)
-    const items = (data && data.items) ? data.items : (Array.isArray(data) ? data : []);
-    // aggregate
-    let totalNanoErg = 0n;
-    const tokenMap = new Map();
-    items.forEach(it => {
-      try {
-        totalNanoErg += BigInt(it.value || 0);
-      } catch (e) {
-        // ignore bad values
-      }
-      (it.assets || []).forEach(a => {
-        const id = String(a.tokenId);
-        let amt = 0n;
-        try { amt = BigInt(a.amount || 0); } catch(e) { amt = 0n; }
-        tokenMap.set(id, (tokenMap.get(id) || 0n) + amt);
-      });
-    });
+// summary (total ERG and token aggregation)
+// Walks every explorer page (500 boxes each) so wallets above the cap are summed in full.
+// Defaults to unspent boxes so the total is the spendable balance; ?status=all|spent for history.
+// Tokens carry name / decimals / amountFormatted (skip the metadata lookups with ?tokenMeta=0).
+app.get('/api/summary/:address', requireAddress, async (req, res) => {
+  const status = requireBoxStatus(req.query.status, 'unspent');
+  return res.json(await buildSummary(req.address, status, { tokenMeta: req.query.tokenMeta !== '0' }));
+});
 
-    const tokens = Array.from(tokenMap.entries()).map(([tokenId, amount]) => ({ tokenId, amount: amount.toString() }));
+// portfolio: balances for several addresses plus combined totals
+// GET /api/portfolio?addresses=a,b,c  or  POST /api/portfolio { addresses: [...] }
+// one failing address does not fail the whole response; it gets an `error` envelope (errors.js) instead.
+const PORTFOLIO_MAX_ADDRESSES = Number(process.env.PORTFOLIO_MAX_ADDRESSES) || 25;
+const PORTFOLIO_CONCURRENCY = 2;
+
+// time of the newest tx touching an address (upstreams list newest first)
+async function fetchLastChange(address) {
+  const key = addressTxsKey(address, 1, 0);
+  const result = await cache.wrap(key, 'history', () => upstream.addressTransactions(address, { limit: 1, offset: 0 }));
+  const tx = result.data.items[0];
+  return tx ? { lastChangeAt: tx.timestamp ?? null, lastChangeHeight: tx.inclusionHeight ?? null, lastTxId: tx.id } : null;
+}
 
-    return res.json({
-      fetchedAt: Date.now(),
-      address,
-      totalNanoErg: totalNanoErg.toString(),
+async function handlePortfolio(req, res) {
+  const input = req.method === 'POST'
+    ? (req.body && Array.isArray(req.body.addresses) ? req.body.addresses : [])
+    : String(req.query.addresses || '').split(',');
+  const addresses = Array.from(new Set(input.map(a => String(a || '').replace(/\s/g, '')).filter(Boolean)));
+  if (addresses.length === 0) throw apiError('BAD_REQUEST', 'at least one address is required');
+  if (addresses.length > PORTFOLIO_MAX_ADDRESSES) throw apiError('BAD_REQUEST', `at most ${PORTFOLIO_MAX_ADDRESSES} addresses are allowed`);
+
+  const started = Date.now();
+  const results = await mapWithConcurrency(addresses, PORTFOLIO_CONCURRENCY, async address => {
+    const problem = addressProblem(inspectAddress(address));
+    if (problem) throw problem;
+    const summary = await buildSummary(address, 'unspent');
+    const last = await fetchLastChange(address).catch(err => {
+      console.error('[proxy] last change lookup failed for', address, err && (err.name || err.message));
+      return null;
+    });
+    return Object.assign(summary, last || { lastChangeAt: null, lastChangeHeight: null, lastTxId: null });
+  });
+
+  let combinedNanoErg = 0n;
+  const combinedTokens = new Map();
+  const entries = results.map((r, i) => {
+    if (!r.ok) {
+      const err = r.error;
+      console.error(`[${req.id}] portfolio entry failed for`, addresses[i], err && (err.message || err.name));
+      return { address: addresses[i], error: errorBody(err, req.id).body.error };
+    }
+    const s = r.value;
+    combinedNanoErg += toBig(s.totalNanoErg);
+    s.tokens.forEach(t => combinedTokens.set(t.tokenId, (combinedTokens.get(t.tokenId) || 0n) + toBig(t.amount)));
+    return s;
+  });
+  const tokens = Array.from(combinedTokens.entries()).map(([tokenId, amount]) => ({ tokenId, amount: amount.toString() }));
+
+  return res.json({
+    fetchedAt: Date.now(),
+    elapsedMs: Date.now() - started,
+    addresses: entries,
+    combined: {
+      totalNanoErg: combinedNanoErg.toString(),
       tokenCount: tokens.length,
       tokens,
-      utxoCount: items.length
-    });
-  } catch (err) {
-    console.error('Error /api/summary/:address', err && (err.stack || err.message || err));
-    return res.status(500).json({ error: 'خطا در ساخت خلاصه', detail: String(err && (err.message || err)) });
+      utxoCount: entries.reduce((n, e) => n + (e.utxoCount || 0), 0),
+      complete: entries.every(e => !e.error && e.complete)
+    }
+  });
+}
+app.get('/api/portfolio', handlePortfolio);
+app.post('/api/portfolio', handlePortfolio);
+
+// --- alert rules CRUD ---
+// rule body: { address, type, thresholdErg?, tokenId?, webhookUrl?, label?, enabled? }
+// invalid rules are thrown by alerts.js with code INVALID_RULE (a 400 in errors.js)
+const ruleNotFound = () => apiError('NOT_FOUND', 'alert rule not found');
+
+app.get('/api/alerts', (req, res) => {
+  const address = req.query.address ? String(req.query.address).replace(/\s/g, '') : null;
+  return res.json({ items: alerts.list({ address }), stats: alerts.stats() });
+});
+
+app.post('/api/alerts', async (req, res) => {
+  const body = req.body || {};
+  const info = inspectAddress(body.address);
+  const problem = addressProblem(info);
+  if (problem) throw problem;
+  return res.status(201).json({ item: await alerts.create(info.address, body) });
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+  const rule = alerts.get(req.params.id);
+  if (!rule) throw ruleNotFound();
+  return res.json({ item: rule });
+});
+
+// partial update; the address of a rule is fixed
+app.patch('/api/alerts/:id', async (req, res) => {
+  const body = Object.assign({}, req.body || {});
+  delete body.address;
+  const rule = await alerts.update(req.params.id, body);
+  if (!rule) throw ruleNotFound();
+  return res.json({ item: rule });
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  if (!(await alerts.remove(req.params.id))) throw ruleNotFound();
+  return res.status(204).end();
+});
+
+// POST a sample payload to the rule's webhook and report how it went
+app.post('/api/alerts/:id/test', async (req, res) => {
+  const delivery = await alerts.sendTest(req.params.id);
+  if (!delivery) throw ruleNotFound();
+  return res.json({ delivery });
+});
+
+// --- snapshots and diffs ---
+// POST body: { address, name }; the boxes are read fresh and must be complete, since a partial
+// list would show up as spent boxes in every later diff
+const snapshotNotFound = () => apiError('NOT_FOUND', 'snapshot not found');
+
+async function liveState(address) {
+  const walk = await fetchAllBoxPages(address, 'unspent', { fresh: true });
+  if (!walk.complete) {
+    throw apiError('UPSTREAM_ERROR', `unspent boxes could not be read in full (${walk.pagesFetched}/${walk.pagesTotal} pages)`);
+  }
+  const height = await fetchHeight().catch(() => null);
+  return snapshotOf(address, walk.items, { network: NETWORK, height });
+}
+
+app.get('/api/snapshots', (req, res) => {
+  const address = req.query.address ? String(req.query.address).replace(/\s/g, '') : null;
+  return res.json({ items: snapshots.list({ address }) });
+});
+
+app.post('/api/snapshots', async (req, res) => {
+  const body = req.body || {};
+  const info = inspectAddress(body.address);
+  const problem = addressProblem(info);
+  if (problem) throw problem;
+  const name = String(body.name || '').trim();
+  if (!name || name.length > 80) throw apiError('BAD_REQUEST', 'name is required (at most 80 characters)');
+  if (snapshots.count() >= SNAPSHOT_MAX) throw apiError('BAD_REQUEST', `too many snapshots (max ${SNAPSHOT_MAX}); delete some first`);
+  return res.status(201).json({ item: await snapshots.create(name, await liveState(info.address)) });
+});
+
+app.get('/api/snapshots/:id', async (req, res) => {
+  const snap = await snapshots.get(req.params.id);
+  if (!snap) throw snapshotNotFound();
+  return res.json({ item: snap });
+});
+
+app.delete('/api/snapshots/:id', async (req, res) => {
+  if (!(await snapshots.remove(req.params.id))) throw snapshotNotFound();
+  return res.status(204).end();
+});
+
+// ?to=<snapshot id> or live (default): what changed from this snapshot to the other state
+app.get('/api/snapshots/:id/diff', async (req, res) => {
+  const from = await snapshots.get(req.params.id);
+  if (!from) throw snapshotNotFound();
+  const toId = String(req.query.to || 'live');
+  let to;
+  if (toId === 'live') {
+    to = Object.assign(await liveState(from.address), { live: true });
+  } else {
+    to = await snapshots.get(toId);
+    if (!to) throw snapshotNotFound();
+    if (to.address !== from.address) throw apiError('BAD_REQUEST', 'the snapshots are of different addresses');
   }
+  return res.json(Object.assign({
+    fetchedAt: Date.now(),
+    address: from.address,
+    from: snapshotMeta(from),
+    to: snapshotMeta(to)
+  }, diffSnapshots(from, to)));
 });
 
 // final 404 fallback
-app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+app.use((req, res) => sendError(req, res, apiError('NOT_FOUND', 'not found')));
 
-// graceful start
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-  console.log(`Serving frontend from: ${path.join(__dirname, '..', 'frontend')}`);
+// errors thrown / rejected by any handler above
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  return sendError(req, res, err);
 });
+
+// graceful start (only when run directly; tests require the app and listen themselves)
+if (require.main === module) {
+  alerts.start();
+  app.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+    console.log(`Serving frontend from: ${path.join(__dirname, '..', 'frontend')}`);
+  });
+}
+
+module.exports = { app, cache, alerts, snapshots };
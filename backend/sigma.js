@@ -0,0 +1,265 @@
+// backend/sigma.js
+/**
+ * Decoder for Sigma-serialized constants (box registers R4–R9).
+ *
+ * A constant is <type><value>. Supported types: Boolean, Byte, Short, Int, Long, BigInt,
+ * GroupElement, SigmaProp, Unit, Coll[T], Option[T] and tuples (pairs, triples, quadruples
+ * and the general tuple code), nested arbitrarily. Anything else (Box, AvlTree, ...) is reported as
+ * unsupported and the caller keeps the raw hex.
+ */
+
+const PRIM = {
+  1: 'Boolean',
+  2: 'Byte',
+  3: 'Short',
+  4: 'Int',
+  5: 'Long',
+  6: 'BigInt',
+  7: 'GroupElement',
+  8: 'SigmaProp'
+};
+const PRIM_RANGE = 12; // type codes are <constructor> * 12 + <primitive id>
+const TUPLE_CODE = 96;
+const UNIT_CODE = 98;
+
+// sigma boolean opcodes
+const OP_PROVE_DLOG = 0xcd;
+const OP_PROVE_DH_TUPLE = 0xce;
+const OP_AND = 0x96;
+const OP_OR = 0x97;
+const OP_THRESHOLD = 0x98;
+
+class SigmaReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0;
+  }
+
+  byte() {
+    if (this.pos >= this.buf.length) throw new Error('unexpected end of data');
+    return this.buf[this.pos++];
+  }
+
+  bytes(n) {
+    if (this.pos + n > this.buf.length) throw new Error('unexpected end of data');
+    const out = this.buf.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  // unsigned VLQ as BigInt
+  vlq() {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      const b = this.byte();
+      result |= BigInt(b & 0x7f) << shift;
+      if ((b & 0x80) === 0) return result;
+      shift += 7n;
+      if (shift > 70n) throw new Error('VLQ too long');
+    }
+  }
+
+  uint() {
+    return Number(this.vlq());
+  }
+
+  // ZigZag-decoded signed VLQ
+  zigzag() {
+    const n = this.vlq();
+    return (n & 1n) ? -((n >> 1n) + 1n) : (n >> 1n);
+  }
+
+  get done() {
+    return this.pos >= this.buf.length;
+  }
+}
+
+// --- types ---
+
+function typeName(t) {
+  switch (t.kind) {
+    case 'prim': return t.name;
+    case 'unit': return 'Unit';
+    case 'coll': return `Coll[${typeName(t.elem)}]`;
+    case 'option': return `Option[${typeName(t.elem)}]`;
+    case 'tuple': return `(${t.items.map(typeName).join(', ')})`;
+    default: return t.name || 'Unknown';
+  }
+}
+
+function readTypes(r, n) {
+  const items = [];
+  for (let i = 0; i < n; i++) items.push(readType(r));
+  return items;
+}
+
+function readType(r) {
+  const c = r.byte();
+  if (c <= 0) throw new Error(`invalid type code ${c}`);
+  if (c < TUPLE_CODE) {
+    const constr = Math.floor(c / PRIM_RANGE);
+    const primId = c % PRIM_RANGE;
+    const embedded = () => {
+      if (primId === 0) return readType(r);
+      if (!PRIM[primId]) throw new Error(`unsupported primitive type ${primId}`);
+      return { kind: 'prim', name: PRIM[primId] };
+    };
+    switch (constr) {
+      case 0: return embedded();
+      case 1: return { kind: 'coll', elem: embedded() };
+      case 2: return { kind: 'coll', elem: { kind: 'coll', elem: embedded() } };
+      case 3: return { kind: 'option', elem: embedded() };
+      case 4: return { kind: 'option', elem: { kind: 'coll', elem: embedded() } };
+      case 5: { const a = embedded(); const b = readType(r); return { kind: 'tuple', items: [a, b] }; }
+      // without an embedded primitive, the pair-2 code means a triple and the symmetric pair
+      // code a quadruple (sigmastate's TripleTypeCode / QuadrupleTypeCode)
+      case 6: {
+        if (primId === 0) return { kind: 'tuple', items: readTypes(r, 3) };
+        const b = embedded(); const a = readType(r); return { kind: 'tuple', items: [a, b] };
+      }
+      case 7: {
+        if (primId === 0) return { kind: 'tuple', items: readTypes(r, 4) };
+        const a = embedded(); return { kind: 'tuple', items: [a, a] };
+      }
+      default: throw new Error(`invalid type code ${c}`);
+    }
+  }
+  if (c === TUPLE_CODE) return { kind: 'tuple', items: readTypes(r, r.byte()) };
+  if (c === UNIT_CODE) return { kind: 'unit' };
+  const names = { 97: 'Any', 99: 'Box', 100: 'AvlTree', 101: 'Context', 102: 'String', 104: 'Header', 105: 'PreHeader', 106: 'Global' };
+  throw new Error(`unsupported type ${names[c] || c}`);
+}
+
+// --- values ---
+
+function utf8OrNull(buf) {
+  const s = buf.toString('utf8');
+  // reject if the bytes were not valid UTF-8 or hold control characters
+  if (Buffer.from(s, 'utf8').equals(buf) && !/[\u0000-\u0008\u000e-\u001f�]/.test(s)) return s;
+  return null;
+}
+
+function readSigmaBoolean(r) {
+  const op = r.byte();
+  if (op === OP_PROVE_DLOG) return { type: 'ProveDlog', publicKey: r.bytes(33).toString('hex') };
+  if (op === OP_PROVE_DH_TUPLE) {
+    return { type: 'ProveDHTuple', g: r.bytes(33).toString('hex'), h: r.bytes(33).toString('hex'), u: r.bytes(33).toString('hex'), v: r.bytes(33).toString('hex') };
+  }
+  if (op === OP_AND || op === OP_OR) {
+    const n = r.uint();
+    const children = [];
+    for (let i = 0; i < n; i++) children.push(readSigmaBoolean(r));
+    return { type: op === OP_AND ? 'AND' : 'OR', children };
+  }
+  if (op === OP_THRESHOLD) {
+    const k = r.uint();
+    const n = r.uint();
+    const children = [];
+    for (let i = 0; i < n; i++) children.push(readSigmaBoolean(r));
+    return { type: 'THRESHOLD', k, children };
+  }
+  throw new Error(`unsupported SigmaProp opcode 0x${op.toString(16)}`);
+}
+
+function readValue(r, t) {
+  if (t.kind === 'unit') return null;
+  if (t.kind === 'prim') {
+    switch (t.name) {
+      case 'Boolean': return r.byte() !== 0;
+      case 'Byte': { const b = r.byte(); return b > 127 ? b - 256 : b; }
+      case 'Short':
+      case 'Int': return Number(r.zigzag());
+      case 'Long': return r.zigzag().toString();
+      case 'BigInt': {
+        const bytes = r.bytes(r.uint());
+        if (bytes.length === 0) return '0';
+        let n = BigInt('0x' + bytes.toString('hex'));
+        if (bytes[0] & 0x80) n -= 1n << BigInt(bytes.length * 8);
+        return n.toString();
+      }
+      case 'GroupElement': return r.bytes(33).toString('hex');
+      case 'SigmaProp': return readSigmaBoolean(r);
+    }
+  }
+  if (t.kind === 'coll') {
+    const len = r.uint();
+    if (t.elem.kind === 'prim' && t.elem.name === 'Byte') {
+      const bytes = r.bytes(len);
+      return { hex: bytes.toString('hex'), utf8: utf8OrNull(bytes) };
+    }
+    if (t.elem.kind === 'prim' && t.elem.name === 'Boolean') {
+      // booleans are bit-packed, least significant bit first
+      const packed = r.bytes(Math.ceil(len / 8));
+      const out = [];
+      for (let i = 0; i < len; i++) out.push(((packed[i >> 3] >> (i & 7)) & 1) === 1);
+      return out;
+    }
+    const out = [];
+    for (let i = 0; i < len; i++) out.push(readValue(r, t.elem));
+    return out;
+  }
+  if (t.kind === 'option') {
+    return r.byte() === 0 ? null : readValue(r, t.elem);
+  }
+  if (t.kind === 'tuple') {
+    return t.items.map(item => readValue(r, item));
+  }
+  throw new Error(`unsupported type ${typeName(t)}`);
+}
+
+// short human-readable form used by the UI
+function render(value, t) {
+  if (value === null || value === undefined) return t.kind === 'option' ? 'None' : '()';
+  if (t.kind === 'coll' && t.elem.kind === 'prim' && t.elem.name === 'Byte') {
+    return value.utf8 !== null && value.utf8 !== '' ? `"${value.utf8}" (0x${value.hex})` : `0x${value.hex}`;
+  }
+  if (t.kind === 'coll') return `[${value.map(v => render(v, t.elem)).join(', ')}]`;
+  if (t.kind === 'option') return `Some(${render(value, t.elem)})`;
+  if (t.kind === 'tuple') return `(${value.map((v, i) => render(v, t.items[i])).join(', ')})`;
+  if (t.kind === 'prim' && t.name === 'SigmaProp') return renderSigma(value);
+  return String(value);
+}
+
+function renderSigma(sb) {
+  if (sb.type === 'ProveDlog') return `proveDlog(${sb.publicKey})`;
+  if (sb.type === 'ProveDHTuple') return `proveDHTuple(${sb.g}, ${sb.h}, ${sb.u}, ${sb.v})`;
+  if (sb.type === 'THRESHOLD') return `atLeast(${sb.k}, ${sb.children.map(renderSigma).join(', ')})`;
+  return `${sb.type.toLowerCase()}(${sb.children.map(renderSigma).join(', ')})`;
+}
+
+/**
+ * Decode one serialized constant (hex). Never throws:
+ * { type, value, rendered } on success, { error } otherwise.
+ */
+function decodeConstant(hex) {
+  try {
+    const clean = String(hex || '').trim();
+    if (!/^([0-9a-fA-F]{2})+$/.test(clean)) throw new Error('not a hex string');
+    const r = new SigmaReader(Buffer.from(clean, 'hex'));
+    const t = readType(r);
+    const value = readValue(r, t);
+    const result = { type: typeName(t), value, rendered: render(value, t) };
+    if (!r.done) result.warning = `${r.buf.length - r.pos} trailing bytes`;
+    return result;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Decode a box's additionalRegisters. Accepts both the node format ({ R4: "hex" }) and
+ * the explorer format ({ R4: { serializedValue, sigmaType, renderedValue } }).
+ */
+function decodeRegisters(registers) {
+  return Object.keys(registers || {})
+    .filter(k => /^R[4-9]$/.test(k))
+    .sort()
+    .map(register => {
+      const entry = registers[register];
+      const serializedValue = typeof entry === 'string' ? entry : (entry && entry.serializedValue) || '';
+      return Object.assign({ register, serializedValue }, decodeConstant(serializedValue));
+    });
+}
+
+module.exports = { decodeConstant, decodeRegisters };
@@ -0,0 +1,151 @@
+// backend/snapshots.js
+/**
+ * Named snapshots of an address's unspent boxes and totals, and the diff between two of them.
+ *
+ * Each snapshot is one JSON file `<id>.json` in the snapshot directory:
+ *   { version, id, name, address, network, createdAt, height, boxCount, totalNanoErg,
+ *     tokens: { tokenId: amount }, boxes: [{ boxId, value, creationHeight, transactionId, assets }] }
+ * List calls answer from an in-memory index of everything but `boxes`, read from the directory
+ * on first use; the box lists are only read when a snapshot is opened or diffed.
+ *
+ * diffSnapshots(from, to) compares two snapshot-shaped objects (a live state built with
+ * snapshotOf works the same way): boxes added and spent, the ERG delta and per-token deltas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toBig, sumBoxes } = require('./aggregate');
+
+const FILE_VERSION = 1;
+const ID_RE = /^[0-9a-f]{16}$/;
+
+const boxEntry = b => ({
+  boxId: b.boxId,
+  value: String(b.value),
+  creationHeight: b.creationHeight ?? null,
+  transactionId: b.transactionId || null,
+  assets: (b.assets || []).map(a => ({ tokenId: String(a.tokenId), amount: String(a.amount) }))
+});
+
+// snapshot-shaped state of `boxes` (unspent, confirmed) without id / name
+function snapshotOf(address, boxes, { network = null, height = null, createdAt = Date.now() } = {}) {
+  const { totalNanoErg, tokens } = sumBoxes(boxes);
+  return {
+    address,
+    network,
+    createdAt,
+    height,
+    boxCount: boxes.length,
+    totalNanoErg: totalNanoErg.toString(),
+    tokens: Object.fromEntries(tokens.map(t => [t.tokenId, t.amount])),
+    boxes: boxes.map(boxEntry)
+  };
+}
+
+// everything but the box list
+const snapshotMeta = snap => {
+  const meta = Object.assign({}, snap);
+  delete meta.boxes;
+  delete meta.version;
+  return meta;
+};
+
+/**
+ * -> { boxesAdded, boxesSpent, unchangedBoxCount, erg: { before, after, delta }, tokens }
+ * `tokens` lists every token whose amount differs, largest absolute change first.
+ */
+function diffSnapshots(from, to) {
+  const before = new Map(from.boxes.map(b => [b.boxId, b]));
+  const after = new Map(to.boxes.map(b => [b.boxId, b]));
+  const boxesAdded = to.boxes.filter(b => !before.has(b.boxId));
+  const boxesSpent = from.boxes.filter(b => !after.has(b.boxId));
+
+  const ergBefore = toBig(from.totalNanoErg);
+  const ergAfter = toBig(to.totalNanoErg);
+  const ids = new Set(Object.keys(from.tokens).concat(Object.keys(to.tokens)));
+  const abs = n => (n < 0n ? -n : n);
+  const tokens = Array.from(ids)
+    .map(tokenId => {
+      const b = toBig(from.tokens[tokenId] || '0');
+      const a = toBig(to.tokens[tokenId] || '0');
+      return { tokenId, before: b.toString(), after: a.toString(), delta: a - b };
+    })
+    .filter(t => t.delta !== 0n)
+    .sort((x, y) => (abs(y.delta) > abs(x.delta) ? 1 : abs(y.delta) < abs(x.delta) ? -1 : x.tokenId.localeCompare(y.tokenId)))
+    .map(t => Object.assign(t, { delta: t.delta.toString() }));
+
+  return {
+    boxesAdded,
+    boxesSpent,
+    unchangedBoxCount: to.boxes.length - boxesAdded.length,
+    erg: { before: ergBefore.toString(), after: ergAfter.toString(), delta: (ergAfter - ergBefore).toString() },
+    tokens
+  };
+}
+
+function createSnapshotStore({ dir }) {
+  let index = null; // id -> snapshot without boxes
+
+  function load() {
+    if (index) return index;
+    index = new Map();
+    if (!dir || !fs.existsSync(dir)) return index;
+    fs.readdirSync(dir).filter(f => ID_RE.test(path.basename(f, '.json')) && path.extname(f) === '.json').forEach(f => {
+      try {
+        const snap = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+        if (snap && snap.version === FILE_VERSION && snap.id) index.set(snap.id, snapshotMeta(snap));
+      } catch (err) {
+        console.error('[snapshots] could not read', f, err && err.message);
+      }
+    });
+    return index;
+  }
+
+  const fileOf = id => path.join(dir, `${id}.json`);
+
+  // newest first
+  function list({ address = null } = {}) {
+    return Array.from(load().values())
+      .filter(s => !address || s.address === address)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function count() {
+    return load().size;
+  }
+
+  // the full snapshot (with boxes), or null
+  async function get(id) {
+    if (!ID_RE.test(String(id)) || !load().has(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(fileOf(id), 'utf8'));
+    } catch (err) {
+      if (err && err.code === 'ENOENT') { index.delete(id); return null; }
+      throw err;
+    }
+  }
+
+  // `state` comes from snapshotOf; written to a tmp file first so a crash never leaves half a snapshot
+  async function create(name, state) {
+    load();
+    const snap = Object.assign({ version: FILE_VERSION, id: crypto.randomBytes(8).toString('hex'), name }, state);
+    const file = fileOf(snap.id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(snap));
+    await fs.promises.rename(`${file}.tmp`, file);
+    index.set(snap.id, snapshotMeta(snap));
+    return snapshotMeta(snap);
+  }
+
+  async function remove(id) {
+    if (!ID_RE.test(String(id)) || !load().has(id)) return false;
+    index.delete(id);
+    await fs.promises.rm(fileOf(id), { force: true });
+    return true;
+  }
+
+  return { list, count, get, create, remove };
+}
+
+module.exports = { snapshotOf, snapshotMeta, diffSnapshots, createSnapshotStore };
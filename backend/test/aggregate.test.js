@@ -0,0 +1,75 @@
+// backend/test/aggregate.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sumBoxes, formatUnits, parseUnits, txDelta, balanceSeries, downsampleSeries, filterAndSortBoxes
+} = require('../aggregate');
+
+test('sumBoxes keeps precision past Number.MAX_SAFE_INTEGER', () => {
+  const { totalNanoErg, tokens } = sumBoxes([
+    { value: '9007199254740993', assets: [{ tokenId: 't', amount: '9007199254740993' }] },
+    { value: '2', assets: [{ tokenId: 't', amount: '2' }, { tokenId: 'u', amount: '1' }] },
+    { value: null }
+  ]);
+  assert.equal(totalNanoErg, 9007199254740995n);
+  assert.deepEqual(tokens, [{ tokenId: 't', amount: '9007199254740995' }, { tokenId: 'u', amount: '1' }]);
+});
+
+test('formatUnits and parseUnits are inverses', () => {
+  assert.equal(formatUnits('1500', 3), '1.5');
+  assert.equal(formatUnits('-5', 2), '-0.05');
+  assert.equal(formatUnits('42', 0), '42');
+  assert.equal(parseUnits('1.5', 3), 1500n);
+  assert.equal(parseUnits('.05', 2), 5n);
+  assert.equal(parseUnits(formatUnits('123456789', 9), 9), 123456789n);
+  assert.throws(() => parseUnits('1.234', 2), /more than 2 decimals/);
+  assert.throws(() => parseUnits('abc', 2), /invalid amount/);
+});
+
+test('txDelta nets inputs and outputs of one address', () => {
+  const tx = {
+    inputs: [{ address: 'me', value: '10', assets: [{ tokenId: 't', amount: '5' }] }],
+    outputs: [
+      { address: 'you', value: '7', assets: [{ tokenId: 't', amount: '5' }] },
+      { address: 'me', value: '2', assets: [] }
+    ]
+  };
+  const d = txDelta(tx, 'me');
+  assert.equal(d.netNanoErg, '-8');
+  assert.deepEqual(d.tokens, [{ tokenId: 't', delta: '-5' }]);
+  assert.equal(d.direction, 'out');
+  assert.equal(txDelta(tx, 'you').direction, 'in');
+});
+
+test('filterAndSortBoxes filters by value and token and sorts', () => {
+  const boxes = [
+    { boxId: 'a', value: '5', creationHeight: 3, assets: [] },
+    { boxId: 'b', value: '50', creationHeight: 1, assets: [{ tokenId: 'abc' }] },
+    { boxId: 'c', value: '500', creationHeight: 2, assets: [{ tokenId: 'abd' }] }
+  ];
+  assert.deepEqual(filterAndSortBoxes(boxes, { minValue: 10n, sort: 'value_desc' }).map(b => b.boxId), ['c', 'b']);
+  assert.deepEqual(filterAndSortBoxes(boxes, { token: 'ab', sort: 'height_asc' }).map(b => b.boxId), ['b', 'c']);
+});
+
+test('balanceSeries replays txs in height order and carries the balance into a window', () => {
+  const txs = [
+    { id: 'second', inclusionHeight: 20, timestamp: 2000, inputs: [{ address: 'me', value: '4' }], outputs: [] },
+    { id: 'first', inclusionHeight: 10, timestamp: 1000, inputs: [], outputs: [{ address: 'me', value: '10', assets: [{ tokenId: 't', amount: '3' }] }] },
+    { id: 'pending', inputs: [], outputs: [{ address: 'me', value: '99' }] }
+  ];
+  const all = balanceSeries(txs, 'me', { tokenIds: ['t'] });
+  assert.deepEqual(all.map(p => [p.txId, p.nanoErg, p.tokens.t]), [['first', '10', '3'], ['second', '6', '3']]);
+
+  const windowed = balanceSeries(txs, 'me', { axis: 'height', from: 15 });
+  assert.deepEqual(windowed.map(p => [p.x, p.nanoErg, Boolean(p.carried)]), [[15, '10', true], [20, '6', false]]);
+});
+
+test('downsampleSeries keeps the first point and the last point of each bucket', () => {
+  const points = Array.from({ length: 1000 }, (_, i) => ({ x: i, v: i }));
+  const out = downsampleSeries(points, 10);
+  assert.ok(out.length <= 10);
+  assert.equal(out[0].x, 0);
+  assert.equal(out[out.length - 1].x, 999);
+  assert.equal(downsampleSeries(points.slice(0, 5), 10).length, 5);
+});
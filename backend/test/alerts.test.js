@@ -0,0 +1,163 @@
+// backend/test/alerts.test.js
+// alerts.js against the mock explorer, delivering to a local webhook receiver.
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startMockExplorer } = require('./helpers/mock-explorer');
+const { walletFromEnv } = require('../wallet');
+const { createAlertManager, isPrivateAddress } = require('../alerts');
+
+const ADDRESS = '3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN';
+const T1 = 'a'.repeat(64);
+
+let explorer, receiver, hookUrl, wallet, dataDir;
+const received = []; // webhook POST bodies
+let hookStatus = 200;
+
+before(async () => {
+  explorer = await startMockExplorer();
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(hookStatus);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  ({ wallet } = walletFromEnv({ ERGO_NETWORK: 'testnet', EXPLORER_URL: explorer.baseUrl, UPSTREAMS: 'explorer', UPSTREAM_RETRIES: '0' }));
+});
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+  await explorer.close();
+});
+beforeEach(() => {
+  explorer.reset();
+  received.length = 0;
+  hookStatus = 200;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ergo-alerts-test-'));
+});
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function manager(opts = {}) {
+  return createAlertManager(Object.assign({
+    filePath: path.join(dataDir, 'alerts.json'),
+    loadBoxes: address => wallet.fetchAllBoxPages(address, 'unspent', { fresh: true }),
+    postJson: (url, payload) => fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) }),
+    maxAttempts: 3,
+    retryBaseMs: 5,
+    // the receiver is on 127.0.0.1
+    allowPrivateWebhooks: true
+  }, opts));
+}
+
+// drop the biggest unspent box (all of T1 and most of the ERG) for the duration of `fn`
+async function withoutFirstBox(fn) {
+  const unspent = explorer.fixtures.boxes.unspent;
+  const saved = unspent.slice();
+  unspent.splice(0, 1);
+  try { return await fn(); } finally { unspent.splice(0, unspent.length, ...saved); }
+}
+
+test('invalid rules are rejected with INVALID_RULE', async () => {
+  const alerts = manager();
+  const create = input => alerts.create(ADDRESS, Object.assign({ webhookUrl: hookUrl }, input));
+  await assert.rejects(create({ type: 'new_box', webhookUrl: 'ftp://example.com/hook' }), { code: 'INVALID_RULE', message: /http\(s\)/ });
+  await assert.rejects(create({ type: 'new_box', webhookUrl: 'not a url' }), { code: 'INVALID_RULE', message: /not a valid URL/ });
+  await assert.rejects(create({ type: 'new_box', webhookUrl: '' }), { code: 'INVALID_RULE', message: /webhookUrl is required/ });
+  await assert.rejects(create({ type: 'erg_below' }), { code: 'INVALID_RULE', message: /thresholdErg/ });
+  await assert.rejects(create({ type: 'erg_below', thresholdErg: 'lots' }), { code: 'INVALID_RULE' });
+  await assert.rejects(create({ type: 'erg_above', thresholdErg: '-1' }), { code: 'INVALID_RULE', message: /negative/ });
+  await assert.rejects(create({ type: 'token_changed', tokenId: 'xyz' }), { code: 'INVALID_RULE', message: /64 hex/ });
+  assert.equal(alerts.list().length, 0);
+
+  // stored rules survive a restart
+  const rule = await create({ type: 'erg_below', thresholdErg: '1.5', label: 'faucet' });
+  assert.equal(rule.thresholdNanoErg, '1500000000');
+  assert.equal(manager().get(rule.id).label, 'faucet');
+});
+
+test('webhooks on loopback, link-local and private hosts are refused by default', async () => {
+  const alerts = manager({ allowPrivateWebhooks: false });
+  const create = webhookUrl => alerts.create(ADDRESS, { type: 'new_box', webhookUrl });
+  for (const url of [hookUrl, 'http://localhost:8080/hook', 'http://api.localhost/hook', 'http://169.254.169.254/latest/meta-data',
+    'http://10.1.2.3/hook', 'http://172.20.0.1/hook', 'https://192.168.1.1/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook', 'http://2130706433/hook']) {
+    await assert.rejects(create(url), { code: 'INVALID_RULE', message: /private host/ }, url);
+  }
+  assert.equal((await create('https://hooks.example.com/alert')).webhookUrl, 'https://hooks.example.com/alert');
+  assert.equal(isPrivateAddress('172.32.0.1'), false);
+  assert.equal(isPrivateAddress('8.8.8.8'), false);
+
+  // a rule saved before the check (or with the setting since turned off) is not delivered
+  const stored = await manager().create(ADDRESS, { type: 'new_box', webhookUrl: hookUrl });
+  const delivery = await manager({ allowPrivateWebhooks: false }).sendTest(stored.id);
+  assert.equal(delivery.ok, false);
+  assert.equal(delivery.attempts, 0);
+  assert.equal(received.length, 0);
+});
+
+test('rules fire on a balance change and post to the webhook', async () => {
+  const alerts = manager();
+  const below = await alerts.create(ADDRESS, { type: 'erg_below', thresholdErg: '1000', webhookUrl: hookUrl });
+  const token = await alerts.create(ADDRESS, { type: 'token_changed', tokenId: T1, webhookUrl: hookUrl });
+
+  // the first check only records the baseline
+  await alerts.check();
+  await alerts.idle();
+  assert.equal(received.length, 0);
+  assert.equal(alerts.get(below.id).state.totalNanoErg, '9007200257240993');
+
+  await withoutFirstBox(async () => {
+    await alerts.check();
+    await alerts.idle();
+  });
+  const byRule = Object.fromEntries(received.map(p => [p.ruleId, p]));
+  assert.equal(received.length, 2);
+  assert.equal(byRule[below.id].event, 'alert');
+  assert.deepEqual(byRule[below.id].details, { totalNanoErg: '1002500000', thresholdNanoErg: '1000000000000' });
+  assert.equal(byRule[token.id].details.delta, '-9007199254740993');
+  assert.equal(alerts.get(below.id).lastDelivery.ok, true);
+
+  // still below: a threshold rule does not fire again until it recovers
+  await withoutFirstBox(() => alerts.check());
+  await alerts.idle();
+  assert.equal(received.length, 2);
+});
+
+test('failed deliveries are retried, rejected ones are not', async () => {
+  const alerts = manager();
+  const rule = await alerts.create(ADDRESS, { type: 'erg_below', thresholdErg: '1000', webhookUrl: hookUrl });
+  await alerts.check();
+
+  hookStatus = 500;
+  await withoutFirstBox(() => alerts.check());
+  await alerts.idle();
+  assert.equal(received.length, 3);
+  assert.deepEqual(
+    (({ ok, status, attempts, error }) => ({ ok, status, attempts, error }))(alerts.get(rule.id).lastDelivery),
+    { ok: false, status: 500, attempts: 3, error: 'HTTP 500' }
+  );
+
+  // a 4xx other than 429 is the receiver's answer; one attempt
+  received.length = 0;
+  hookStatus = 400;
+  const test400 = await alerts.sendTest(rule.id);
+  assert.equal(test400.attempts, 1);
+  assert.equal(received[0].event, 'alert.test');
+
+  // a webhook that cannot be reached at all is retried too
+  const gone = await alerts.create(ADDRESS, { type: 'erg_below', thresholdErg: '1000', webhookUrl: 'http://127.0.0.1:1/hook' });
+  await alerts.check();
+  await withoutFirstBox(() => alerts.check());
+  await alerts.idle();
+  assert.equal(alerts.get(gone.id).lastDelivery.attempts, 3);
+  assert.equal(alerts.get(gone.id).lastDelivery.status, null);
+});
@@ -0,0 +1,55 @@
+// backend/test/cache.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../cache');
+
+const TYPES = { short: { ttl: 1000, stale: 5000 } };
+
+test('evicts the least recently used entry', () => {
+  const cache = createCache({ maxEntries: 2, types: TYPES });
+  cache.set('a', 1, 'short');
+  cache.set('b', 2, 'short');
+  cache.get('a');
+  cache.set('c', 3, 'short');
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.stats().evictions, 1);
+});
+
+test('concurrent misses share one loader call', async () => {
+  const cache = createCache({ types: TYPES });
+  let calls = 0;
+  const loader = async () => { calls++; return 'v'; };
+  const [a, b] = await Promise.all([cache.wrap('k', 'short', loader), cache.wrap('k', 'short', loader)]);
+  assert.equal(calls, 1);
+  assert.equal(a.data, 'v');
+  assert.equal(b.data, 'v');
+});
+
+test('serves stale data while revalidating and after the refresh fails', async (ctx) => {
+  ctx.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const cache = createCache({ types: TYPES });
+  await cache.wrap('k', 'short', async () => 'old');
+  ctx.mock.timers.tick(2000);
+
+  const failing = async () => { throw new Error('upstream down'); };
+  const stale = await cache.wrap('k', 'short', failing);
+  assert.equal(stale.data, 'old');
+  assert.equal(stale.stale, true);
+
+  await new Promise(resolve => setImmediate(resolve));
+  const again = await cache.wrap('k', 'short', failing);
+  assert.equal(again.data, 'old');
+  assert.equal(again.error.message, 'upstream down');
+
+  // past ttl + stale the entry is gone and the error surfaces
+  ctx.mock.timers.tick(10_000);
+  await assert.rejects(cache.wrap('k', 'short', failing), /upstream down/);
+});
+
+test('a type function picks the policy from the loaded data', async () => {
+  const cache = createCache({ types: { a: { ttl: 10, stale: 0 }, b: { ttl: 100000, stale: 0 } } });
+  await cache.wrap('k', data => (data.done ? 'b' : 'a'), async () => ({ done: true }));
+  assert.equal(cache.peek('k').type, 'b');
+});
@@ -0,0 +1,97 @@
+// backend/test/cli.test.js
+// cli.js as a child process against the mock explorer: output and exit codes.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startMockExplorer } = require('./helpers/mock-explorer');
+const { main } = require('../cli');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const ADDRESS = '3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN';
+const T2 = 'b'.repeat(64);
+
+let explorer;
+before(async () => { explorer = await startMockExplorer(); });
+after(async () => { await explorer.close(); });
+beforeEach(() => explorer.reset());
+
+function cliEnv() {
+  const env = Object.assign({}, process.env, {
+    ERGO_NETWORK: 'testnet',
+    EXPLORER_URL: explorer.baseUrl,
+    UPSTREAMS: 'explorer',
+    UPSTREAM_RETRIES: '0'
+  });
+  delete env.CACHE_FILE;
+  return env;
+}
+
+// -> { code, stdout, stderr }
+function run(...args) {
+  const env = cliEnv();
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 20000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('balance prints totals and gates on assertion flags', async () => {
+  const ok = await run('balance', ADDRESS, '--min-erg', '1.5', '--has-token', T2);
+  assert.equal(ok.code, 0, ok.stderr);
+  assert.match(ok.stdout, /9007200\.257240993 ERG/);
+
+  const low = await run('balance', ADDRESS, '--min-erg', '10000000', '--min-utxos', '4');
+  assert.equal(low.code, 1);
+  assert.match(low.stderr, /below --min-erg 10000000/);
+  assert.match(low.stderr, /3 unspent boxes, --min-utxos wants 4/);
+
+  const json = JSON.parse((await run('balance', ADDRESS, '--format', 'json')).stdout);
+  assert.equal(json.totalNanoErg, '9007200257240993');
+});
+
+test('usage, address and upstream failures have their own exit codes', async () => {
+  assert.equal((await run('balance', 'not-an-address')).code, 2);
+  assert.equal((await run('frobnicate')).code, 2);
+  assert.equal((await run('balance', ADDRESS, '--min-erg', 'lots')).code, 2);
+  assert.equal((await run('utxos', ADDRESS, '--min-value', '1.5')).code, 2);
+  const csv = await run('balance', ADDRESS, '--format', 'csv');
+  assert.equal(csv.code, 2);
+  assert.match(csv.stderr, /--format must be table or json for balance/);
+  const badToken = await run('balance', ADDRESS, '--has-token', 'xyz');
+  assert.equal(badToken.code, 2);
+  assert.match(badToken.stderr, /--has-token must be 64 hex characters/);
+
+  explorer.failWith('/boxes/', '500');
+  const down = await run('balance', ADDRESS);
+  assert.equal(down.code, 3);
+  assert.match(down.stderr, /error UPSTREAM_ERROR/);
+});
+
+test('utxos writes the export CSV columns', async () => {
+  const { code, stdout } = await run('utxos', ADDRESS, '--status', 'spent', '--format', 'csv');
+  assert.equal(code, 0);
+  const lines = stdout.trim().split('\n');
+  assert.ok(lines[0].startsWith('boxId,status,value,'));
+  assert.equal(lines.length, 3);
+  assert.ok(lines.slice(1).every(l => l.includes('"spent"')));
+});
+
+test('watch exits once the assertions hold, or with 1 on --timeout', async () => {
+  const met = await run('watch', ADDRESS, '--min-erg', '1', '--timeout', '10');
+  assert.equal(met.code, 0, met.stderr);
+  assert.match(met.stdout, /snapshot 9007200\.257240993 ERG, 3 boxes/);
+
+  const missed = await run('watch', ADDRESS, '--min-utxos', '10', '--timeout', '1');
+  assert.equal(missed.code, 1);
+  assert.match(missed.stderr, /timed out/);
+});
+
+test('watch removes its SIGINT handler when it finishes', async () => {
+  const listeners = process.listenerCount('SIGINT');
+  const code = await main(['watch', ADDRESS, '--min-erg', '1', '--timeout', '10', '--format', 'json'], cliEnv());
+  assert.equal(code, 0);
+  assert.equal(process.listenerCount('SIGINT'), listeners);
+});
@@ -0,0 +1,67 @@
+// backend/test/dust.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeDust, STORAGE_RENT_BLOCKS } = require('../dust');
+const { CONSOLIDATE_MAX_INPUTS } = require('../selection');
+
+const T = 't'.repeat(64);
+const U = 'u'.repeat(64);
+const ERG = 1000000000n;
+const box = (boxId, nano, creationHeight, assets = []) => ({ boxId, value: String(nano), creationHeight, assets });
+
+test('boxes are bucketed by value and age and flagged', () => {
+  const height = STORAGE_RENT_BLOCKS + 1000;
+  const result = analyzeDust([
+    box('big', 5n * ERG, height - 10),
+    box('small', 1500000n, height - 800),
+    box('airdrop', 1000000n, height - 6000, [{ tokenId: T, amount: '1' }]),
+    box('ancient', ERG / 10n, 1)
+  ], { height });
+
+  assert.equal(result.boxCount, 4);
+  assert.equal(result.totalNanoErg, '5102500000');
+  assert.deepEqual(result.boxes.map(b => [b.boxId, b.flags]), [
+    ['airdrop', ['near-min-value', 'dust-token-only']],
+    ['small', ['near-min-value']],
+    ['ancient', ['storage-rent']],
+    ['big', []]
+  ]);
+  assert.deepEqual(result.flagged, { 'near-min-value': 2, 'dust-token-only': 1, 'storage-rent': 1 });
+  assert.deepEqual(result.valueBuckets.map(b => b.count), [1, 1, 0, 1, 0, 1, 0]);
+  assert.equal(result.valueBuckets[0].minNanoErg, null);
+  assert.equal(result.valueBuckets[0].maxNanoErg, '1000000');
+  assert.deepEqual(result.ageBuckets.map(b => b.count), [1, 1, 1, 0, 0, 1]);
+  assert.deepEqual(result.ageBuckets.map(b => b.flagged), [0, 1, 1, 0, 0, 1]);
+
+  const plan = result.consolidation;
+  assert.equal(plan.candidates, 3);
+  assert.equal(plan.txCount, 1);
+  assert.equal(plan.resultNanoErg, '101400000');
+  assert.equal(plan.boxesAfter, 2);
+  assert.equal(plan.tokenCount, 1);
+  assert.equal(plan.worthIt, true);
+});
+
+test('without a height ages are left out; a threshold replaces the min-value limit', () => {
+  const result = analyzeDust([box('a', 3000000n, 5), box('b', 4000000n, 6)], { thresholdNanoErg: 3000000n });
+  assert.equal(result.ageBuckets, null);
+  assert.equal(result.boxes[0].ageBlocks, null);
+  assert.deepEqual(result.boxes.map(b => b.flags.length), [1, 0]);
+  assert.equal(result.consolidation.txCount, 0);
+});
+
+test('large sweeps take several txs and can cost more than they free', () => {
+  const many = Array.from({ length: 120 }, (_, i) => box(`d${i}`, 1000000n, 1));
+  const plan = analyzeDust(many, { height: 10 }).consolidation;
+  // 50 inputs, then the previous output plus 49 new boxes per tx
+  assert.equal(CONSOLIDATE_MAX_INPUTS, 50);
+  assert.equal(plan.txCount, 3);
+  assert.equal(plan.feeNanoErg, '3300000');
+  assert.equal(plan.resultNanoErg, '116700000');
+
+  const tiny = analyzeDust([box('x', 1000000n, 1, [{ tokenId: T, amount: '1' }]), box('y', 1000000n, 1, [{ tokenId: U, amount: '1' }])]).consolidation;
+  assert.equal(tiny.resultNanoErg, '900000');
+  assert.deepEqual(tiny.issues, ['RESULT_BELOW_MIN_BOX_VALUE']);
+  assert.equal(tiny.worthIt, false);
+});
@@ -0,0 +1,49 @@
+// backend/test/export.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { boxRow, ledgerRows, lineFormat } = require('../export');
+
+const ME = 'me';
+const tx = (id, height, timestamp, inputs, outputs) => ({ id, inclusionHeight: height, timestamp, inputs, outputs });
+// newest first, as the explorer lists them
+const TXS = [
+  tx('t3', 30, 3000, [{ address: ME, value: '1500', assets: [{ tokenId: 'tok', amount: '250' }] }], [{ address: 'other', value: '1500', assets: [{ tokenId: 'tok', amount: '250' }] }]),
+  tx('t2', 20, 2000, [], [{ address: ME, value: '500', assets: [] }]),
+  tx('t1', 10, 1000, [], [{ address: ME, value: '1000', assets: [{ tokenId: 'tok', amount: '250' }] }])
+];
+const TOKENS = new Map([['tok', { name: 'Tok', decimals: 2 }]]);
+
+test('ledgerRows runs balances oldest first and filters without resetting them', () => {
+  const all = ledgerRows(TXS, ME, { tokens: TOKENS });
+  assert.deepEqual(all.map(r => [r.txId, r.asset, r.amount, r.balance]), [
+    ['t1', 'ERG', '0.000001', '0.000001'],
+    ['t1', 'tok', '2.5', '2.5'],
+    ['t2', 'ERG', '0.0000005', '0.0000015'],
+    ['t3', 'ERG', '-0.0000015', '0'],
+    ['t3', 'tok', '-2.5', '0']
+  ]);
+  assert.equal(all[3].direction, 'out');
+  assert.equal(all[1].assetName, 'Tok');
+  assert.equal(all[0].date, '1970-01-01T00:00:01.000Z');
+
+  // the balance carried into the window is kept
+  const late = ledgerRows(TXS, ME, { tokens: TOKENS, range: { fromHeight: 20 }, token: 'ERG' });
+  assert.deepEqual(late.map(r => [r.txId, r.balance]), [['t2', '0.0000015'], ['t3', '0']]);
+  const tokOnly = ledgerRows(TXS, ME, { tokens: TOKENS, range: { toTs: 2500 }, token: 'to' });
+  assert.deepEqual(tokOnly.map(r => r.txId), ['t1']);
+});
+
+test('boxRow takes times from the tx map and CSV quotes every cell', () => {
+  const row = boxRow({ boxId: 'b', value: '1500000000', transactionId: 't1', spentTransactionId: 't3', assets: [{ tokenId: 'tok', amount: '5' }] },
+    { tokens: TOKENS, times: new Map([['t1', 1000], ['t3', 3000]]) });
+  assert.equal(row.status, 'spent');
+  assert.equal(row.erg, '1.5');
+  assert.equal(row.tokensFormatted, 'Tok:tok(0.05)');
+  assert.equal(row.spentAt, '1970-01-01T00:00:03.000Z');
+
+  const csv = lineFormat('boxes', 'csv');
+  assert.ok(csv.header.startsWith('boxId,status,value,'));
+  assert.ok(csv.line(Object.assign({}, row, { tokens: 'a "b", c' })).includes('"a ""b"", c"'));
+  assert.deepEqual(JSON.parse(lineFormat('boxes', 'jsonl').line(row)), row);
+});
@@ -0,0 +1,285 @@
+// backend/test/frontend.test.js
+// Loads frontend/index.html + i18n.js + app.js into jsdom and drives the UTXO filter/sort, the export link,
+// the language switch, the token view, batched token metadata and the send preview.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const FRONTEND = path.join(__dirname, '..', '..', 'frontend');
+const T1 = 'a'.repeat(64);
+const T2 = 'b'.repeat(64);
+
+const BOXES = [
+  { boxId: 'box-small', value: '2500000', creationHeight: 30, assets: [] },
+  { boxId: 'box-big', value: '9007199254740993', creationHeight: 10, assets: [{ tokenId: T1, amount: '5' }] },
+  { boxId: 'box-mid', value: '1000000000', creationHeight: 20, assets: [{ tokenId: T2, amount: '1500' }] }
+];
+
+let dom, win, alerts, clicked;
+
+before(() => {
+  const html = fs.readFileSync(path.join(FRONTEND, 'index.html'), 'utf8')
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+  dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/' });
+  win = dom.window;
+  alerts = [];
+  clicked = [];
+  // the page only talks to /api/health on load; nothing else should be fetched here
+  win.fetch = async () => ({ ok: true, status: 200, json: async () => ({ network: 'testnet', upstreams: [] }) });
+  win.alert = msg => alerts.push(msg);
+  win.Chart = function Chart() { return { destroy() {}, update() {} }; };
+  win.URL.createObjectURL = () => 'blob:test';
+  win.URL.revokeObjectURL = () => {};
+  win.HTMLAnchorElement.prototype.click = function () { clicked.push(this.href); };
+  // a saved choice wins over navigator.language (en-US in jsdom)
+  win.localStorage.setItem('ergoTracker.lang', 'fa');
+  run(fs.readFileSync(path.join(FRONTEND, 'i18n.js'), 'utf8'));
+  run(fs.readFileSync(path.join(FRONTEND, 'app.js'), 'utf8'));
+});
+
+// window.eval scopes each call separately; scripts run in the VM context share top-level let/const like <script> tags do
+function run(source) {
+  return vm.runInContext(source, dom.getInternalVMContext());
+}
+
+after(() => { win.close(); });
+
+function setControls({ token = '', min = '', sort = 'value_desc' }) {
+  win.document.getElementById('filter-token').value = token;
+  win.document.getElementById('filter-min').value = min;
+  win.document.getElementById('sort-by').value = sort;
+}
+
+const ids = items => items.map(it => it.boxId);
+
+test('applyFiltersAndSort follows the filter and sort controls', () => {
+  setControls({ sort: 'value_desc' });
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), ['box-big', 'box-mid', 'box-small']);
+
+  setControls({ sort: 'height_asc' });
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), ['box-big', 'box-mid', 'box-small']);
+
+  setControls({ sort: 'value_asc', min: '3000000' });
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), ['box-mid', 'box-big']);
+
+  setControls({ token: 'bbbb', sort: 'height_desc' });
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), ['box-mid']);
+});
+
+test('the min value filter is sent as typed, without going through a Number', () => {
+  setControls({ min: '9007199254740993' });
+  assert.equal(win.currentBoxQuery().minValue, '9007199254740993');
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), ['box-big']);
+  setControls({ min: '9007199254740994' });
+  assert.deepEqual(ids(win.applyFiltersAndSort(BOXES)), []);
+  setControls({});
+  assert.equal(win.currentBoxQuery().minValue, '');
+});
+
+test('the export button downloads the whole address with the current filters', () => {
+  win.document.getElementById('export-btn').click();
+  assert.equal(alerts.length, 1, 'nothing to export yet');
+
+  run(`currentAddress = '3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN'`);
+  setControls({ token: 'bbbb', min: '1000', sort: 'height_asc' });
+  win.document.getElementById('box-status').value = 'spent';
+  win.document.getElementById('export-kind').value = 'ledger';
+  win.document.getElementById('export-format').value = 'jsonl';
+  win.document.getElementById('export-to').value = '2024-01-31';
+  win.document.getElementById('export-btn').click();
+  assert.equal(clicked.length, 1);
+  const url = new URL(clicked[0]);
+  assert.equal(url.pathname, '/api/wallet/3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN/export');
+  assert.deepEqual(Object.fromEntries(url.searchParams), {
+    kind: 'ledger', format: 'jsonl', status: 'spent', token: 'bbbb', minValue: '1000', sort: 'height_asc', to: '2024-01-31'
+  });
+  run(`currentAddress = ''`);
+  win.document.getElementById('box-status').value = 'unspent';
+});
+
+test('the language switch flips direction, translates markup and formats numbers', () => {
+  const doc = win.document;
+  const select = doc.getElementById('lang-select');
+  assert.equal(doc.documentElement.dir, 'rtl');
+  assert.equal(select.value, 'fa');
+
+  select.value = 'en';
+  select.dispatchEvent(new win.Event('change'));
+  assert.equal(doc.documentElement.lang, 'en');
+  assert.equal(doc.documentElement.dir, 'ltr');
+  assert.equal(win.localStorage.getItem('ergoTracker.lang'), 'en');
+  assert.equal(doc.getElementById('export-btn').textContent, 'Export');
+  assert.equal(doc.getElementById('tokens-search').placeholder, 'Search tokens...');
+  assert.equal(doc.getElementById('status').textContent, 'Ready — enter a testnet address and press Fetch.');
+  assert.equal(run(`formatDecimal('1234567.5')`), '1,234,567.5');
+
+  select.value = 'fa';
+  select.dispatchEvent(new win.Event('change'));
+  assert.equal(doc.documentElement.dir, 'rtl');
+  assert.equal(doc.getElementById('export-btn').textContent, 'خروجی');
+  assert.equal(run(`formatNumber(1234)`), '۱٬۲۳۴');
+  // exact amounts never pass through a float
+  assert.equal(run(`formatTokenAmount('9007199254740993', 0)`), '۹٬۰۰۷٬۱۹۹٬۲۵۴٬۷۴۰٬۹۹۳');
+});
+
+test('the token view shows supply, minting links, EIP-4 fields and holder shares', () => {
+  run(`setLang('en')`);
+  assert.equal(run(`formatPercent('33.3333', 2)`), '33.33%');
+  assert.equal(run(`formatPercent('50.0000')`), '50%');
+  const detail = {
+    tokenId: T2, name: 'Decimal', description: null, decimals: 3,
+    minting: { boxId: '2'.repeat(64), txId: 'd'.repeat(64), address: '3Wvjj', creationHeight: 5, settlementHeight: 6, spentTransactionId: null },
+    eip4: { name: 'Decimal', description: 'three decimals', decimals: 3, type: { code: '0101', label: 'NFT - picture', nft: true }, contentHash: 'ab'.repeat(32), links: ['https://example.com/a.png'] },
+    supply: { emission: '1000000', emissionFormatted: '1000', circulating: '4500', circulatingFormatted: '4.5', burned: '995500', complete: true, boxes: 2, pagesFetched: 1, pagesTotal: 1 },
+    holderCount: 2,
+    holders: [{ address: '3Wvjj', amount: '3000', amountFormatted: '3', boxCount: 1, percentOfCirculating: '66.6666', percentOfEmission: '0.3' }],
+    wallet: { address: 'me', amount: '1500', amountFormatted: '1.5', boxCount: 1, percentOfCirculating: '33.3333', percentOfEmission: '0.15' }
+  };
+  win.__detail = detail;
+  const view = run(`buildTokenView(window.__detail, null)`);
+  const text = view.textContent;
+  assert.ok(text.includes('three decimals'));
+  assert.ok(text.includes('995.5'));
+  assert.ok(text.includes('33.3333%'));
+  assert.ok(text.includes('NFT - picture (0x0101)'));
+  assert.ok(text.includes('3 — 66.66%'));
+  assert.equal(view.querySelector('a.detail-value').href, 'https://example.com/a.png');
+  assert.equal(view.querySelectorAll('.detail-link').length, 2);
+  run(`setLang('fa')`);
+});
+
+test('token metadata is fetched in POST batches, once per id', async () => {
+  const ids = ['c', 'd', 'e'].map(c => c.repeat(64));
+  const posts = [];
+  const saved = win.fetch;
+  win.fetch = async (url, opts) => {
+    const body = JSON.parse(opts.body);
+    posts.push(body.tokenIds);
+    const items = Object.fromEntries(body.tokenIds.filter(id => id !== ids[2]).map(id => [id, { id, name: `N-${id[0]}`, decimals: 2 }]));
+    return { ok: true, status: 200, json: async () => ({ network: 'testnet', items, errors: { [ids[2]]: { code: 'NOT_FOUND' } } }) };
+  };
+  try {
+    win.__ids = ids;
+    const metas = await run(`fetchTokenMetaBulk(window.__ids.concat(window.__ids[0]), 2)`);
+    assert.deepEqual(posts, [ids.slice(0, 2), ids.slice(2)]);
+    assert.equal(metas[ids[0]].name, 'N-c');
+    assert.equal(metas[ids[1]].decimals, 2);
+    assert.equal(metas[ids[2]].name, null);
+
+    await run(`fetchTokenMetaBulk(window.__ids)`);
+    assert.equal(posts.length, 2);
+  } finally {
+    win.fetch = saved;
+  }
+});
+
+test('the send preview highlights the inputs of the picked strategy', () => {
+  run(`setLang('en')`);
+  win.__items = BOXES;
+  run(`currentItems = window.__items`);
+  assert.equal(run(`parseTokenUnits('1.5', 3)`), '1500');
+  assert.throws(() => run(`parseTokenUnits('1.2345', 3)`), /Invalid amount/);
+
+  const sel = (strategy, inputs, issues = []) => ({
+    strategy, ok: issues.length === 0, inputCount: inputs.length, inputNanoErg: '1000000000', feeNanoErg: '1100000',
+    inputs: inputs.map(boxId => ({ boxId })), change: { nanoErg: '498900000', tokens: [], minBoxValue: '1000000' }, issues
+  });
+  win.__selection = {
+    target: { nanoErg: '500000000', tokens: [] }, feeNanoErg: '1100000', boxCount: 3, excludedPending: [], issues: [],
+    selections: [
+      sel('largest-first', ['box-big']),
+      sel('min-inputs', ['box-mid', 'box-elsewhere']),
+      sel('smallest-first', [], [{ severity: 'error', code: 'INSUFFICIENT_ERG', message: 'x', missingNanoErg: '2000000000' }])
+    ]
+  };
+  win.document.getElementById('select-strategy').value = 'min-inputs';
+  run(`selectionState = window.__selection; renderSelection()`);
+
+  const rows = Array.from(win.document.querySelectorAll('#utxo-table tbody tr'));
+  assert.deepEqual(rows.filter(r => r.classList.contains('selected-input')).map(r => r.cells[0].title), ['box-mid']);
+  const result = win.document.getElementById('select-result');
+  assert.ok(result.textContent.includes('1 of 2 selected boxes are on this page'));
+  assert.ok(result.textContent.includes('not enough ERG (missing 2 ERG)'));
+
+  // picking another strategy from the comparison table moves the highlight
+  result.querySelectorAll('.select-table tr')[1].dispatchEvent(new win.Event('click'));
+  assert.equal(win.document.getElementById('select-strategy').value, 'largest-first');
+  assert.equal(win.document.querySelector('#utxo-table tr.selected-input').cells[0].title, 'box-big');
+
+  run(`clearSelection(); currentItems = []`);
+  assert.equal(win.document.querySelectorAll('#utxo-table tr.selected-input').length, 0);
+  assert.ok(result.classList.contains('hidden'));
+  run(`setLang('fa')`);
+});
+
+test('the dust view shows buckets, the consolidation estimate and flagged boxes', () => {
+  const { analyzeDust } = require('../dust');
+  run(`setLang('en')`);
+  const analysis = analyzeDust([
+    { boxId: 'd'.repeat(64), value: '1000000', creationHeight: 10, assets: [] },
+    { boxId: 'e'.repeat(64), value: '1500000', creationHeight: 20, assets: [] },
+    { boxId: 'f'.repeat(64), value: '5000000000', creationHeight: 30, assets: [] }
+  ], { height: 1000 });
+  win.__dust = Object.assign({ address: 'x', complete: true, issues: [] }, analysis);
+  run(`dustState = window.__dust; renderDust()`);
+
+  const result = win.document.getElementById('dust-result');
+  assert.ok(result.textContent.includes('3 unspent boxes, 5.0025 ERG — block height 1,000'));
+  assert.ok(result.textContent.includes('Merging 2 flagged boxes: 1 txs, fee 0.0011 ERG, leaves 0.0014 ERG in one box (2 boxes afterwards)'));
+  assert.ok(result.textContent.includes('Worth sweeping'));
+  const [values, ages, flagged] = Array.from(result.querySelectorAll('.dust-table'));
+  assert.equal(values.rows[1].cells[1].textContent, '1');
+  assert.equal(ages.rows[2].cells[1].textContent, '3');
+  assert.equal(flagged.rows.length, 3);
+  assert.equal(flagged.rows[1].cells[0].title, 'd'.repeat(64));
+  assert.equal(flagged.rows[1].cells[4].textContent, 'near min value');
+
+  run(`dustThresholdInput.value = '0.01'`);
+  assert.match(run(`buildDustUrl('addr', { format: 'jsonl' })`), /\/api\/wallet\/addr\/export\?threshold=0\.01&kind=dust&format=jsonl$/);
+  run(`dustThresholdInput.value = ''; dustState = null; renderDust()`);
+  assert.equal(result.textContent, '');
+  run(`setLang('fa')`);
+});
+
+test('the snapshot view lists snapshots and renders a diff', () => {
+  run(`setLang('en')`);
+  win.__snapshots = [
+    { id: 'b'.repeat(16), name: 'after', address: 'x', createdAt: 2000, boxCount: 2, totalNanoErg: '3000000000', tokens: {} },
+    { id: 'a'.repeat(16), name: 'before', address: 'x', createdAt: 1000, boxCount: 1, totalNanoErg: '1000000000', tokens: {} }
+  ];
+  run(`snapshotList = window.__snapshots; renderSnapshots()`);
+  const doc = win.document;
+  assert.equal(doc.querySelectorAll('#snapshots-table tbody tr').length, 2);
+  // the oldest snapshot against live state by default
+  assert.equal(doc.getElementById('diff-from').value, 'a'.repeat(16));
+  assert.equal(doc.getElementById('diff-to').value, 'live');
+  assert.equal(run(`buildDiffUrl('${'a'.repeat(16)}', '${'b'.repeat(16)}')`), `/api/snapshots/${'a'.repeat(16)}/diff?to=${'b'.repeat(16)}`);
+
+  win.__diff = {
+    from: win.__snapshots[1],
+    to: { live: true, createdAt: 3000, boxCount: 2, totalNanoErg: '2500000000', tokens: {} },
+    erg: { before: '1000000000', after: '2500000000', delta: '1500000000' },
+    tokens: [{ tokenId: '9'.repeat(64), before: '10', after: '4', delta: '-6' }],
+    boxesAdded: [{ boxId: 'd'.repeat(64), value: '2000000000', assets: [] }, { boxId: 'e'.repeat(64), value: '500000000', assets: [] }],
+    boxesSpent: [],
+    unchangedBoxCount: 0
+  };
+  run(`diffState = window.__diff; renderDiff()`);
+  const result = doc.getElementById('diff-result');
+  assert.ok(result.textContent.includes('→ Live state'));
+  assert.ok(result.textContent.includes('ERG: 1 ERG → 2.5 ERG (+1.5 ERG)'));
+  const tokenRow = result.querySelector('.diff-tokens').rows[1];
+  assert.equal(tokenRow.cells[3].textContent, '-6');
+  assert.ok(tokenRow.cells[3].classList.contains('pending-out'));
+  assert.equal(result.querySelectorAll('.diff-added tr').length, 2);
+  assert.ok(result.textContent.includes('Boxes spent: 0'));
+
+  run(`snapshotList = []; diffState = null; renderSnapshots(); renderDiff()`);
+  assert.ok(doc.getElementById('diff-run').disabled);
+  assert.equal(result.textContent, '');
+  run(`setLang('fa')`);
+});
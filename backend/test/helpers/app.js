@@ -0,0 +1,54 @@
+// backend/test/helpers/app.js
+// Boots server.js against a mock explorer on a random port.
+// server.js reads its config when it is first required, so the env is set before that.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startMockExplorer } = require('./mock-explorer');
+
+async function startTestApp({ upstreamTimeoutMs = 300 } = {}) {
+  const explorer = await startMockExplorer({ delayMs: upstreamTimeoutMs * 3 });
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ergo-tracker-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    ERGO_NETWORK: 'testnet',
+    EXPLORER_URL: explorer.baseUrl,
+    UPSTREAMS: 'explorer',
+    UPSTREAM_TIMEOUT_MS: String(upstreamTimeoutMs),
+    UPSTREAM_RETRIES: '1',
+    UPSTREAM_RETRY_BASE_MS: '5',
+    RATE_LIMIT_MAX: '10000',
+    ALERTS_FILE: path.join(dataDir, 'alerts.json'),
+    SNAPSHOTS_DIR: path.join(dataDir, 'snapshots')
+  });
+  delete process.env.CACHE_FILE;
+
+  const { app, cache } = require('../../server');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    explorer,
+    cache,
+    base,
+    // GET (or other method) against the app; resolves to { status, body }
+    async request(p, opts = {}) {
+      const res = await fetch(base + p, opts);
+      const text = await res.text();
+      let body = text;
+      try { body = JSON.parse(text); } catch (e) { /* keep text */ }
+      return { status: res.status, headers: res.headers, body };
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await explorer.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startTestApp };
@@ -0,0 +1,105 @@
+// backend/test/helpers/mock-explorer.js
+// Local stand-in for the Explorer API v1, serving the JSON fixtures in ../fixtures.
+// `failWith(substring, mode, times)` makes matching requests misbehave (the next `times` of them,
+// default all):
+//   'timeout'   answer only after `delayMs` (longer than the backend's upstream timeout)
+//   '500'       HTTP 500 with a text body
+//   'malformed' HTTP 200 with a truncated JSON body
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const load = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+function page(list, query) {
+  const limit = Number(query.get('limit')) || 20;
+  const offset = Number(query.get('offset')) || 0;
+  return { items: list.slice(offset, offset + limit), total: list.length };
+}
+
+async function startMockExplorer({ delayMs = 1000 } = {}) {
+  const boxes = load('boxes.json');
+  const tokens = load('tokens.json');
+  const txs = load('transactions.json');
+  const all = boxes.unspent.concat(boxes.spent);
+  // boxes of other addresses: token minting boxes and unspent boxes of other holders
+  const foreign = (boxes.minting || []).concat(boxes.others || []);
+  const failures = [];
+  const requests = [];
+
+  function route(pathname, query) {
+    let m;
+    if ((m = /^\/api\/v1\/boxes\/unspent\/byAddress\/([^/]+)$/.exec(pathname))) {
+      return [200, page(m[1] === boxes.address ? boxes.unspent : [], query)];
+    }
+    if ((m = /^\/api\/v1\/boxes\/byAddress\/([^/]+)$/.exec(pathname))) {
+      return [200, page(m[1] === boxes.address ? all : [], query)];
+    }
+    if ((m = /^\/api\/v1\/boxes\/unspent\/byTokenId\/([^/]+)$/.exec(pathname))) {
+      const holding = boxes.unspent.concat(boxes.others || []).filter(b => b.assets.some(a => a.tokenId === m[1]));
+      return [200, page(holding, query)];
+    }
+    if ((m = /^\/api\/v1\/boxes\/([0-9a-f]{64})$/.exec(pathname))) {
+      const box = all.concat(foreign).find(b => b.boxId === m[1]);
+      return box ? [200, box] : [404, { status: 404, reason: 'box not found' }];
+    }
+    if ((m = /^\/api\/v1\/tokens\/([^/]+)$/.exec(pathname))) {
+      return tokens[m[1]] ? [200, tokens[m[1]]] : [404, { status: 404, reason: 'token not found' }];
+    }
+    if ((m = /^\/api\/v1\/transactions\/byId\/([^/]+)$/.exec(pathname))) {
+      const tx = txs.items.find(t => t.id === m[1]);
+      return tx ? [200, tx] : [404, { status: 404, reason: 'tx not found' }];
+    }
+    if ((m = /^\/api\/v1\/addresses\/([^/]+)\/transactions$/.exec(pathname))) {
+      // newest first, like the explorer
+      const list = m[1] === txs.address ? txs.items.slice().reverse() : [];
+      return [200, page(list, query)];
+    }
+    if (/^\/api\/v1\/mempool\/transactions\/byAddress\//.test(pathname)) return [200, { items: [], total: 0 }];
+    if (pathname === '/api/v1/networkState') return [200, { height: 1000 }];
+    if (pathname === '/api/v1/info') return [200, { version: 'mock' }];
+    return [404, { status: 404, reason: 'not found' }];
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    requests.push(url.pathname + url.search);
+    const failure = failures.find(f => f.times > 0 && req.url.includes(f.match));
+    if (failure) failure.times--;
+    if (failure && failure.mode === 'timeout') {
+      const t = setTimeout(() => { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end('{}'); }, delayMs);
+      res.on('close', () => clearTimeout(t));
+      return;
+    }
+    if (failure && failure.mode === '500') {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('internal explorer error');
+    }
+    if (failure && failure.mode === 'malformed') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end('{"items": [{"boxId": ');
+    }
+    const [status, body] = route(url.pathname, url.searchParams);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/api/v1`,
+    fixtures: { boxes, tokens, txs },
+    requests,
+    failWith(match, mode, times = Infinity) { failures.push({ match, mode, times }); },
+    reset() { failures.length = 0; requests.length = 0; },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockExplorer };
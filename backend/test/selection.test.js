@@ -0,0 +1,62 @@
+// backend/test/selection.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectBoxes, minBoxValue, SAFE_MIN_BOX_VALUE } = require('../selection');
+
+const T = 't'.repeat(64);
+const ERG = 1000000000n;
+const box = (boxId, nano, assets = []) => ({ boxId, value: String(nano), creationHeight: 1, assets });
+const BOXES = [
+  box('a', 5n * ERG),
+  box('b', 2n * ERG),
+  box('c', ERG, [{ tokenId: T, amount: '100' }]),
+  box('d', 1500000n),
+  box('e', 1000000n),
+  box('f', ERG / 2n)
+];
+const ids = sel => sel.inputs.map(b => b.boxId);
+const send = (strategy, nanoErg, tokens = new Map()) => selectBoxes(BOXES, { strategy, nanoErg, tokens });
+
+test('each strategy orders the ERG inputs its own way', () => {
+  const amount = 1800000000n; // + 0.0011 fee
+  assert.deepEqual(ids(send('largest-first', amount)), ['a']);
+  assert.deepEqual(ids(send('smallest-first', amount)), ['e', 'd', 'f', 'b']);
+  assert.deepEqual(ids(send('min-inputs', amount)), ['b']);
+  // token-free boxes are used before the one holding a token
+  assert.deepEqual(ids(send('largest-first', 5n * ERG)), ['a', 'b']);
+
+  const sweep = send('consolidate-dust', ERG / 4n);
+  assert.deepEqual(ids(sweep), ['e', 'd', 'f']);
+  assert.equal(sweep.change.nanoErg, '251400000');
+  assert.equal(sweep.ok, true);
+});
+
+test('token targets come first and leftover tokens go to the change', () => {
+  const sel = send('largest-first', 10000000n, new Map([[T, 40n]]));
+  assert.deepEqual(ids(sel), ['c']);
+  assert.equal(sel.change.nanoErg, '988900000');
+  assert.deepEqual(sel.change.tokens, [{ tokenId: T, amount: '60' }]);
+  assert.equal(sel.issues.length, 0);
+});
+
+test('shortfalls and min-box-value problems are reported as issues', () => {
+  const broke = send('largest-first', 100n * ERG, new Map([[T, 1000n]]));
+  assert.equal(broke.ok, false);
+  assert.deepEqual(broke.issues.map(i => i.code), ['INSUFFICIENT_ERG', 'INSUFFICIENT_TOKEN']);
+  assert.equal(broke.issues[1].missing, '900');
+
+  const tight = selectBoxes([box('x', ERG + 1500000n)], { nanoErg: ERG });
+  assert.equal(tight.change.nanoErg, '400000');
+  assert.equal(tight.issues[0].code, 'CHANGE_BELOW_MIN_BOX_VALUE');
+
+  // exactly the amount plus fee: no change box at all
+  const exact = selectBoxes([box('y', ERG + 1100000n), box('z', 3n * ERG)], { strategy: 'min-inputs', nanoErg: ERG });
+  assert.deepEqual(ids(exact), ['y']);
+  assert.equal(exact.change, null);
+
+  const tiny = send('largest-first', 500000n);
+  assert.equal(tiny.issues[0].code, 'OUTPUT_BELOW_MIN_BOX_VALUE');
+  assert.equal(minBoxValue(0), SAFE_MIN_BOX_VALUE);
+  assert.ok(minBoxValue(200) > SAFE_MIN_BOX_VALUE);
+});
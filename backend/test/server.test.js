@@ -0,0 +1,410 @@
+// backend/test/server.test.js
+// Proxy routes end to end: app -> upstream -> mock explorer.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('./helpers/app');
+
+const ADDRESS = '3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN';
+const MAINNET_ADDRESS = '9fRAWhdxEsTcdb8PhGNrZfwqa65zfkuYHAMmkQLcic1gdLSV5vA';
+const T1 = 'a'.repeat(64);
+const T2 = 'b'.repeat(64);
+
+let t;
+before(async () => { t = await startTestApp(); });
+after(async () => { await t.close(); });
+beforeEach(() => {
+  t.cache.clear();
+  t.explorer.reset();
+});
+
+test('summary sums unspent boxes with BigInt precision', async () => {
+  const { status, body } = await t.request(`/api/summary/${ADDRESS}`);
+  assert.equal(status, 200);
+  // 9007199254740993 + 1000000000 + 2500000 is past Number.MAX_SAFE_INTEGER
+  assert.equal(body.totalNanoErg, '9007200257240993');
+  assert.equal(body.utxoCount, 3);
+  assert.equal(body.complete, true);
+  const byId = Object.fromEntries(body.tokens.map(tk => [tk.tokenId, tk]));
+  assert.equal(byId[T1].amount, '9007199254741000');
+  assert.equal(byId[T2].amount, '1500');
+  assert.equal(byId[T2].decimals, 3);
+  assert.equal(byId[T2].amountFormatted, '1.5');
+});
+
+test('summary with status=all includes spent boxes', async () => {
+  const { body } = await t.request(`/api/summary/${ADDRESS}?status=all&tokenMeta=0`);
+  assert.equal(body.utxoCount, 5);
+  assert.equal(body.totalNanoErg, '9007205557240993');
+  assert.equal(body.tokens.find(tk => tk.tokenId === T2).amount, '1510');
+  assert.equal(body.tokens[0].name, undefined);
+});
+
+test('utxos route pages through the upstream and filters locally', async () => {
+  const page = await t.request(`/api/wallet/${ADDRESS}/utxos?limit=2&offset=0`);
+  assert.equal(page.status, 200);
+  assert.equal(page.body.total, 5);
+  assert.equal(page.body.items.length, 2);
+
+  const spent = await t.request(`/api/wallet/${ADDRESS}/utxos?status=spent`);
+  assert.equal(spent.body.total, 2);
+  assert.ok(spent.body.items.every(b => b.spentTransactionId));
+
+  const sorted = await t.request(`/api/wallet/${ADDRESS}/utxos?status=unspent&sort=value_asc&token=${T2.slice(0, 8)}`);
+  assert.deepEqual(sorted.body.items.map(b => b.value), ['1000000000']);
+
+  const min = await t.request(`/api/wallet/${ADDRESS}/utxos?status=unspent&minValue=2500001`);
+  assert.equal(min.body.total, 2);
+  for (const bad of ['abc', '1.5', '-1']) {
+    const res = await t.request(`/api/wallet/${ADDRESS}/utxos?minValue=${bad}`);
+    assert.equal(res.status, 400, bad);
+    assert.equal(res.body.error.code, 'BAD_REQUEST');
+  }
+  assert.equal((await t.request(`/api/wallet/${ADDRESS}/export?minValue=abc`)).status, 400);
+});
+
+test('invalid and wrong-network addresses are rejected before the upstream', async () => {
+  const bad = await t.request('/api/summary/not-an-address');
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.code, 'INVALID_ADDRESS');
+  const mainnet = await t.request(`/api/summary/${MAINNET_ADDRESS}`);
+  assert.equal(mainnet.status, 400);
+  assert.equal(mainnet.body.error.code, 'WRONG_NETWORK');
+  assert.equal(mainnet.body.error.details.network, 'mainnet');
+  assert.equal(t.explorer.requests.length, 0);
+});
+
+test('asset, box and tx routes proxy single resources', async () => {
+  const asset = await t.request(`/api/asset/${T1}`);
+  assert.equal(asset.status, 200);
+  assert.equal(asset.body.item.name, 'BigToken');
+
+  const box = await t.request(`/api/box/${'0'.repeat(63)}1`);
+  assert.equal(box.status, 200);
+  assert.equal(box.body.item.value, '9007199254740993');
+  assert.deepEqual(box.body.registers, []);
+
+  const tx = await t.request(`/api/tx/${'f'.repeat(64)}?address=${ADDRESS}`);
+  assert.equal(tx.status, 200);
+  assert.equal(tx.body.feeNanoErg, '1100000');
+  assert.equal(tx.body.delta.netNanoErg, '1000000000');
+  assert.equal(tx.body.delta.direction, 'in');
+
+  const missing = await t.request(`/api/asset/${'c'.repeat(64)}`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'NOT_FOUND');
+  assert.equal(missing.body.error.upstreamStatus, 404);
+  assert.equal(missing.body.error.retryable, false);
+});
+
+test('token route reports supply, minting box, EIP-4 metadata and holders', async () => {
+  const { status, body } = await t.request(`/api/token/${T2}?address=${ADDRESS}`);
+  assert.equal(status, 200);
+  assert.equal(body.minting.txId, 'd'.repeat(64));
+  assert.equal(body.eip4.name, 'Decimal');
+  assert.equal(body.eip4.type.code, '0101');
+  assert.equal(body.eip4.contentHash, 'ab'.repeat(32));
+  assert.deepEqual(body.eip4.links, ['ipfs://decimal-token']);
+  assert.equal(body.supply.emission, '1000000');
+  assert.equal(body.supply.circulating, '4500');
+  assert.equal(body.supply.burned, '995500');
+  assert.equal(body.supply.complete, true);
+  assert.equal(body.holderCount, 2);
+  assert.equal(body.holders[0].address, '3Wvjj3QVF3PUAgBrrq3Q4oCrS1idUbGNF8uq4xfdbnmSvT1sHEat');
+  assert.equal(body.holders[0].amount, '3000');
+  assert.equal(body.holders[0].percentOfCirculating, '66.6666');
+  assert.equal(body.wallet.amount, '1500');
+  assert.equal(body.wallet.percentOfCirculating, '33.3333');
+
+  const bad = await t.request('/api/token/not-a-token');
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.code, 'BAD_REQUEST');
+});
+
+test('transactions route reports per-tx deltas newest first', async () => {
+  const { body } = await t.request(`/api/wallet/${ADDRESS}/transactions`);
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.items.map(tx => tx.direction), ['out', 'in']);
+  assert.equal(body.items[0].netNanoErg, '-300000000');
+});
+
+test('export streams boxes and the ledger with filters applied', async () => {
+  const boxes = await t.request(`/api/wallet/${ADDRESS}/export?kind=boxes&status=spent&token=${T2}`);
+  assert.equal(boxes.status, 200);
+  assert.match(boxes.headers.get('content-type'), /^text\/csv/);
+  assert.match(boxes.headers.get('content-disposition'), /_boxes\.csv"$/);
+  const lines = boxes.body.trim().split('\n');
+  assert.equal(lines.length, 2);
+  assert.ok(lines[1].startsWith(`"${'0'.repeat(63)}5","spent","300000000","0.3",`));
+  // token decimals come from the token lookups; the spending tx supplies the time
+  assert.ok(lines[1].includes(`"Decimal:${T2}(0.01)"`));
+  assert.ok(lines[1].endsWith('"2023-11-14T22:30:00.000Z"'));
+
+  const ledger = await t.request(`/api/wallet/${ADDRESS}/export?kind=ledger&format=jsonl&fromHeight=125`);
+  assert.equal(ledger.status, 200);
+  const rows = ledger.body.trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(rows.map(r => [r.asset, r.amount, r.fee, r.balance]), [
+    ['ERG', '-0.3', '0.0011', '0.7'],
+    [T2, '-0.01', '', '1.49']
+  ]);
+
+  const bad = await t.request(`/api/wallet/${ADDRESS}/export?kind=ledger&from=yesterday`);
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.code, 'BAD_REQUEST');
+});
+
+test('box exports look up times per page and flag the ones that failed in a trailer', async () => {
+  // raw GET, since fetch does not expose trailers
+  const download = p => new Promise((resolve, reject) => {
+    http.get(t.base + p, res => {
+      let body = '';
+      res.on('data', c => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body, trailers: res.trailers }));
+    }).on('error', reject);
+  });
+  const url = `/api/wallet/${ADDRESS}/export?kind=boxes&format=jsonl&status=spent&token=${T2}`;
+
+  // the fixtures only hold the spending tx of this box, so its creation time is unknown
+  const ok = await download(url);
+  assert.equal(ok.trailers['x-export-incomplete'], 'missing-times=1');
+  const row = JSON.parse(ok.body);
+  assert.deepEqual([row.createdAt, row.spentAt], ['', '2023-11-14T22:30:00.000Z']);
+  // only the txs of the exported boxes, never the whole history
+  assert.ok(!t.explorer.requests.some(r => r.includes('/addresses/')));
+
+  t.cache.clear();
+  t.explorer.failWith('/transactions/byId/', '500');
+  const partial = await download(url);
+  assert.equal(partial.status, 200);
+  assert.equal(partial.trailers['x-export-incomplete'], 'missing-times=2');
+  assert.equal(JSON.parse(partial.body).spentAt, '');
+});
+
+test('select previews the inputs and change of every strategy', async () => {
+  const box = n => `${'0'.repeat(63)}${n}`;
+  const { status, body } = await t.request(`/api/wallet/${ADDRESS}/select?erg=0.5&strategy=all`);
+  assert.equal(status, 200);
+  assert.equal(body.feeNanoErg, '1100000');
+  assert.equal(body.boxCount, 3);
+  const byStrategy = Object.fromEntries(body.selections.map(s => [s.strategy, s]));
+  assert.deepEqual(byStrategy['largest-first'].inputs.map(b => b.boxId), [box(1)]);
+  assert.deepEqual(byStrategy['smallest-first'].inputs.map(b => b.boxId), [box(3), box(2)]);
+  assert.deepEqual(byStrategy['min-inputs'].inputs.map(b => b.boxId), [box(2)]);
+  assert.equal(byStrategy['min-inputs'].change.nanoErg, '498900000');
+  assert.equal(byStrategy['min-inputs'].change.tokens.length, 2);
+
+  const tokens = await t.request(`/api/wallet/${ADDRESS}/select?erg=0.01&tokens=${T2}:2000`);
+  assert.equal(tokens.body.selections[0].ok, false);
+  assert.equal(tokens.body.selections[0].issues[0].code, 'INSUFFICIENT_TOKEN');
+  assert.equal(tokens.body.selections[0].issues[0].missing, '500');
+
+  assert.equal((await t.request(`/api/wallet/${ADDRESS}/select`)).status, 400);
+  assert.equal((await t.request(`/api/wallet/${ADDRESS}/select?erg=1&strategy=random`)).status, 400);
+  assert.equal((await t.request(`/api/wallet/${ADDRESS}/select?tokens=${T2}:1.5`)).status, 400);
+});
+
+test('dust groups unspent boxes and estimates the consolidation', async () => {
+  const box = n => `${'0'.repeat(63)}${n}`;
+  const { status, body } = await t.request(`/api/wallet/${ADDRESS}/dust?threshold=0.003`);
+  assert.equal(status, 200);
+  assert.equal(body.height, 1000);
+  assert.equal(body.boxCount, 3);
+  assert.deepEqual(body.boxes.map(b => b.boxId), [box(3), box(2), box(1)]);
+  assert.deepEqual(body.boxes[0].flags, ['near-min-value']);
+  assert.equal(body.boxes[0].ageBlocks, 860);
+  assert.equal(body.valueBuckets[2].count, 1);
+  assert.equal(body.ageBuckets[1].count, 3);
+  assert.equal(body.consolidation.txCount, 0);
+
+  const wide = await t.request(`/api/wallet/${ADDRESS}/dust?threshold=1.5`);
+  assert.equal(wide.body.consolidation.candidates, 2);
+  assert.equal(wide.body.consolidation.feeNanoErg, '1100000');
+  assert.equal(wide.body.consolidation.resultNanoErg, '1001400000');
+  assert.equal(wide.body.consolidation.worthIt, true);
+
+  const csv = await t.request(`/api/wallet/${ADDRESS}/export?kind=dust&threshold=0.003`);
+  const lines = csv.body.trim().split('\n');
+  assert.ok(lines[0].startsWith('boxId,value,erg,valueBucket,'));
+  assert.equal(lines.length, 4);
+  assert.match(lines[1], /"0\.002-0\.01".*"near-min-value","yes"$/);
+
+  t.cache.clear();
+  t.explorer.failWith('/networkState', '500');
+  const noHeight = await t.request(`/api/wallet/${ADDRESS}/dust`);
+  assert.equal(noHeight.status, 200);
+  assert.equal(noHeight.body.height, null);
+  assert.equal(noHeight.body.ageBuckets, null);
+  assert.equal(noHeight.body.issues[0].code, 'HEIGHT_UNKNOWN');
+
+  assert.equal((await t.request(`/api/wallet/${ADDRESS}/dust?threshold=-1`)).status, 400);
+});
+
+test('snapshots are saved and diffed against live state or each other', async () => {
+  const box = n => `${'0'.repeat(63)}${n}`;
+  const post = body => t.request('/api/snapshots', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const created = await post({ address: ADDRESS, name: 'before' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.item.boxCount, 3);
+  assert.equal(created.body.item.height, 1000);
+  const id = created.body.item.id;
+
+  // one box spent, one new box with more T2
+  const unspent = t.explorer.fixtures.boxes.unspent;
+  const saved = unspent.slice();
+  unspent.splice(2, 1);
+  unspent.push({ boxId: 'f'.repeat(64), value: 7000000, creationHeight: 150, transactionId: 'e'.repeat(64), assets: [{ tokenId: T2, amount: 25 }] });
+  try {
+    const live = await t.request(`/api/snapshots/${id}/diff`);
+    assert.equal(live.status, 200);
+    assert.equal(live.body.to.live, true);
+    assert.deepEqual(live.body.boxesAdded.map(b => b.boxId), ['f'.repeat(64)]);
+    assert.deepEqual(live.body.boxesSpent.map(b => b.boxId), [box(3)]);
+    assert.equal(live.body.erg.delta, '4500000');
+    assert.deepEqual(live.body.tokens, [{ tokenId: T2, before: '1500', after: '1525', delta: '25' }]);
+
+    const second = await post({ address: ADDRESS, name: 'after' });
+    const between = await t.request(`/api/snapshots/${id}/diff?to=${second.body.item.id}`);
+    assert.equal(between.body.to.name, 'after');
+    assert.equal(between.body.erg.delta, '4500000');
+  } finally {
+    unspent.splice(0, unspent.length, ...saved);
+  }
+
+  const listed = await t.request(`/api/snapshots?address=${ADDRESS}`);
+  assert.deepEqual(listed.body.items.map(s => s.name), ['after', 'before']);
+  assert.equal((await t.request(`/api/snapshots/${id}`)).body.item.boxes.length, 3);
+
+  assert.equal((await post({ address: ADDRESS })).status, 400);
+  assert.equal((await post({ address: 'nope', name: 'x' })).status, 400);
+  assert.equal((await t.request(`/api/snapshots/${id}/diff?to=0123456789abcdef`)).status, 404);
+  assert.equal((await t.request(`/api/snapshots/${id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await t.request(`/api/snapshots/${id}`)).status, 404);
+});
+
+test('alert rules are validated and managed over /api/alerts', async () => {
+  const post = body => t.request('/api/alerts', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const badHook = await post({ address: ADDRESS, type: 'new_box', webhookUrl: 'ftp://example.com/hook' });
+  assert.equal(badHook.status, 400);
+  assert.equal(badHook.body.error.code, 'INVALID_RULE');
+  const internalHook = await post({ address: ADDRESS, type: 'new_box', webhookUrl: 'http://169.254.169.254/latest/meta-data' });
+  assert.equal(internalHook.status, 400);
+  assert.equal(internalHook.body.error.code, 'INVALID_RULE');
+  const badThreshold = await post({ address: ADDRESS, type: 'erg_below', thresholdErg: 'lots', webhookUrl: 'https://hooks.example.com/alert' });
+  assert.equal(badThreshold.body.error.code, 'INVALID_RULE');
+  assert.equal((await post({ address: 'nope', type: 'new_box', webhookUrl: 'https://hooks.example.com/alert' })).body.error.code, 'INVALID_ADDRESS');
+
+  const created = await post({ address: ADDRESS, type: 'erg_below', thresholdErg: '2', webhookUrl: 'https://hooks.example.com/alert' });
+  assert.equal(created.status, 201);
+  const id = created.body.item.id;
+  const patched = await t.request(`/api/alerts/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled: false }) });
+  assert.equal(patched.body.item.enabled, false);
+  assert.deepEqual((await t.request(`/api/alerts?address=${ADDRESS}`)).body.items.map(r => r.id), [id]);
+  assert.equal((await t.request(`/api/alerts/${id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await t.request(`/api/alerts/${id}`)).status, 404);
+});
+
+test('repeat requests are served from the cache', async () => {
+  await t.request(`/api/asset/${T2}`);
+  const second = await t.request(`/api/asset/${T2}`);
+  assert.equal(second.body.cached, true);
+  assert.equal(t.explorer.requests.filter(r => r.includes(`/tokens/${T2}`)).length, 1);
+});
+
+test('asset batches dedupe ids, answer cached ones first and list failures per id', async () => {
+  await t.request(`/api/asset/${T2}`);
+  const post = body => t.request('/api/assets', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  const { status, body } = await post({ tokenIds: [T1, T2, T1, 'c'.repeat(64), 'nope'] });
+  assert.equal(status, 200);
+  assert.equal(body.requested, 4);
+  assert.equal(body.cached, 1);
+  assert.equal(body.fetched, 1);
+  assert.equal(body.items[T1].name, 'BigToken');
+  assert.equal(body.items[T2].decimals, 3);
+  assert.equal(body.errors['c'.repeat(64)].code, 'NOT_FOUND');
+  assert.equal(body.errors.nope.code, 'BAD_REQUEST');
+  assert.equal(t.explorer.requests.filter(r => r.includes('/tokens/')).length, 3);
+
+  // two clients asking at once share one upstream request per id
+  t.explorer.reset();
+  t.cache.clear();
+  await Promise.all([post({ tokenIds: [T1] }), post({ tokenIds: [T1, T2] })]);
+  assert.equal(t.explorer.requests.filter(r => r.includes(`/tokens/${T1}`)).length, 1);
+
+  assert.equal((await post({ tokenIds: 'x' })).status, 400);
+});
+
+test('stale cached data is served when the upstream starts failing', async (ctx) => {
+  const first = await t.request(`/api/summary/${ADDRESS}?tokenMeta=0`);
+  t.explorer.failWith('/boxes/', '500');
+  // move past the boxes TTL (30s) but stay inside its stale window
+  ctx.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  ctx.mock.timers.tick(60 * 1000);
+
+  const stale = await t.request(`/api/summary/${ADDRESS}?tokenMeta=0`);
+  assert.equal(stale.status, 200);
+  assert.equal(stale.body.totalNanoErg, first.body.totalNanoErg);
+
+  // the background refresh failed, so the next answer says so
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const page = await t.request(`/api/wallet/${ADDRESS}/utxos?status=unspent&limit=500`);
+  assert.equal(page.status, 200);
+  assert.equal(page.body.cached, true);
+  assert.match(page.body.note, /upstream error/);
+});
+
+test('upstream 500 maps to 502 after the retries run out', async () => {
+  t.explorer.failWith('/boxes/', '500');
+  const { status, body } = await t.request(`/api/summary/${ADDRESS}`);
+  assert.equal(status, 502);
+  assert.equal(body.error.code, 'UPSTREAM_ERROR');
+  assert.equal(body.error.upstreamStatus, 500);
+  assert.equal(body.error.retryable, true);
+  // one try plus UPSTREAM_RETRIES=1
+  assert.equal(t.explorer.requests.filter(r => r.startsWith('/api/v1/boxes/')).length, 2);
+});
+
+test('a transient upstream failure is retried transparently', async () => {
+  t.explorer.failWith(`/tokens/${T1}`, '500', 1);
+  const { status, body } = await t.request(`/api/asset/${T1}`);
+  assert.equal(status, 200);
+  assert.equal(body.item.name, 'BigToken');
+  assert.equal(t.explorer.requests.length, 2);
+});
+
+test('upstream timeout maps to 504', async () => {
+  t.explorer.failWith('/transactions/byId/', 'timeout');
+  const { status, body } = await t.request(`/api/tx/${'e'.repeat(64)}`);
+  assert.equal(status, 504);
+  assert.equal(body.error.code, 'UPSTREAM_TIMEOUT');
+});
+
+test('malformed upstream JSON is an error, not an empty result', async () => {
+  t.explorer.failWith('/boxes/unspent/', 'malformed');
+  const { status, body } = await t.request(`/api/summary/${ADDRESS}`);
+  assert.equal(status, 502);
+  assert.equal(body.error.code, 'UPSTREAM_MALFORMED');
+});
+
+test('errors carry the request id from X-Request-Id, or a generated one', async () => {
+  const given = await t.request('/api/box/nope', { headers: { 'X-Request-Id': 'report-42' } });
+  assert.equal(given.status, 400);
+  assert.equal(given.headers.get('x-request-id'), 'report-42');
+  assert.deepEqual(Object.keys(given.body.error).sort(), ['code', 'message', 'requestId', 'retryable', 'upstreamStatus']);
+  assert.equal(given.body.error.requestId, 'report-42');
+  assert.equal(given.body.error.code, 'BAD_REQUEST');
+
+  const generated = await t.request('/api/nothing-here');
+  assert.equal(generated.status, 404);
+  assert.ok(generated.body.error.requestId);
+  assert.equal(generated.headers.get('x-request-id'), generated.body.error.requestId);
+});
+
+test('health reports the upstream and the network', async () => {
+  const { status, body } = await t.request('/api/health');
+  assert.equal(status, 200);
+  assert.equal(body.network, 'testnet');
+  assert.equal(body.upstreams[0].name, 'explorer');
+  assert.equal(body.upstreams[0].reachable, true);
+});
@@ -0,0 +1,58 @@
+// backend/test/sigma.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeConstant, decodeRegisters } = require('../sigma');
+
+const PK = `02${'11'.repeat(32)}`;
+
+test('primitives, byte collections and sigma props decode with their type', () => {
+  assert.deepEqual(decodeConstant('0404'), { type: 'Int', value: 2, rendered: '2' });
+  assert.equal(decodeConstant('0401').value, -1);
+  // 1000 -> zigzag 2000 -> VLQ d0 0f
+  assert.deepEqual(decodeConstant('05d00f'), { type: 'Long', value: '1000', rendered: '1000' });
+
+  const bytes = decodeConstant('0e03616263');
+  assert.equal(bytes.type, 'Coll[Byte]');
+  assert.deepEqual(bytes.value, { hex: '616263', utf8: 'abc' });
+  assert.equal(bytes.rendered, '"abc" (0x616263)');
+
+  assert.deepEqual(decodeConstant(`07${PK}`), { type: 'GroupElement', value: PK, rendered: PK });
+  const prop = decodeConstant(`08cd${PK}`);
+  assert.equal(prop.type, 'SigmaProp');
+  assert.deepEqual(prop.value, { type: 'ProveDlog', publicKey: PK });
+  assert.equal(prop.rendered, `proveDlog(${PK})`);
+});
+
+test('pairs, triples and quadruples read every item type', () => {
+  // pair with an embedded first item: (Int, Long)
+  const pair = decodeConstant('40050402');
+  assert.equal(pair.type, '(Int, Long)');
+  assert.deepEqual(pair.value, [2, '1']);
+  // symmetric pair (Int, Int)
+  assert.deepEqual(decodeConstant('580406').value, [2, 3]);
+
+  const triple = decodeConstant('48040404020406');
+  assert.equal(triple.type, '(Int, Int, Int)');
+  assert.deepEqual(triple.value, [1, 2, 3]);
+  assert.equal(triple.warning, undefined);
+
+  const quad = decodeConstant('540404040402040608');
+  assert.equal(quad.type, '(Int, Int, Int, Int)');
+  assert.deepEqual(quad.value, [1, 2, 3, 4]);
+  assert.equal(quad.rendered, '(1, 2, 3, 4)');
+  assert.equal(quad.warning, undefined);
+
+  // general tuple code with a length byte
+  assert.deepEqual(decodeConstant('60020e040361626304').value, [{ hex: '616263', utf8: 'abc' }, 2]);
+});
+
+test('bad input is reported instead of thrown', () => {
+  assert.equal(decodeConstant('xyz').error, 'not a hex string');
+  assert.equal(decodeConstant('05').error, 'unexpected end of data');
+  assert.equal(decodeConstant('040400').warning, '1 trailing bytes');
+  assert.match(decodeConstant('63').error, /unsupported type Box/);
+
+  const regs = decodeRegisters({ R5: '0404', R4: { serializedValue: '0e03616263' }, R1: '00' });
+  assert.deepEqual(regs.map(r => [r.register, r.type]), [['R4', 'Coll[Byte]'], ['R5', 'Int']]);
+});
@@ -0,0 +1,63 @@
+// backend/test/snapshots.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { snapshotOf, diffSnapshots, createSnapshotStore } = require('../snapshots');
+
+const T = 't'.repeat(64);
+const U = 'u'.repeat(64);
+const box = (boxId, value, assets = []) => ({ boxId, value, creationHeight: 1, transactionId: `tx-${boxId}`, assets });
+
+test('diffSnapshots lists added and spent boxes and the ERG / token deltas', () => {
+  const before = snapshotOf('addr', [
+    box('a', '5000000000', [{ tokenId: T, amount: '100' }]),
+    box('b', '1000000')
+  ]);
+  const after = snapshotOf('addr', [
+    box('a', '5000000000', [{ tokenId: T, amount: '100' }]),
+    box('c', '2000000', [{ tokenId: T, amount: '5' }, { tokenId: U, amount: '1000' }])
+  ]);
+  assert.equal(before.totalNanoErg, '5001000000');
+  assert.deepEqual(before.tokens, { [T]: '100' });
+
+  const diff = diffSnapshots(before, after);
+  assert.deepEqual(diff.boxesAdded.map(b => b.boxId), ['c']);
+  assert.deepEqual(diff.boxesSpent.map(b => b.boxId), ['b']);
+  assert.equal(diff.unchangedBoxCount, 1);
+  assert.deepEqual(diff.erg, { before: '5001000000', after: '5002000000', delta: '1000000' });
+  assert.deepEqual(diff.tokens, [
+    { tokenId: U, before: '0', after: '1000', delta: '1000' },
+    { tokenId: T, before: '100', after: '105', delta: '5' }
+  ]);
+
+  const none = diffSnapshots(after, after);
+  assert.equal(none.boxesAdded.length + none.boxesSpent.length + none.tokens.length, 0);
+  assert.equal(none.erg.delta, '0');
+});
+
+test('the store keeps one file per snapshot and reads them back on restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ergo-snapshots-'));
+  try {
+    const store = createSnapshotStore({ dir });
+    const first = await store.create('before deploy', snapshotOf('addr', [box('a', '1000000')], { createdAt: 1 }));
+    await store.create('after deploy', snapshotOf('addr', [], { createdAt: 2 }));
+    await store.create('other', snapshotOf('other-addr', [], { createdAt: 3 }));
+    assert.equal(first.boxes, undefined);
+    assert.deepEqual(fs.readdirSync(dir).sort(), store.list().map(s => `${s.id}.json`).sort());
+
+    const reopened = createSnapshotStore({ dir });
+    assert.deepEqual(reopened.list({ address: 'addr' }).map(s => s.name), ['after deploy', 'before deploy']);
+    assert.deepEqual((await reopened.get(first.id)).boxes.map(b => b.boxId), ['a']);
+    assert.equal(await reopened.get('../../etc/passwd'), null);
+
+    assert.equal(await reopened.remove(first.id), true);
+    assert.equal(await reopened.remove(first.id), false);
+    assert.equal(reopened.count(), 2);
+    assert.equal(fs.existsSync(path.join(dir, `${first.id}.json`)), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
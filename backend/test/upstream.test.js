@@ -0,0 +1,32 @@
+// backend/test/upstream.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNodeProvider } = require('../upstream');
+
+const ADDRESS = '3WvsT2Gm4EpsM9Pg18PdY6XyhNNMqXDsvJTbbf6ihLvAmSb7u5RN';
+
+test('node mempool lookups resolve inputs in parallel and report the result as partial', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const pool = Array.from({ length: 6 }, (_, i) => ({ id: `tx${i}`, inputs: [{ boxId: `box${i}` }], outputs: [] }));
+  const request = async url => {
+    if (url.includes('/transactions/unconfirmed/byErgoTree')) return pool;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    const boxId = url.split('/').pop();
+    if (boxId === 'box5') throw Object.assign(new Error('not indexed'), { status: 404 });
+    return { boxId, value: '1000', assets: [], address: ADDRESS };
+  };
+  const node = createNodeProvider({ baseUrl: 'http://node', request, network: 'testnet', mempoolConcurrency: 3 });
+
+  const res = await node.mempoolByAddress(ADDRESS, { limit: 500 });
+  assert.equal(res.complete, false);
+  assert.deepEqual(res.items.map(tx => tx.id), pool.map(tx => tx.id));
+  assert.equal(res.items[0].inputs[0].value, '1000');
+  // a box the indexer has not seen yet (chained pending txs) resolves to an empty input
+  assert.deepEqual(res.items[5].inputs[0], { value: '0', assets: [], address: null, boxId: 'box5' });
+  assert.equal(maxInFlight, 3);
+});
@@ -0,0 +1,53 @@
+// backend/test/wallet.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../cache');
+const { createWalletData } = require('../wallet');
+
+const PAGE = 500;
+const txs = n => Array.from({ length: n }, (_, i) => ({ id: `tx${i}` }));
+
+// an upstream whose address listing reports no total, like a node without the count
+// (or `total` when given)
+function untotalled(list, { failAt = null, total = null } = {}) {
+  const offsets = [];
+  return {
+    offsets,
+    async addressTransactions(address, { limit, offset }) {
+      offsets.push(offset);
+      if (offset === failAt) throw Object.assign(new Error('boom'), { status: 500 });
+      return { items: list.slice(offset, offset + limit), total };
+    }
+  };
+}
+
+test('fetchAllTxPages walks pages without a total until a short one', async () => {
+  const upstream = untotalled(txs(2 * PAGE + 3));
+  const wallet = createWalletData({ upstream, cache: createCache(), network: 'testnet' });
+  const walk = await wallet.fetchAllTxPages('addr');
+  assert.deepEqual(upstream.offsets, [0, PAGE, 2 * PAGE]);
+  assert.equal(walk.items.length, 2 * PAGE + 3);
+  assert.equal(walk.total, 2 * PAGE + 3);
+  assert.equal(walk.complete, true);
+});
+
+test('fetchAllTxPages reports a failed page of an untotalled walk as incomplete', async () => {
+  const upstream = untotalled(txs(2 * PAGE + 3), { failAt: PAGE });
+  const wallet = createWalletData({ upstream, cache: createCache(), network: 'testnet' });
+  const walk = await wallet.fetchAllTxPages('addr');
+  assert.equal(walk.items.length, PAGE);
+  assert.equal(walk.total, null);
+  assert.deepEqual(walk.failedOffsets, [PAGE]);
+  assert.equal(walk.complete, false);
+});
+
+test('fetchAllTxPages reports a history shorter than its total as incomplete', async () => {
+  // the listing claims more txs than its pages hold (history shrank while paging)
+  const upstream = untotalled(txs(PAGE + 3), { total: PAGE + 10 });
+  const wallet = createWalletData({ upstream, cache: createCache(), network: 'testnet' });
+  const walk = await wallet.fetchAllTxPages('addr');
+  assert.deepEqual(walk.failedOffsets, []);
+  assert.equal(walk.items.length, PAGE + 3);
+  assert.equal(walk.complete, false);
+});
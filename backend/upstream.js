@@ -0,0 +1,238 @@
+// backend/upstream.js
+/**
+ * Blockchain data providers behind one interface, plus failover between them.
+ *
+ * Every provider answers in the Explorer v1 shapes the rest of the backend already uses:
+ *   boxesByAddress(address, { status: 'unspent'|'all', limit, offset }) -> { items, total|null }
+ *   boxesByTokenId(tokenId, { limit, offset })  -> { items, total|null }, unspent boxes holding the token
+ *   box(boxId)                                   -> box
+ *   token(tokenId)                               -> { id, boxId, emissionAmount, name, description, decimals }
+ *   tx(txId)                                     -> tx with resolved inputs / outputs
+ *   addressTransactions(address, { limit, offset }) -> { items, total }
+ *   mempoolByAddress(address, { limit })         -> { items, total, complete }; `complete` is false when
+ *                                                   txs that only spend the address's boxes can be missing
+ *   height()                                     -> current block height (number)
+ *   ping()                                       -> anything; throws when unreachable
+ *
+ * `request(url, { method, body, headers })` is injected by the server (http.js requestJson);
+ * it resolves to the parsed body and throws errors carrying `status` on non-OK answers.
+ * Errors leaving the failover wrapper carry `upstream`: the name of the provider that failed last.
+ */
+
+const { inspectAddress, addressFromErgoTree } = require('./address');
+const { mapWithConcurrency } = require('./http');
+
+const EXPLORER_URLS = {
+  mainnet: 'https://api.ergoplatform.com/api/v1',
+  testnet: 'https://api-testnet.ergoplatform.com/api/v1'
+};
+
+const listOf = body => (Array.isArray(body) ? body : (body && body.items ? body.items : []));
+const totalOf = body => (body && !Array.isArray(body) && typeof body.total === 'number' ? body.total : null);
+
+// --- public Explorer API ---
+function createExplorerProvider({ baseUrl, request, name = 'explorer' }) {
+  const get = p => request(`${baseUrl}${p}`);
+  const enc = encodeURIComponent;
+  return {
+    name,
+    kind: 'explorer',
+    baseUrl,
+    async boxesByAddress(address, { status = 'all', limit, offset }) {
+      const route = status === 'unspent' ? 'boxes/unspent/byAddress' : 'boxes/byAddress';
+      const body = await get(`/${route}/${enc(address)}?limit=${limit}&offset=${offset}`);
+      return { items: listOf(body), total: totalOf(body) };
+    },
+    async boxesByTokenId(tokenId, { limit, offset }) {
+      const body = await get(`/boxes/unspent/byTokenId/${enc(tokenId)}?limit=${limit}&offset=${offset}`);
+      return { items: listOf(body), total: totalOf(body) };
+    },
+    box: boxId => get(`/boxes/${enc(boxId)}`),
+    token: tokenId => get(`/tokens/${enc(tokenId)}`),
+    tx: txId => get(`/transactions/byId/${enc(txId)}`),
+    async addressTransactions(address, { limit, offset }) {
+      const body = await get(`/addresses/${enc(address)}/transactions?limit=${limit}&offset=${offset}`);
+      return { items: listOf(body), total: totalOf(body) };
+    },
+    async mempoolByAddress(address, { limit }) {
+      const body = await get(`/mempool/transactions/byAddress/${enc(address)}?limit=${limit}&offset=0`);
+      return { items: listOf(body), total: totalOf(body), complete: true };
+    },
+    height: async () => (await get('/networkState')).height,
+    ping: () => get('/info')
+  };
+}
+
+// --- self-hosted Ergo node (needs the extra indexer: `ergo.node.extraIndex = true`) ---
+function createNodeProvider({ baseUrl, request, network, name = 'node', inputConcurrency = 4, mempoolConcurrency = 4 }) {
+  const enc = encodeURIComponent;
+  const get = p => request(`${baseUrl}${p}`);
+  // the address routes take the address as a raw request body
+  const postText = (p, text) => request(`${baseUrl}${p}`, { method: 'POST', body: text, headers: { 'Content-Type': 'text/plain' } });
+  const postJson = (p, value) => request(`${baseUrl}${p}`, { method: 'POST', body: JSON.stringify(value), headers: { 'Content-Type': 'application/json' } });
+
+  // node boxes: plain-hex registers, inclusionHeight instead of settlementHeight
+  function normalizeBox(b) {
+    if (!b) return b;
+    const out = Object.assign({}, b);
+    if (out.settlementHeight === undefined && out.inclusionHeight !== undefined) out.settlementHeight = out.inclusionHeight;
+    if (!out.address && out.ergoTree) out.address = addressFromErgoTree(out.ergoTree, network);
+    out.assets = out.assets || [];
+    return out;
+  }
+
+  function normalizeTx(tx) {
+    if (!tx) return tx;
+    return Object.assign({}, tx, {
+      inputs: (tx.inputs || []).map(normalizeBox),
+      outputs: (tx.outputs || []).map(normalizeBox)
+    });
+  }
+
+  // unconfirmed txs only list input box ids; fetch the boxes so deltas can be computed
+  async function resolveInputs(tx) {
+    const inputs = tx.inputs || [];
+    const boxes = await mapWithConcurrency(inputs, inputConcurrency, inp => get(`/blockchain/box/byId/${enc(inp.boxId)}`));
+    // chained unconfirmed txs spend boxes the indexer has not seen yet
+    const resolved = inputs.map((inp, i) => (boxes[i].ok
+      ? normalizeBox(Object.assign({}, boxes[i].value, inp))
+      : Object.assign({ value: '0', assets: [], address: null }, inp)));
+    return Object.assign({}, tx, { inputs: resolved, outputs: (tx.outputs || []).map(normalizeBox) });
+  }
+
+  return {
+    name,
+    kind: 'node',
+    baseUrl,
+    async boxesByAddress(address, { status = 'all', limit, offset }) {
+      if (status === 'unspent') {
+        // this route returns a bare array (no total)
+        const body = await postText(`/blockchain/box/unspent/byAddress?offset=${offset}&limit=${limit}&sortDirection=desc`, address);
+        return { items: listOf(body).map(normalizeBox), total: totalOf(body) };
+      }
+      const body = await postText(`/blockchain/box/byAddress?offset=${offset}&limit=${limit}`, address);
+      return { items: listOf(body).map(normalizeBox), total: totalOf(body) };
+    },
+    async boxesByTokenId(tokenId, { limit, offset }) {
+      const body = await get(`/blockchain/box/unspent/byTokenId/${enc(tokenId)}?offset=${offset}&limit=${limit}`);
+      return { items: listOf(body).map(normalizeBox), total: totalOf(body) };
+    },
+    box: async boxId => normalizeBox(await get(`/blockchain/box/byId/${enc(boxId)}`)),
+    token: tokenId => get(`/blockchain/token/byId/${enc(tokenId)}`),
+    async tx(txId) {
+      try {
+        return normalizeTx(await get(`/blockchain/transaction/byId/${enc(txId)}`));
+      } catch (err) {
+        if (err.status !== 404) throw err;
+        // not indexed yet: maybe still in the mempool
+        return await resolveInputs(await get(`/transactions/unconfirmed/byTransactionId/${enc(txId)}`));
+      }
+    },
+    async addressTransactions(address, { limit, offset }) {
+      const body = await postText(`/blockchain/transaction/byAddress?offset=${offset}&limit=${limit}`, address);
+      return { items: listOf(body).map(normalizeTx), total: totalOf(body) };
+    },
+    async mempoolByAddress(address, { limit }) {
+      const info = inspectAddress(address);
+      if (!info.valid) throw Object.assign(new Error('invalid address'), { status: 400 });
+      const body = await postJson(`/transactions/unconfirmed/byErgoTree?offset=0&limit=${limit}`, info.ergoTree);
+      const items = (await mapWithConcurrency(listOf(body), mempoolConcurrency, resolveInputs)).map(r => r.value);
+      // the pool is searched by output ErgoTree, and the node has no lookup from a spent box to
+      // its pending tx, so txs that only spend the address's boxes are missing
+      return { items, total: items.length, complete: false };
+    },
+    height: async () => (await get('/info')).fullHeight,
+    ping: () => get('/info')
+  };
+}
+
+const METHODS = ['boxesByAddress', 'boxesByTokenId', 'box', 'token', 'tx', 'addressTransactions', 'mempoolByAddress', 'height'];
+
+// errors worth trying the next provider for: timeouts, network errors, 429 and 5xx.
+// Other 4xx are answers (unknown box, bad id) and are returned as they are.
+function isUnavailable(err) {
+  if (!err) return false;
+  if (err.name === 'AbortError' || !err.status) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Failover wrapper: calls providers in order, skipping any that failed recently
+ * (for `cooldownMs`) unless every provider is cooling down.
+ */
+function createUpstream({ providers, cooldownMs = 30 * 1000, healthTtlMs = 10 * 1000 }) {
+  if (!providers.length) throw new Error('no upstream providers configured');
+  const state = new Map(providers.map(p => [p.name, {
+    calls: 0, failures: 0, consecutiveFailures: 0, downUntil: 0, lastError: null, lastOkAt: null, lastLatencyMs: null
+  }]));
+  let healthCache = null;
+
+  function order() {
+    const now = Date.now();
+    const up = providers.filter(p => state.get(p.name).downUntil <= now);
+    const down = providers.filter(p => state.get(p.name).downUntil > now);
+    return up.concat(down);
+  }
+
+  async function call(method, args) {
+    let lastErr = null;
+    for (const p of order()) {
+      const s = state.get(p.name);
+      const started = Date.now();
+      s.calls++;
+      try {
+        const data = await p[method](...args);
+        s.lastLatencyMs = Date.now() - started;
+        s.lastOkAt = Date.now();
+        s.consecutiveFailures = 0;
+        s.downUntil = 0;
+        return data;
+      } catch (err) {
+        // which provider answered, for error messages
+        if (err && typeof err === 'object' && !err.upstream) err.upstream = p.name;
+        if (!isUnavailable(err)) throw err;
+        s.failures++;
+        s.consecutiveFailures++;
+        s.lastError = String(err.message || err);
+        s.downUntil = Date.now() + cooldownMs;
+        console.error(`[upstream] ${p.name}.${method} failed, trying next:`, err.message || err.name);
+        lastErr = err;
+      }
+    }
+    throw lastErr;
+  }
+
+  const api = {};
+  METHODS.forEach(m => { api[m] = (...args) => call(m, args); });
+
+  // ping every provider (cached for healthTtlMs so /api/health stays cheap)
+  async function health() {
+    if (healthCache && Date.now() - healthCache.at < healthTtlMs) return healthCache.list;
+    const list = await Promise.all(providers.map(async p => {
+      const started = Date.now();
+      let reachable = true;
+      let error = null;
+      try { await p.ping(); } catch (err) { reachable = false; error = String(err && (err.message || err)); }
+      const s = state.get(p.name);
+      return {
+        name: p.name,
+        kind: p.kind,
+        baseUrl: p.baseUrl,
+        reachable,
+        latencyMs: Date.now() - started,
+        error,
+        coolingDown: s.downUntil > Date.now(),
+        calls: s.calls,
+        failures: s.failures,
+        lastOkAt: s.lastOkAt,
+        lastError: s.lastError
+      };
+    }));
+    healthCache = { at: Date.now(), list };
+    return list;
+  }
+
+  return Object.assign(api, { providers: providers.map(p => p.name), health });
+}
+
+module.exports = { EXPLORER_URLS, createExplorerProvider, createNodeProvider, createUpstream, isUnavailable };
@@ -0,0 +1,499 @@
+// backend/wallet.js
+/**
+ * Cached upstream reads and the aggregation built on them, shared by the HTTP routes
+ * (server.js) and the command line (cli.js).
+ *
+ * walletFromEnv(env) -> { network, http, cache, upstream, wallet } configured from the same
+ * environment variables the server documents (ERGO_NETWORK, UPSTREAMS, EXPLORER_URL, ...).
+ *
+ * createWalletData({ upstream, cache, network, ... }) -> the reads themselves:
+ *   buildSummary(address, status, { tokenMeta })   what /api/summary answers
+ *   fetchAllBoxPages / walkBoxPages                 every page of a box listing
+ *   fetchAllTxPages(address)                        every page of an address's tx history
+ *   tokenDetail(tokenId, { top, address })          what /api/token answers
+ *   fetchTxCached(txId), fetchBoxCached(boxId), fetchTokenInfo(tokenId), fetchMempool(address)
+ *   fetchHeight()                                   current block height
+ *   fetchTokenInfoBatch(tokenIds)                   what POST /api/assets answers
+ * Everything goes through `cache.wrap` with the resource types from cache.js, and throws
+ * like http.requestJson (or apiError for client mistakes such as a wrong-network address).
+ */
+
+const path = require('path');
+const { createCache } = require('./cache');
+const { createHttpClient, mapWithConcurrency } = require('./http');
+const { EXPLORER_URLS, createExplorerProvider, createNodeProvider, createUpstream } = require('./upstream');
+const { toBig, formatUnits, sumBoxes, txDelta, percentOf, tokenHolders } = require('./aggregate');
+const { p2pkAddress } = require('./address');
+const { decodeRegisters } = require('./sigma');
+const { eip4Metadata } = require('./eip4');
+const { apiError, errorBody } = require('./errors');
+
+// explorer caps 'limit' at 500, so full-wallet views have to walk offsets
+const EXPLORER_MAX_LIMIT = 500;
+
+// box modes: 'unspent' uses the explorer's unspent-by-address route, 'all' the full history
+// (spent + unspent). 'spent' has no explorer route and is derived from 'all'.
+const BOX_STATUSES = ['unspent', 'spent', 'all'];
+
+function parseBoxStatus(value, fallback = 'unspent') {
+  const s = String(value || fallback).toLowerCase();
+  return BOX_STATUSES.includes(s) ? s : null;
+}
+
+// confirmed balance ± mempool deltas
+function pendingBalance(confirmed, pendingTxs) {
+  let incoming = 0n;
+  let outgoing = 0n;
+  const tokenMap = new Map(confirmed.tokens.map(t => [t.tokenId, toBig(t.amount)]));
+  pendingTxs.forEach(tx => {
+    const net = toBig(tx.netNanoErg);
+    if (net > 0n) incoming += net; else outgoing -= net;
+    tx.tokens.forEach(t => tokenMap.set(t.tokenId, (tokenMap.get(t.tokenId) || 0n) + toBig(t.delta)));
+  });
+  const tokens = Array.from(tokenMap.entries())
+    .filter(([, amt]) => amt !== 0n)
+    .map(([tokenId, amt]) => ({ tokenId, amount: amt.toString() }));
+  return {
+    incomingNanoErg: incoming.toString(),
+    outgoingNanoErg: outgoing.toString(),
+    totalNanoErg: (toBig(confirmed.totalNanoErg) + incoming - outgoing).toString(),
+    tokens
+  };
+}
+
+const TOKEN_META_CONCURRENCY = 4;
+const TOKEN_TOP_HOLDERS_MAX = 100;
+
+function createWalletData({ upstream, cache, network, pageConcurrency = 4, maxPages = 200, tokenHolderMaxPages = 20 }) {
+  // cache key for an upstream resource; keyed by network, not by provider, so a
+  // failover answer and a primary answer share one entry
+  function resourceKey(p) {
+    return `${network}:${p}`;
+  }
+
+  // turn inspectAddress() output into a client error (INVALID_ADDRESS / WRONG_NETWORK), or null when the address is usable
+  function addressProblem(info) {
+    if (!info.valid) return apiError('INVALID_ADDRESS', `invalid address (${info.error})`, { address: info.address, reason: info.error });
+    if (info.network !== network) {
+      return apiError('WRONG_NETWORK', `address belongs to ${info.network}; only ${network} addresses are supported`, { address: info.address, reason: 'wrong network', network: info.network });
+    }
+    return null;
+  }
+
+  // --- paged box walking ---
+  function boxesKey(address, status, limit, offset) {
+    const route = status === 'unspent' ? 'boxes/unspent/byAddress' : 'boxes/byAddress';
+    return resourceKey(`${route}/${address}?limit=${limit}&offset=${offset}`);
+  }
+
+  // one box page through the cache as { result, key }; throws like http.requestJson
+  // `fresh` skips the TTL check (pollers) but still updates the cache for everyone else
+  async function cachedBoxPage(address, offset, limit, status, { fresh = false } = {}) {
+    const route = status === 'unspent' ? 'unspent' : 'all';
+    const key = boxesKey(address, route, limit, offset);
+    const loader = () => upstream.boxesByAddress(address, { status: route, limit, offset });
+    const result = fresh ? await cache.refresh(key, 'boxes', loader) : await cache.wrap(key, 'boxes', loader);
+    return { result, key };
+  }
+
+  async function fetchBoxPage(address, offset, limit = EXPLORER_MAX_LIMIT, status = 'all', opts = {}) {
+    return (await cachedBoxPage(address, offset, limit, status, opts)).result.data;
+  }
+
+  // walk every page of a paged listing (boxes, or txs with `idKey: 'id'`); `fetchPage(offset)`
+  // resolves to { items, total|null }, `idKey` names the field duplicates are dropped by and
+  // `label` names the walk in logs. The first page must succeed (its error is thrown);
+  // later page failures are tolerated and reported through `complete: false` + `failedOffsets`.
+  async function walkBoxPages(fetchPage, label, { maxPages: pageCap = maxPages, idKey = 'boxId' } = {}) {
+    const started = Date.now();
+    const first = await fetchPage(0);
+    const items = first.items.slice();
+    const failedOffsets = [];
+    let pagesFetched = 1;
+    let total = first.total;
+    let truncated = false;
+
+    if (total !== null) {
+      // known total: fan out over the remaining offsets
+      const offsets = [];
+      for (let off = EXPLORER_MAX_LIMIT; off < total; off += EXPLORER_MAX_LIMIT) offsets.push(off);
+      if (offsets.length + 1 > pageCap) {
+        offsets.length = pageCap - 1;
+        truncated = true;
+      }
+      const pages = await mapWithConcurrency(offsets, pageConcurrency, fetchPage);
+      pages.forEach((p, i) => {
+        if (p.ok) {
+          pagesFetched++;
+          items.push(...p.value.items);
+        } else {
+          console.error('[proxy] page fetch failed for', label, 'offset', offsets[i], p.error && (p.error.name || p.error.message));
+          failedOffsets.push(offsets[i]);
+        }
+      });
+    } else {
+      // no total reported: walk sequentially until a short page
+      let last = first;
+      let off = EXPLORER_MAX_LIMIT;
+      while (last.items.length === EXPLORER_MAX_LIMIT) {
+        if (pagesFetched >= pageCap) { truncated = true; break; }
+        try {
+          last = await fetchPage(off);
+        } catch (err) {
+          console.error('[proxy] page fetch failed for', label, 'offset', off, err && (err.name || err.message));
+          failedOffsets.push(off);
+          break;
+        }
+        pagesFetched++;
+        items.push(...last.items);
+        off += EXPLORER_MAX_LIMIT;
+      }
+      if (failedOffsets.length === 0 && !truncated) total = items.length;
+    }
+
+    // offsets shift when items arrive mid-walk; drop the duplicates that causes
+    const seen = new Set();
+    const unique = items.filter(it => {
+      if (!it || !it[idKey]) return true;
+      if (seen.has(it[idKey])) return false;
+      seen.add(it[idKey]);
+      return true;
+    });
+
+    const pagesTotal = total !== null ? Math.max(1, Math.ceil(total / EXPLORER_MAX_LIMIT)) : null;
+    return {
+      items: unique,
+      total,
+      pagesFetched,
+      pagesTotal,
+      failedOffsets,
+      complete: failedOffsets.length === 0 && !truncated && (total === null || unique.length >= total),
+      elapsedMs: Date.now() - started
+    };
+  }
+
+  // collect every box for an address (see walkBoxPages for the partial-result rules)
+  async function fetchAllBoxPages(address, status = 'unspent', { fresh = false } = {}) {
+    const route = status === 'unspent' ? 'unspent' : 'all';
+    const walk = await walkBoxPages(off => fetchBoxPage(address, off, EXPLORER_MAX_LIMIT, route, { fresh }), address);
+    if (status === 'spent') walk.items = walk.items.filter(it => it && it.spentTransactionId);
+    return walk;
+  }
+
+  // token info through the cache (tokens are immutable, so this is mostly served locally)
+  async function fetchTokenInfo(tokenId) {
+    return await cache.wrap(resourceKey(`tokens/${tokenId}`), 'token', () => upstream.token(tokenId));
+  }
+
+  // add name / decimals / formatted amount to [{ tokenId, amount }]; lookups that fail leave
+  // name and decimals null and the formatted amount equal to the raw one
+  async function withTokenMeta(tokens) {
+    const metas = await mapWithConcurrency(tokens, TOKEN_META_CONCURRENCY, t => fetchTokenInfo(t.tokenId));
+    return tokens.map((t, i) => {
+      const info = metas[i].ok ? metas[i].value.data : null;
+      const decimals = info && info.decimals !== undefined && info.decimals !== null ? Number(info.decimals) : null;
+      return Object.assign({}, t, {
+        name: info && info.name ? info.name : null,
+        decimals,
+        amountFormatted: formatUnits(t.amount, decimals || 0)
+      });
+    });
+  }
+
+  // Map(tokenId -> { name, decimals }) for ids not already in `into`; failed lookups are stored empty
+  async function loadTokenMeta(tokenIds, into = new Map()) {
+    const missing = Array.from(new Set(tokenIds)).filter(id => !into.has(id));
+    const metas = await mapWithConcurrency(missing, TOKEN_META_CONCURRENCY, id => fetchTokenInfo(id));
+    missing.forEach((id, i) => {
+      const info = metas[i].ok ? metas[i].value.data : null;
+      into.set(id, info ? { name: info.name || null, decimals: info.decimals !== undefined && info.decimals !== null ? Number(info.decimals) : 0 } : {});
+    });
+    return into;
+  }
+
+  /**
+   * Token infos for many ids at once (POST /api/assets). Ids are deduplicated; fresh cache entries
+   * are answered first without touching the upstream, and the rest go through fetchTokenInfo, where
+   * concurrent lookups of the same id (from any client) share one upstream request.
+   * -> { items: { id: info }, errors: { id: error envelope }, cached, fetched }
+   */
+  async function fetchTokenInfoBatch(tokenIds, { requestId = null } = {}) {
+    const items = {};
+    const errors = {};
+    let cached = 0;
+    let fetched = 0;
+    const missing = [];
+    Array.from(new Set(tokenIds)).forEach(id => {
+      const hit = cache.peek(resourceKey(`tokens/${id}`));
+      if (hit && hit.fresh) {
+        items[id] = hit.data;
+        cached++;
+      } else missing.push(id);
+    });
+    const results = await mapWithConcurrency(missing, TOKEN_META_CONCURRENCY, id => fetchTokenInfo(id));
+    results.forEach((r, i) => {
+      const id = missing[i];
+      if (r.ok) {
+        items[id] = r.value.data;
+        if (r.value.cached) cached++; else fetched++;
+      } else {
+        errors[id] = errorBody(r.error, requestId).body.error;
+      }
+    });
+    return { items, errors, cached, fetched };
+  }
+
+  // summary object for one address (shared by /api/summary, /api/portfolio and the CLI); throws like fetchBoxPage
+  async function buildSummary(address, status = 'unspent', { tokenMeta = false } = {}) {
+    const walk = await fetchAllBoxPages(address, status);
+    const items = walk.items;
+    const sums = sumBoxes(items);
+    const totalNanoErg = sums.totalNanoErg;
+    const tokens = tokenMeta ? await withTokenMeta(sums.tokens) : sums.tokens;
+    return {
+      fetchedAt: Date.now(),
+      address,
+      status,
+      totalNanoErg: totalNanoErg.toString(),
+      tokenCount: tokens.length,
+      tokens,
+      utxoCount: items.length,
+      complete: walk.complete,
+      totalBoxes: walk.total,
+      pagesFetched: walk.pagesFetched,
+      pagesTotal: walk.pagesTotal,
+      failedOffsets: walk.failedOffsets,
+      elapsedMs: walk.elapsedMs
+    };
+  }
+
+  // --- chain height (box ages) ---
+  async function fetchHeight() {
+    const result = await cache.wrap(resourceKey('networkState'), 'height', () => upstream.height());
+    return result.data;
+  }
+
+  // --- mempool (unconfirmed txs) ---
+  // every unconfirmed tx touching an address, with its effect on that address, as { items, complete };
+  // `complete` is false when the upstream can miss txs that only spend the address's boxes (node)
+  async function fetchMempool(address, { fresh = false } = {}) {
+    const key = resourceKey(`mempool/transactions/byAddress/${address}`);
+    const loader = () => upstream.mempoolByAddress(address, { limit: EXPLORER_MAX_LIMIT });
+    const result = fresh ? await cache.refresh(key, 'mempool', loader) : await cache.wrap(key, 'mempool', loader);
+    const txs = result.data.items;
+    const items = txs.map(tx => {
+      const delta = txDelta(tx, address);
+      return {
+        txId: tx.id,
+        creationTimestamp: tx.creationTimestamp ?? null,
+        direction: delta.direction,
+        netNanoErg: delta.netNanoErg,
+        tokens: delta.tokens,
+        // confirmed boxes this tx will spend, and the new boxes it creates for the address
+        spendingBoxIds: (tx.inputs || []).filter(i => i.address === address).map(i => i.boxId),
+        outputs: (tx.outputs || []).filter(o => o.address === address).map(o => Object.assign({}, o, { transactionId: tx.id, unconfirmed: true }))
+      };
+    });
+    return { items, complete: result.data.complete !== false };
+  }
+
+  // --- boxes, txs ---
+  // decoded R4–R9, with the P2PK address filled in for plain proveDlog SigmaProps
+  function decodeBoxRegisters(registers) {
+    return decodeRegisters(registers).map(r => {
+      if (r.type === 'SigmaProp' && r.value && r.value.type === 'ProveDlog') {
+        try { r.address = p2pkAddress(r.value.publicKey, network); } catch (e) { /* leave without address */ }
+      }
+      return r;
+    });
+  }
+
+  // one box through the cache; spent state can change, so boxes keep the short TTL
+  async function fetchBoxCached(boxId) {
+    return await cache.wrap(resourceKey(`boxes/${boxId}`), 'boxes', () => upstream.box(boxId));
+  }
+
+  // one tx through the cache as { result, key }; confirmed txs are immutable,
+  // anything without an inclusion height gets the short TTL
+  async function fetchTxCached(txId) {
+    const key = resourceKey(`transactions/byId/${txId}`);
+    const txType = tx => (tx && tx.inclusionHeight ? 'tx' : 'txPending');
+    return { result: await cache.wrap(key, txType, () => upstream.tx(txId)), key };
+  }
+
+  function addressTxsKey(address, limit, offset) {
+    return resourceKey(`addresses/${address}/transactions?limit=${limit}&offset=${offset}`);
+  }
+
+  // every confirmed + listed tx of an address (see walkBoxPages for the partial-result rules)
+  async function fetchAllTxPages(address) {
+    const loadPage = async offset => {
+      const key = addressTxsKey(address, EXPLORER_MAX_LIMIT, offset);
+      return (await cache.wrap(key, 'history', () => upstream.addressTransactions(address, { limit: EXPLORER_MAX_LIMIT, offset }))).data;
+    };
+    return await walkBoxPages(loadPage, address, { idKey: 'id' });
+  }
+
+  // --- token details: supply, minting box, EIP-4 metadata, holders ---
+  // Holders come from a walk over the token's unspent boxes (capped at tokenHolderMaxPages pages);
+  // circulating supply is what that walk saw, so it is only exact when `supply.complete` is true.
+  async function fetchTokenBoxPage(tokenId, offset) {
+    const key = resourceKey(`boxes/unspent/byTokenId/${tokenId}?limit=${EXPLORER_MAX_LIMIT}&offset=${offset}`);
+    return (await cache.wrap(key, 'boxes', () => upstream.boxesByTokenId(tokenId, { limit: EXPLORER_MAX_LIMIT, offset }))).data;
+  }
+
+  // `top` holders are listed; `address` (already validated) adds that address's share.
+  // A failed minting-box lookup leaves `minting` null and is reported as `mintingError`.
+  async function tokenDetail(tokenId, { top = 20, address = '', requestId = null } = {}) {
+    const info = (await fetchTokenInfo(tokenId)).data || {};
+    const decimals = info.decimals !== undefined && info.decimals !== null ? Number(info.decimals) : 0;
+    const emission = info.emissionAmount !== undefined && info.emissionAmount !== null ? String(info.emissionAmount) : null;
+
+    let minting = null;
+    let mintingError;
+    let registers = [];
+    if (info.boxId) {
+      try {
+        const box = (await fetchBoxCached(info.boxId)).data || {};
+        registers = decodeBoxRegisters(box.additionalRegisters);
+        minting = {
+          boxId: box.boxId || info.boxId,
+          txId: box.transactionId || null,
+          address: box.address || null,
+          creationHeight: box.creationHeight ?? null,
+          settlementHeight: box.settlementHeight ?? null,
+          spentTransactionId: box.spentTransactionId || null
+        };
+      } catch (err) {
+        console.error(`[${requestId}] minting box lookup failed for`, tokenId, err && (err.message || err.name));
+        mintingError = errorBody(err, requestId).body.error;
+      }
+    }
+
+    const walk = await walkBoxPages(off => fetchTokenBoxPage(tokenId, off), tokenId, { maxPages: tokenHolderMaxPages });
+    const { circulating, holders } = tokenHolders(walk.items, tokenId);
+    const share = (amount, boxCount) => ({
+      amount,
+      amountFormatted: formatUnits(amount, decimals),
+      boxCount,
+      percentOfCirculating: percentOf(amount, circulating),
+      percentOfEmission: emission ? percentOf(amount, emission) : null
+    });
+
+    const out = {
+      fetchedAt: Date.now(),
+      tokenId,
+      item: info,
+      name: info.name ?? null,
+      description: info.description ?? null,
+      decimals,
+      minting,
+      mintingError,
+      registers,
+      eip4: eip4Metadata(registers),
+      supply: {
+        emission,
+        emissionFormatted: emission ? formatUnits(emission, decimals) : null,
+        circulating,
+        circulatingFormatted: formatUnits(circulating, decimals),
+        // emitted but in no unspent box any more
+        burned: walk.complete && emission ? (toBig(emission) - toBig(circulating)).toString() : null,
+        complete: walk.complete,
+        boxes: walk.items.length,
+        pagesFetched: walk.pagesFetched,
+        pagesTotal: walk.pagesTotal
+      },
+      holderCount: holders.length,
+      holders: holders.slice(0, Math.min(TOKEN_TOP_HOLDERS_MAX, top)).map(h => Object.assign({ address: h.address }, share(h.amount, h.boxCount)))
+    };
+    if (address) {
+      const own = holders.find(h => h.address === address);
+      out.wallet = Object.assign({ address }, share(own ? own.amount : '0', own ? own.boxCount : 0));
+    }
+    return out;
+  }
+
+  return {
+    network,
+    resourceKey,
+    addressProblem,
+    cachedBoxPage,
+    fetchBoxPage,
+    walkBoxPages,
+    fetchAllBoxPages,
+    fetchTokenInfo,
+    withTokenMeta,
+    loadTokenMeta,
+    fetchTokenInfoBatch,
+    buildSummary,
+    fetchMempool,
+    fetchHeight,
+    decodeBoxRegisters,
+    fetchBoxCached,
+    fetchTxCached,
+    addressTxsKey,
+    fetchAllTxPages,
+    tokenDetail
+  };
+}
+
+// --- configuration from the environment (see the README's Configuration table) ---
+function upstreamFromEnv(env, { network, request }) {
+  const names = (env.UPSTREAMS || (env.ERGO_NODE_URL ? 'explorer,node' : 'explorer'))
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const providers = names.map(name => {
+    if (name === 'explorer') {
+      return createExplorerProvider({ baseUrl: (env.EXPLORER_URL || EXPLORER_URLS[network]).replace(/\/+$/, ''), request });
+    }
+    if (name === 'node') {
+      if (!env.ERGO_NODE_URL) throw new Error('UPSTREAMS lists node but ERGO_NODE_URL is not set');
+      return createNodeProvider({ baseUrl: env.ERGO_NODE_URL.replace(/\/+$/, ''), request, network });
+    }
+    throw new Error(`unknown upstream '${name}' in UPSTREAMS`);
+  });
+  return createUpstream({ providers, cooldownMs: Number(env.UPSTREAM_COOLDOWN_MS) || 30 * 1000 });
+}
+
+function walletFromEnv(env = process.env) {
+  // addresses for any other network are rejected up front
+  const network = (env.ERGO_NETWORK || 'testnet').toLowerCase();
+  if (!EXPLORER_URLS[network]) throw new Error(`ERGO_NETWORK must be one of ${Object.keys(EXPLORER_URLS).join('|')}`);
+
+  // explorer response cache (LRU + per-resource TTLs, see cache.js);
+  // CACHE_FILE makes it survive restarts, e.g. CACHE_FILE=.cache/explorer.json
+  const cache = createCache({
+    maxEntries: Number(env.CACHE_MAX_ENTRIES) || 1000,
+    filePath: env.CACHE_FILE ? path.resolve(__dirname, env.CACHE_FILE) : null
+  });
+
+  // outgoing HTTP: timeouts, plus retries with jitter for GETs (see http.js)
+  const http = createHttpClient({
+    timeoutMs: Number(env.UPSTREAM_TIMEOUT_MS) || 30_000,
+    retries: env.UPSTREAM_RETRIES !== undefined ? Number(env.UPSTREAM_RETRIES) : 2,
+    retryBaseMs: Number(env.UPSTREAM_RETRY_BASE_MS) || 250
+  });
+
+  const upstream = upstreamFromEnv(env, { network, request: http.requestJson });
+  const wallet = createWalletData({
+    upstream,
+    cache,
+    network,
+    pageConcurrency: Number(env.SUMMARY_PAGE_CONCURRENCY) || 4,
+    maxPages: Number(env.SUMMARY_MAX_PAGES) || 200, // 100k boxes
+    tokenHolderMaxPages: Number(env.TOKEN_HOLDER_MAX_PAGES) || 20 // 10k boxes
+  });
+  return { network, http, cache, upstream, wallet };
+}
+
+module.exports = {
+  EXPLORER_MAX_LIMIT,
+  BOX_STATUSES,
+  TOKEN_META_CONCURRENCY,
+  TOKEN_TOP_HOLDERS_MAX,
+  parseBoxStatus,
+  mapWithConcurrency,
+  pendingBalance,
+  createWalletData,
+  upstreamFromEnv,
+  walletFromEnv
+};
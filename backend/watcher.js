@@ -0,0 +1,128 @@
+// backend/watcher.js
+/**
+ * Shared per-address box watcher.
+ *
+ * However many clients follow an address, it is polled once per interval. Each poll
+ * diffs the unspent box set against the previous one and emits
+ *   box-added       { box }
+ *   box-spent       { boxId, box }
+ *   balance-changed { totalNanoErg, tokens, utxoCount, previous }
+ *   mempool-changed { txIds, added, removed }   (only with a `loadPending` option)
+ * to every subscriber of that address. A watcher stops polling when its last
+ * subscriber leaves.
+ */
+
+const { sumBoxes } = require('./aggregate');
+
+function createBoxWatcher({ loadBoxes, loadPending = null, intervalMs = 15000, maxAddresses = 50 }) {
+  // address -> { subscribers: Set<fn>, boxes: Map|null, totals, pending: Set|null, timer, polling, lastError, lastPollAt }
+  const watched = new Map();
+
+  function totalsOf(boxes) {
+    const { totalNanoErg, tokens } = sumBoxes(Array.from(boxes.values()));
+    return { totalNanoErg: totalNanoErg.toString(), tokens, utxoCount: boxes.size };
+  }
+
+  function sameTotals(a, b) {
+    if (!a || !b) return false;
+    if (a.totalNanoErg !== b.totalNanoErg || a.utxoCount !== b.utxoCount || a.tokens.length !== b.tokens.length) return false;
+    const m = new Map(a.tokens.map(t => [t.tokenId, t.amount]));
+    return b.tokens.every(t => m.get(t.tokenId) === t.amount);
+  }
+
+  function emit(w, event, data) {
+    w.subscribers.forEach(fn => {
+      try { fn(event, data); } catch (err) { console.error('[watch] subscriber failed', err && err.message); }
+    });
+  }
+
+  async function poll(address) {
+    const w = watched.get(address);
+    if (!w || w.polling) return;
+    w.polling = true;
+    try {
+      const items = await loadBoxes(address);
+      const next = new Map(items.filter(b => b && b.boxId).map(b => [b.boxId, b]));
+      w.lastPollAt = Date.now();
+      w.lastError = null;
+
+      if (w.boxes) {
+        for (const [id, box] of next) if (!w.boxes.has(id)) emit(w, 'box-added', { box });
+        for (const [id, box] of w.boxes) if (!next.has(id)) emit(w, 'box-spent', { boxId: id, box });
+      }
+      const totals = totalsOf(next);
+      if (w.boxes && !sameTotals(w.totals, totals)) {
+        emit(w, 'balance-changed', Object.assign({}, totals, { previous: w.totals }));
+      }
+      if (!w.boxes) emit(w, 'snapshot', totals);
+      w.boxes = next;
+      w.totals = totals;
+
+      if (loadPending) {
+        const ids = new Set(await loadPending(address));
+        if (w.pending) {
+          const added = Array.from(ids).filter(id => !w.pending.has(id));
+          const removed = Array.from(w.pending).filter(id => !ids.has(id));
+          if (added.length || removed.length) emit(w, 'mempool-changed', { txIds: Array.from(ids), added, removed });
+        } else if (ids.size) {
+          emit(w, 'mempool-changed', { txIds: Array.from(ids), added: Array.from(ids), removed: [] });
+        }
+        w.pending = ids;
+      }
+    } catch (err) {
+      w.lastError = err;
+      console.error('[watch] poll failed for', address, err && (err.name || err.message || err));
+      emit(w, 'upstream-error', { message: String(err && (err.message || err)), status: err && err.status || null });
+    } finally {
+      w.polling = false;
+    }
+  }
+
+  /**
+   * Follow an address. `onEvent(event, data)` is called for every diff event.
+   * Returns an unsubscribe function. Throws when the watcher is at capacity.
+   */
+  function subscribe(address, onEvent) {
+    let w = watched.get(address);
+    if (!w) {
+      if (watched.size >= maxAddresses) {
+        const e = new Error(`watching too many addresses (max ${maxAddresses})`);
+        e.code = 'WATCH_CAPACITY';
+        throw e;
+      }
+      w = { subscribers: new Set(), boxes: null, totals: null, pending: null, timer: null, polling: false, lastError: null, lastPollAt: null };
+      watched.set(address, w);
+      w.timer = setInterval(() => poll(address), intervalMs);
+      if (w.timer.unref) w.timer.unref();
+      poll(address);
+    } else if (w.totals) {
+      // late joiner: hand over the current state right away
+      onEvent('snapshot', w.totals);
+    }
+    w.subscribers.add(onEvent);
+
+    return function unsubscribe() {
+      const cur = watched.get(address);
+      if (!cur) return;
+      cur.subscribers.delete(onEvent);
+      if (cur.subscribers.size === 0) {
+        clearInterval(cur.timer);
+        watched.delete(address);
+      }
+    };
+  }
+
+  function stats() {
+    return Array.from(watched.entries()).map(([address, w]) => ({
+      address,
+      subscribers: w.subscribers.size,
+      utxoCount: w.boxes ? w.boxes.size : null,
+      lastPollAt: w.lastPollAt,
+      lastError: w.lastError ? String(w.lastError.message || w.lastError) : null
+    }));
+  }
+
+  return { subscribe, stats, poll };
+}
+
+module.exports = { createBoxWatcher };
@@ -13,60 +13,168 @@ const showingCount = document.getElementById('showing-count');
 const filterToken = document.getElementById('filter-token');
 const filterMin = document.getElementById('filter-min');
 const sortBy = document.getElementById('sort-by');
+const boxStatus = document.getElementById('box-status');
 const autoRefresh = document.getElementById('auto-refresh');
-const refreshIntervalInput = document.getElementById('refresh-interval');
+const liveIndicator = document.getElementById('live-indicator');
 
 const prevPageBtn = document.getElementById('prev-page');
 const nextPageBtn = document.getElementById('next-page');
+const pageSizeSelect = document.getElementById('page-size');
+const pageInfo = document.getElementById('page-info');
+const totalCount = document.getElementById('total-count');
 
-const exportCsvBtn = document.getElementById('export-csv');
+const exportBtn = document.getElementById('export-btn');
+const exportKind = document.getElementById('export-kind');
+const exportFormat = document.getElementById('export-format');
+const exportFrom = document.getElementById('export-from');
+const exportTo = document.getElementById('export-to');
 const copyJsonBtn = document.getElementById('copy-json');
 
+const selectForm = document.getElementById('select-form');
+const selectErgInput = document.getElementById('select-erg');
+const selectTokensInput = document.getElementById('select-tokens');
+const selectStrategy = document.getElementById('select-strategy');
+const selectClearBtn = document.getElementById('select-clear');
+const selectResultEl = document.getElementById('select-result');
+
 const summaryAddress = document.getElementById('summary-address');
 const summaryErg = document.getElementById('summary-erg');
 const summaryTokenCount = document.getElementById('summary-token-count');
 const summaryUtxoCount = document.getElementById('summary-utxo-count');
+const summaryPending = document.getElementById('summary-pending');
+const summaryPendingIn = document.getElementById('summary-pending-in');
+const summaryPendingOut = document.getElementById('summary-pending-out');
+const summaryPendingTotal = document.getElementById('summary-pending-total');
+const chartRange = document.getElementById('chart-range');
+const chartToken = document.getElementById('chart-token');
+const chartCanvas = document.getElementById('balance-chart');
+const chartNote = document.getElementById('chart-note');
 
 const tokensSearch = document.getElementById('tokens-search');
 const tokensSort = document.getElementById('tokens-sort');
 const tokensListEl = document.getElementById('tokens-list');
 
+const viewTabs = document.querySelectorAll('#view-tabs .tab-btn');
+const historyListEl = document.getElementById('history-list');
+const historyCount = document.getElementById('history-count');
+const historyTotal = document.getElementById('history-total');
+const historyMoreBtn = document.getElementById('history-more');
+
+const watchForm = document.getElementById('watch-form');
+const watchLabelInput = document.getElementById('watch-label');
+const watchAddressInput = document.getElementById('watch-address');
+const watchAddCurrentBtn = document.getElementById('watch-add-current');
+const portfolioRefreshBtn = document.getElementById('portfolio-refresh');
+const watchExportBtn = document.getElementById('watch-export');
+const watchImportInput = document.getElementById('watch-import');
+const portfolioCombined = document.getElementById('portfolio-combined');
+const portfolioBody = document.querySelector('#portfolio-table tbody');
+
+const alertForm = document.getElementById('alert-form');
+const alertAddressInput = document.getElementById('alert-address');
+const alertTypeSelect = document.getElementById('alert-type');
+const alertThresholdInput = document.getElementById('alert-threshold');
+const alertTokenInput = document.getElementById('alert-token');
+const alertWebhookInput = document.getElementById('alert-webhook');
+const alertLabelInput = document.getElementById('alert-label');
+const alertsRefreshBtn = document.getElementById('alerts-refresh');
+const alertsBody = document.querySelector('#alerts-table tbody');
+
+const dustForm = document.getElementById('dust-form');
+const dustThresholdInput = document.getElementById('dust-threshold');
+const dustExportBtn = document.getElementById('dust-export');
+const dustResultEl = document.getElementById('dust-result');
+
+const snapshotForm = document.getElementById('snapshot-form');
+const snapshotNameInput = document.getElementById('snapshot-name');
+const diffFromSelect = document.getElementById('diff-from');
+const diffToSelect = document.getElementById('diff-to');
+const diffRunBtn = document.getElementById('diff-run');
+const snapshotsBody = document.querySelector('#snapshots-table tbody');
+const diffResultEl = document.getElementById('diff-result');
+
 const modal = document.getElementById('modal');
 const modalContent = document.getElementById('modal-content');
 const closeModalBtn = document.getElementById('close-modal');
+const modalTitle = document.getElementById('modal-title');
+const modalBody = document.getElementById('modal-body');
+const modalRawToggle = document.getElementById('modal-raw-toggle');
 
 // state
 let currentAddress = '';
 let currentItems = [];
 let pageLimit = 20;
 let pageOffset = 0;
-let autoRefreshTimer = null;
+let pageTotal = null; // filtered box count reported by the backend
+let mempoolState = null; // last /api/wallet/:address/mempool response
+let pendingOutputIds = new Set(); // unconfirmed boxes shown last time, to spot promotions
+let promotedBoxIds = new Set();
+let liveSource = null; // EventSource on /api/wallet/:address/stream
 let lastSeenBoxIds = new Set();
+let selectionState = null; // last /api/wallet/:address/select response (every strategy)
+let selectedBoxIds = new Set(); // inputs of the strategy picked in #select-strategy
+let activeView = 'utxos';
+let dustState = null; // last /api/wallet/:address/dust response
+let snapshotList = null; // /api/snapshots items of the current address, newest first
+let diffState = null; // last /api/snapshots/:id/diff response
+let historyItems = [];
+let historyTotalCount = null;
+let balanceChart = null; // Chart.js instance
+const HISTORY_PAGE = 20;
 
 // token metadata cache
 const tokenMetaCache = new Map();
 
-// helper: format amounts (BigInt-aware)
-function formatTokenAmountExact(amountStr) {
-  try {
-    return BigInt(amountStr).toString();
-  } catch {
-    return String(amountStr || '0');
-  }
+// helper: format amounts (BigInt-aware, decimals-aware)
+// raw integer amount + token decimals -> exact decimal string, e.g. ('1500000000', 9) -> '1.5'
+function formatTokenAmountExact(amountStr, decimals=0) {
+  let a;
+  try { a = BigInt(amountStr); } catch { return String(amountStr || '0'); }
+  const d = Number(decimals) || 0;
+  if (d <= 0) return a.toString();
+  const neg = a < 0n;
+  const digits = (neg ? -a : a).toString().padStart(d + 1, '0');
+  const whole = digits.slice(0, digits.length - d);
+  const frac = digits.slice(digits.length - d).replace(/0+$/, '');
+  return `${neg ? '-' : ''}${whole}${frac ? '.' + frac : ''}`;
 }
-function formatTokenAmountHuman(amountStr) {
+// compact form for display: K/M/B/T on the whole-unit part, exact below 1000 units
+function formatTokenAmountHuman(amountStr, decimals=0) {
   try {
-    let a = BigInt(amountStr);
-    const absA = a < 0n ? -a : a;
-    if (absA >= 1_000_000_000_000n) return `${(Number(a / 1_000_000_000n) / 1000).toLocaleString()}T`;
-    if (absA >= 1_000_000_000n) return `${(Number(a / 1_000_000n) / 1000).toLocaleString()}B`;
-    if (absA >= 1_000_000n) return `${(Number(a / 1000n) / 1000).toLocaleString()}M`;
-    if (absA >= 1000n) return `${(Number(a / 100n) / 10).toLocaleString()}K`;
-    return a.toString();
+    const a = BigInt(amountStr);
+    const d = Number(decimals) || 0;
+    const unit = 10n ** BigInt(d);
+    const whole = a / unit;
+    const absW = whole < 0n ? -whole : whole;
+    if (absW >= 1_000_000_000_000n) return `${formatNumber(Number(whole / 1_000_000_000n) / 1000)}T`;
+    if (absW >= 1_000_000_000n) return `${formatNumber(Number(whole / 1_000_000n) / 1000)}B`;
+    if (absW >= 1_000_000n) return `${formatNumber(Number(whole / 1000n) / 1000)}M`;
+    if (absW >= 1000n) return `${formatNumber(Number(whole / 100n) / 10)}K`;
+    // small amounts: exact, but cap the fraction so 18-decimal tokens stay readable
+    const exact = formatTokenAmountExact(a.toString(), d);
+    const [w, f] = exact.split('.');
+    return f && f.length > 6 ? `${formatDecimal(`${w}.${f.slice(0, 6)}`)}…` : formatDecimal(exact);
   } catch {
     return String(amountStr || '0');
   }
 }
+// exact token amount for display: locale digits and separators (formatTokenAmountExact stays plain)
+function formatTokenAmount(amountStr, decimals=0) {
+  return formatDecimal(formatTokenAmountExact(amountStr, decimals));
+}
+// nanoERG -> ERG number in the current locale
+function ergNumber(nano, maxDigits) {
+  return formatNumber(Number(nano || 0) / 1e9, maxDigits ? { maximumFractionDigits: maxDigits } : {});
+}
+// decimals for a token from the metadata cache (0 when unknown)
+function tokenDecimals(tokenId) {
+  const meta = tokenMetaCache.get(String(tokenId));
+  return meta && typeof meta.decimals === 'number' ? meta.decimals : 0;
+}
+function tokenLabel(tokenId, len = 8) {
+  const meta = tokenMetaCache.get(String(tokenId));
+  return (meta && (meta.symbol || meta.name)) || simpleId(String(tokenId), len);
+}
 
 // small deterministic color generator from string
 function colorFromString(s) {
@@ -87,74 +195,202 @@ function showStatus(text, isError = false) {
 }
 
 // basic fetch wrapper
-async function fetchJson(url) {
-  const res = await fetch(url, { cache: 'no-store' });
-  if (!res.ok) {
-    const txt = await res.text().catch(()=>'<no body>');
-    throw new Error(`HTTP ${res.status}: ${txt.slice(0,1000)}`);
-  }
+// backend errors come as { error: { code, message, upstreamStatus, requestId, retryable } }
+// (backend/errors.js); known codes get a translated message (apiError.<CODE> in i18n.js),
+// the request id is shown for bug reports
+function describeApiError(info) {
+  const key = `apiError.${info.code}`;
+  const text = hasMessage(key) ? `${t(key)} (${info.message})` : info.message;
+  const hint = info.retryable ? t('apiError.retryHint') : '';
+  return `${text}${hint}${info.requestId ? t('apiError.ref', { id: info.requestId }) : ''}`;
+}
+
+// Error for a non-OK API response; carries status / code / retryable / requestId
+async function responseError(res) {
+  const txt = await res.text().catch(()=>'');
+  let info = null;
+  try { info = JSON.parse(txt).error; } catch (e) { /* not an API error body */ }
+  if (!info || typeof info !== 'object') return Object.assign(new Error(`HTTP ${res.status}: ${txt.slice(0,300)}`), { status: res.status });
+  return Object.assign(new Error(describeApiError(info)), {
+    status: res.status,
+    code: info.code,
+    retryable: !!info.retryable,
+    requestId: info.requestId || res.headers.get('X-Request-Id')
+  });
+}
+
+async function fetchJson(url, opts = {}) {
+  const res = await fetch(url, Object.assign({ cache: 'no-store' }, opts));
+  if (!res.ok) throw await responseError(res);
   return await res.json();
 }
 
+// the inspect route's English message, translated when the problem code is known
+function addressMessage(info) {
+  if (!info || !info.code || !hasMessage(`address.${info.code}`)) return info && info.message;
+  return t(`address.${info.code}`, { reason: info.error, network: info.network, expected: info.expectedNetwork });
+}
+
+// address check via the backend decoder; resolves to { ok, message, info }
+async function validateAddress(addr) {
+  try {
+    const info = await fetchJson(`${API_ROOT}/api/address/${encodeURIComponent(addr)}/inspect`);
+    return { ok: !!info.usable, message: addressMessage(info), info };
+  } catch (err) {
+    return { ok: false, message: t('status.addressCheckFailed', { message: err && err.message ? err.message : t('common.unknown') }), info: null };
+  }
+}
+
 // existing UTXO + summary fetchers
-async function fetchUTXOs(address, limit=500, offset=0) {
-  const url = `${API_ROOT}/api/wallet/${encodeURIComponent(address)}/utxos?limit=${Math.min(500,limit)}&offset=${offset}`;
-  const j = await fetchJson(url);
-  return j.items || [];
+// filters/sort are applied by the backend across the whole box set; returns { items, total, ... }
+async function fetchUTXOs(address, limit=500, offset=0, query={}) {
+  const params = new URLSearchParams({ limit: String(Math.min(500, limit)), offset: String(offset) });
+  Object.entries(query).forEach(([k, v]) => { if (v !== undefined && v !== null && v !== '') params.set(k, String(v)); });
+  return await fetchJson(`${API_ROOT}/api/wallet/${encodeURIComponent(address)}/utxos?${params}`);
+}
+
+// min nanoERG as typed; sent as a string (values past 2^53 lose digits as a Number) and
+// validated by the backend
+const minValueParam = () => filterMin.value.trim();
+
+// current table filters as backend query params
+function currentBoxQuery() {
+  return {
+    status: boxStatus.value || 'unspent',
+    sort: sortBy.value,
+    token: filterToken.value.trim(),
+    minValue: minValueParam()
+  };
+}
+async function fetchTransactions(address, limit=HISTORY_PAGE, offset=0) {
+  return await fetchJson(`${API_ROOT}/api/wallet/${encodeURIComponent(address)}/transactions?limit=${limit}&offset=${offset}`);
+}
+async function fetchMempool(address) {
+  return await fetchJson(`${API_ROOT}/api/wallet/${encodeURIComponent(address)}/mempool`);
 }
 async function fetchSummary(address) {
   try { return await fetchJson(`${API_ROOT}/api/summary/${encodeURIComponent(address)}`); }
   catch (e) { console.warn('summary fetch failed', e); return null; }
 }
 
-// token metadata fetcher with cache (small batch concurrency)
-async function fetchTokenMetaBulk(tokenIds, batchSize = 8) {
-  const results = {};
-  const toFetch = [];
-  tokenIds.forEach(id => {
-    if (tokenMetaCache.has(id)) results[id] = tokenMetaCache.get(id);
-    else toFetch.push(id);
-  });
-  for (let i=0;i<toFetch.length;i+=batchSize) {
-    const batch = toFetch.slice(i, i+batchSize);
-    await Promise.all(batch.map(async id => {
+// token metadata: memory cache, then IndexedDB (kept across reloads), then POST /api/assets in batches
+const ASSETS_BATCH = 100; // backend default for ASSETS_MAX_IDS is 200
+const TOKEN_DB = { name: 'ergoTracker', version: 1, store: 'tokenMeta' };
+let backendNetwork = null; // from /api/health or an /api/assets answer; stored entries are per network
+let tokenDbPromise = null;
+
+// resolves to the database, or null where IndexedDB is missing or refused (private mode, tests)
+function openTokenDb() {
+  if (!tokenDbPromise) {
+    tokenDbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
       try {
-        const j = await fetchJson(`${API_ROOT}/api/asset/${encodeURIComponent(id)}`);
-        const item = j && (j.item || j);
-        const name = item && (item.name || item.tokenName || item.metadata && item.metadata.name) || null;
-        const symbol = item && (item.symbol || item.ticker || item.metadata && item.metadata.symbol) || null;
-        const decimals = item && (typeof item.decimals === 'number' ? item.decimals : (item.decimals ? Number(item.decimals) : null));
-        const meta = { tokenId: id, name: name || null, symbol: symbol || null, decimals: decimals ?? null };
-        tokenMetaCache.set(id, meta);
-        results[id] = meta;
-      } catch (err) {
-        tokenMetaCache.set(id, { tokenId: id, name: null, symbol: null, decimals: null });
-        results[id] = tokenMetaCache.get(id);
+        const req = indexedDB.open(TOKEN_DB.name, TOKEN_DB.version);
+        req.onupgradeneeded = () => req.result.createObjectStore(TOKEN_DB.store, { keyPath: 'key' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
       }
-    }));
+    });
+  }
+  return tokenDbPromise;
+}
+
+// stored metas for `ids` as { tokenId: meta }; a failed read just means nothing is stored
+async function readStoredTokenMeta(ids) {
+  const db = backendNetwork && ids.length ? await openTokenDb() : null;
+  if (!db) return {};
+  return await new Promise(resolve => {
+    const found = {};
+    try {
+      const store = db.transaction(TOKEN_DB.store, 'readonly').objectStore(TOKEN_DB.store);
+      ids.forEach(id => {
+        const req = store.get(`${backendNetwork}:${id}`);
+        req.onsuccess = () => { if (req.result) found[id] = req.result.meta; };
+      });
+      store.transaction.oncomplete = () => resolve(found);
+      store.transaction.onerror = () => resolve(found);
+    } catch {
+      resolve(found);
+    }
+  });
+}
+
+async function storeTokenMeta(metas) {
+  const db = backendNetwork && metas.length ? await openTokenDb() : null;
+  if (!db) return;
+  try {
+    const store = db.transaction(TOKEN_DB.store, 'readwrite').objectStore(TOKEN_DB.store);
+    metas.forEach(meta => store.put({ key: `${backendNetwork}:${meta.tokenId}`, meta, savedAt: Date.now() }));
+  } catch (err) {
+    console.warn('token metadata not stored', err);
+  }
+}
+
+// explorer token info -> { tokenId, name, symbol, decimals }
+function tokenMetaFromItem(id, item) {
+  const name = item && (item.name || item.tokenName || item.metadata && item.metadata.name) || null;
+  const symbol = item && (item.symbol || item.ticker || item.metadata && item.metadata.symbol) || null;
+  const decimals = item && (typeof item.decimals === 'number' ? item.decimals : (item.decimals ? Number(item.decimals) : null));
+  return { tokenId: id, name: name || null, symbol: symbol || null, decimals: decimals ?? null };
+}
+
+// -> { tokenId: meta } for every id. Lookups that fail get an empty meta for this page load only
+// (not stored), so they are asked for again after a reload.
+async function fetchTokenMetaBulk(tokenIds, batchSize = ASSETS_BATCH) {
+  const results = {};
+  const ids = Array.from(new Set(tokenIds.map(String)));
+  ids.forEach(id => { if (tokenMetaCache.has(id)) results[id] = tokenMetaCache.get(id); });
+
+  const stored = await readStoredTokenMeta(ids.filter(id => !results[id]));
+  Object.entries(stored).forEach(([id, meta]) => {
+    tokenMetaCache.set(id, meta);
+    results[id] = meta;
+  });
+
+  const toFetch = ids.filter(id => !results[id]);
+  for (let i = 0; i < toFetch.length; i += batchSize) {
+    const batch = toFetch.slice(i, i + batchSize);
+    let j = null;
+    try {
+      j = await fetchJson(`${API_ROOT}/api/assets`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tokenIds: batch })
+      });
+      if (j.network) backendNetwork = j.network;
+    } catch (err) {
+      console.warn('token metadata batch failed', err);
+    }
+    const fresh = [];
+    batch.forEach(id => {
+      const item = j && j.items ? j.items[id] : null;
+      const meta = item ? tokenMetaFromItem(id, item) : { tokenId: id, name: null, symbol: null, decimals: null };
+      if (item) fresh.push(meta);
+      tokenMetaCache.set(id, meta);
+      results[id] = meta;
+    });
+    await storeTokenMeta(fresh);
   }
   return results;
 }
 
 // ---------- rendering tokens panel (USER-FRIENDLY) ----------
+let tokensLast = null; // last list rendered, redrawn on a language switch
 async function renderTokensPanel(tokens) {
   // tokens: [{ tokenId, amount }, ...]
+  tokensLast = tokens;
   tokensListEl.innerHTML = '';
   if (!tokens || tokens.length === 0) {
-    tokensListEl.innerHTML = '<div class="text-sm text-slate-500">توکنی وجود ندارد.</div>';
+    tokensListEl.appendChild(el('div', 'text-sm text-slate-500', t('tokens.none')));
     return;
   }
 
   // fetch metas
   const tokenIds = tokens.map(t => String(t.tokenId));
-  const metas = await fetchTokenMetaBulk(tokenIds, 8);
-
-  // compute totals using BigInt
-  let total = 0n;
-  tokens.forEach(t => {
-    try { total += BigInt(String(t.amount || '0')); } catch { }
-  });
-  if (total === 0n) total = 1n; // avoid div-by-zero
+  const metas = await fetchTokenMetaBulk(tokenIds);
 
   // prepare list of items enriched
   const enriched = tokens.map(t => {
@@ -162,9 +398,7 @@ async function renderTokensPanel(tokens) {
     const meta = metas[id] || { tokenId: id, name: null, symbol: null };
     const amount = String(t.amount || '0');
     const amtBig = (() => { try { return BigInt(amount); } catch { return 0n; } })();
-    const percentScaled = Number((amtBig * 10000n) / total); // percent * 100 (two decimals)
-    const percent = (percentScaled / 100).toFixed(2);
-    return { tokenId: id, amount, amtBig, meta, percent: Number(percent) };
+    return { tokenId: id, amount, amtBig, meta };
   });
 
   // sorting + filtering from UI
@@ -214,19 +448,19 @@ async function renderTokensPanel(tokens) {
       controls.className = 'token-controls';
       const copyBtn = document.createElement('button');
       copyBtn.type = 'button';
-      copyBtn.textContent = 'کپی id';
+      copyBtn.textContent = t('tokens.copyId');
       copyBtn.style.fontSize = '12px';
       copyBtn.addEventListener('click', (ev)=> {
         ev.stopPropagation();
         navigator.clipboard.writeText(it.tokenId).then(()=> {
-          copyBtn.textContent = 'کپی شد';
-          setTimeout(()=> copyBtn.textContent = 'کپی id', 900);
-        }).catch(()=> alert('کپی ناموفق'));
+          copyBtn.textContent = t('tokens.copied');
+          setTimeout(()=> copyBtn.textContent = t('tokens.copyId'), 900);
+        }).catch(()=> alert(t('common.copyFailed')));
       });
 
       const showBtn = document.createElement('button');
       showBtn.type = 'button';
-      showBtn.textContent = 'جزئیات';
+      showBtn.textContent = t('tokens.details');
       showBtn.style.fontSize = '12px';
       showBtn.addEventListener('click', (ev)=> {
         ev.stopPropagation();
@@ -244,18 +478,21 @@ async function renderTokensPanel(tokens) {
       right.className = 'token-right';
       const amtHuman = document.createElement('div');
       amtHuman.style.fontWeight = '700';
-      amtHuman.textContent = formatTokenAmountHuman(it.amount);
+      amtHuman.textContent = formatTokenAmountHuman(it.amount, it.meta.decimals);
+      amtHuman.title = `raw: ${it.amount}`;
       const amtExact = document.createElement('div');
       amtExact.style.fontSize = '12px';
       amtExact.style.opacity = 0.8;
-      amtExact.textContent = `${it.amount} — ${it.percent}%`;
+      // share of the circulating supply, once the token route has been asked
+      const share = tokenShares.get(shareKey(it.tokenId));
+      amtExact.textContent = `${formatTokenAmount(it.amount, it.meta.decimals)} — ${share ? formatPercent(share, 2) : '…'}`;
+      amtExact.title = `raw: ${it.amount}\n${share ? t('token.shareTitle', { percent: formatPercent(share) }) : t('token.shareUnknown')}`;
 
       const progWrap = document.createElement('div');
       progWrap.className = 'token-progress';
       const bar = document.createElement('div');
       bar.className = 'bar';
-      // set width using percent
-      bar.style.width = Math.max(0, Math.min(100, it.percent)) + '%';
+      bar.style.width = Math.max(0, Math.min(100, Number(share || 0))) + '%';
       progWrap.appendChild(bar);
 
       right.appendChild(amtHuman);
@@ -275,7 +512,7 @@ async function renderTokensPanel(tokens) {
     if (list.length > CAP) {
       const moreDiv = document.createElement('div');
       moreDiv.className = 'text-sm text-slate-500';
-      moreDiv.textContent = `نمایش ${CAP} آیتم اول از ${list.length} (برای نمایش بقیه تغییر فیلتر یا مرتب‌سازی را امتحان کنید)`;
+      moreDiv.textContent = t('tokens.capNotice', { cap: formatNumber(CAP), total: formatNumber(list.length) });
       tokensListEl.appendChild(moreDiv);
     }
   }
@@ -291,160 +528,1563 @@ async function renderTokensPanel(tokens) {
 
   // initial render
   buildAndRenderList();
+
+  // circulating shares for the biggest holdings; each one walks the token's boxes on the
+  // server, so only a few are asked for up front and the rest load when a card is opened
+  const missing = enriched.slice().sort((a,b) => (b.amtBig - a.amtBig > 0n) ? 1 : -1)
+    .filter(it => !tokenShares.has(shareKey(it.tokenId))).slice(0, TOKEN_SHARE_PREFETCH);
+  for (const it of missing) {
+    try { await fetchTokenDetail(it.tokenId, 1); } catch (err) { console.warn('token share failed', it.tokenId, err); }
+    if (tokensLast !== tokens) return;
+  }
+  if (missing.length) buildAndRenderList();
+}
+
+// ---------- token details (supply, minting box, holders) ----------
+const TOKEN_SHARE_PREFETCH = 6;
+const tokenShares = new Map(); // `${address}:${tokenId}` -> percent of circulating supply held by the address
+const shareKey = tokenId => `${currentAddress}:${tokenId}`;
+
+// '33.3333' -> '33.33%' in the UI locale, without going through a float
+function formatPercent(percentStr, digits = 4) {
+  const [whole, frac = ''] = String(percentStr).split('.');
+  const cut = frac.slice(0, digits).replace(/0+$/, '');
+  const sign = (new Intl.NumberFormat(currentLocale(), { style: 'percent' }).formatToParts(0).find(p => p.type === 'percentSign') || { value: '%' }).value;
+  return `${formatDecimal(cut ? `${whole}.${cut}` : whole)}${sign}`;
+}
+
+async function fetchTokenDetail(tokenId, holders = 20) {
+  const q = `?holders=${holders}${currentAddress ? `&address=${encodeURIComponent(currentAddress)}` : ''}`;
+  const j = await fetchJson(`${API_ROOT}/api/token/${encodeURIComponent(tokenId)}${q}`);
+  if (j.wallet && j.wallet.percentOfCirculating !== null) tokenShares.set(`${j.wallet.address}:${tokenId}`, j.wallet.percentOfCirculating);
+  return j;
 }
 
-// token modal: show more metadata + amount
-function openTokenModal(item) {
-  // item: { tokenId, amount, meta, percent }
-  const lines = [];
-  lines.push(`TokenId: ${item.tokenId}`);
-  if (item.meta.name) lines.push(`Name: ${item.meta.name}`);
-  if (item.meta.symbol) lines.push(`Symbol: ${item.meta.symbol}`);
-  if (item.meta.decimals !== null && item.meta.decimals !== undefined) lines.push(`Decimals: ${item.meta.decimals}`);
-  lines.push(`Amount: ${formatTokenAmountExact(item.amount)}`);
-  lines.push(`Human: ${formatTokenAmountHuman(item.amount)}`);
-  lines.push(`Percent of total: ${item.percent}%`);
+function buildTokenView(j, item) {
+  const root = el('div', 'detail-view');
+  const decimals = j.decimals;
+  const eip4 = j.eip4 || null;
+
+  const overview = detailSection(t('token.overview'));
+  overview.appendChild(detailRow(t('token.id'), j.tokenId, { mono: true }));
+  const name = (eip4 && eip4.name) || j.name;
+  if (name) overview.appendChild(detailRow(t('token.name'), name));
+  if (item && item.meta.symbol) overview.appendChild(detailRow(t('token.symbol'), item.meta.symbol));
+  const description = (eip4 && eip4.description) || j.description;
+  if (description) overview.appendChild(detailRow(t('token.description'), description));
+  overview.appendChild(detailRow(t('token.decimals'), formatNumber(decimals)));
+  root.appendChild(overview);
+
+  const s = j.supply || {};
+  const supply = detailSection(t('token.supply'));
+  if (s.emission !== null) supply.appendChild(detailRow(t('token.emission'), formatDecimal(s.emissionFormatted), { title: `raw: ${s.emission}` }));
+  supply.appendChild(detailRow(t('token.circulating'), formatDecimal(s.circulatingFormatted), { title: `raw: ${s.circulating}` }));
+  if (s.burned !== null && s.burned !== undefined) supply.appendChild(detailRow(t('token.burned'), formatTokenAmount(s.burned, decimals), { title: `raw: ${s.burned}` }));
+  supply.appendChild(detailRow(t('token.unspentBoxes'), formatNumber(s.boxes)));
+  if (!s.complete) supply.appendChild(el('div', 'register-error', t('token.partial', { fetched: formatNumber(s.pagesFetched), total: s.pagesTotal === null ? '?' : formatNumber(s.pagesTotal) })));
+  if (j.wallet) {
+    const w = j.wallet;
+    supply.appendChild(detailRow(t('token.walletHolds'), formatDecimal(w.amountFormatted), { title: `raw: ${w.amount}` }));
+    if (w.percentOfCirculating !== null) supply.appendChild(detailRow(t('token.walletShare'), formatPercent(w.percentOfCirculating)));
+    if (w.percentOfEmission !== null) supply.appendChild(detailRow(t('token.walletShareEmission'), formatPercent(w.percentOfEmission)));
+  }
+  root.appendChild(supply);
+
+  const minting = detailSection(t('token.minting'));
+  const m = j.minting;
+  if (m) {
+    minting.appendChild(detailRow(t('detail.txId'), simpleId(m.txId || '', 24), { mono: true, title: m.txId, onClick: m.txId ? ()=> openTxModal(m.txId) : null }));
+    minting.appendChild(detailRow(t('detail.boxId'), simpleId(m.boxId, 24), { mono: true, title: m.boxId, onClick: ()=> openBoxModal({ boxId: m.boxId, transactionId: m.txId, address: m.address, creationHeight: m.creationHeight, settlementHeight: m.settlementHeight, spentTransactionId: m.spentTransactionId, assets: [] }) }));
+    if (m.address) minting.appendChild(detailRow(t('token.issuer'), m.address, { mono: true }));
+    if (m.settlementHeight) minting.appendChild(detailRow(t('detail.blockHeight'), formatNumber(m.settlementHeight)));
+  } else {
+    minting.appendChild(el('div', 'text-sm text-slate-500', j.mintingError ? describeApiError(j.mintingError) : t('token.noMinting')));
+  }
+  root.appendChild(minting);
+
+  const meta = detailSection(t('token.eip4'));
+  if (eip4) {
+    if (eip4.type) meta.appendChild(detailRow(t('token.assetType'), `${eip4.type.label} (0x${eip4.type.code})`));
+    if (eip4.contentHash) meta.appendChild(detailRow(t('token.contentHash'), eip4.contentHash, { mono: true }));
+    (eip4.links || []).forEach(link => {
+      const row = el('div', 'detail-row');
+      row.appendChild(el('span', 'detail-label', t('token.link')));
+      // only http(s) links are clickable; ipfs:// and the rest are shown as text
+      const a = el(/^https?:\/\//i.test(link) ? 'a' : 'span', 'detail-value mono', link);
+      if (a.tagName === 'A') { a.href = link; a.target = '_blank'; a.rel = 'noopener noreferrer'; }
+      row.appendChild(a);
+      meta.appendChild(row);
+    });
+  } else {
+    meta.appendChild(el('div', 'text-sm text-slate-500', t('token.noEip4')));
+  }
+  root.appendChild(meta);
+
+  const holders = detailSection(t('token.holders', { shown: formatNumber((j.holders || []).length), total: formatNumber(j.holderCount) }));
+  (j.holders || []).forEach((h, i) => {
+    const label = `${formatNumber(i + 1)}. ${simpleId(h.address || '-', 20)}${h.address === currentAddress ? ` (${t('detail.tracked')})` : ''}`;
+    holders.appendChild(detailRow(label, `${formatDecimal(h.amountFormatted)} — ${formatPercent(h.percentOfCirculating, 2)}`, {
+      title: `${h.address}\nraw: ${h.amount}\n${t('token.boxCount', { n: formatNumber(h.boxCount) })}`
+    }));
+  });
+  if (!(j.holders || []).length) holders.appendChild(el('div', 'text-sm text-slate-500', t('token.noHolders')));
+  root.appendChild(holders);
+  return root;
+}
+
+// token modal: supply, minting box, EIP-4 metadata and top holders from /api/token
+async function openTokenModal(item) {
+  showModal({ title: t('modal.tokenTitle'), text: t('common.loading') });
+  const known = tokenShares.has(shareKey(item.tokenId));
+  try {
+    const j = await fetchTokenDetail(item.tokenId);
+    // the card may have been waiting for this share
+    if (!known && tokensLast) renderTokensPanel(tokensLast);
+    if (modal.classList.contains('hidden') || modalTitle.textContent !== t('modal.tokenTitle')) return;
+    showModal({ title: t('modal.tokenTitle'), body: buildTokenView(j, item), raw: j });
+  } catch (err) {
+    modalContent.textContent = t('common.errorWith', { message: err && err.message ? err.message : t('common.unknown') });
+  }
+}
+
+function closeModal() { modal.classList.add('hidden'); modal.classList.remove('flex'); }
+
+// open the shared modal: plain text in the <pre>, or a structured body with the raw JSON one click away
+function showModal({ title = t('modal.details'), text = null, body = null, raw = null } = {}) {
+  modalTitle.textContent = title;
   modalContent.style.direction = 'ltr';
   modalContent.style.textAlign = 'left';
-  modalContent.textContent = lines.join('\n');
+  modalBody.innerHTML = '';
+  if (body) {
+    modalBody.appendChild(body);
+    modalBody.classList.remove('hidden');
+    modalContent.classList.add('hidden');
+    modalContent.textContent = raw !== null ? (typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2)) : '';
+    modalRawToggle.classList.toggle('hidden', raw === null);
+    modalRawToggle.textContent = t('modal.raw');
+  } else {
+    modalBody.classList.add('hidden');
+    modalContent.classList.remove('hidden');
+    modalContent.textContent = text ?? '';
+    modalRawToggle.classList.add('hidden');
+  }
   modal.classList.remove('hidden'); modal.classList.add('flex');
 }
 
-function closeModal() { modal.classList.add('hidden'); modal.classList.remove('flex'); }
+function toggleModalRaw() {
+  const showRaw = modalContent.classList.contains('hidden');
+  modalContent.classList.toggle('hidden', !showRaw);
+  modalBody.classList.toggle('hidden', showRaw);
+  modalRawToggle.textContent = showRaw ? t('modal.structured') : t('modal.raw');
+}
+
+// small DOM builder for the structured modal views
+function el(tag, className = '', text = null) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== null && text !== undefined) node.textContent = String(text);
+  return node;
+}
+function detailSection(title) {
+  const section = el('section', 'detail-section');
+  section.appendChild(el('h5', 'detail-title', title));
+  return section;
+}
+// one "label: value" line; `onClick` turns the value into a link
+function detailRow(label, value, { mono = false, onClick = null, title = null } = {}) {
+  const row = el('div', 'detail-row');
+  row.appendChild(el('span', 'detail-label', label));
+  const v = el(onClick ? 'button' : 'span', `detail-value${mono ? ' mono' : ''}${onClick ? ' detail-link' : ''}`, value);
+  if (onClick) { v.type = 'button'; v.addEventListener('click', onClick); }
+  if (title) v.title = title;
+  row.appendChild(v);
+  return row;
+}
+
+// ---------- box details (decoded registers) ----------
+function renderRegisterRows(section, registers) {
+  if (!registers || registers.length === 0) {
+    section.appendChild(el('div', 'text-sm text-slate-500', t('detail.noRegisters')));
+    return;
+  }
+  registers.forEach(r => {
+    const wrap = el('div', 'register');
+    const head = el('div', 'register-head');
+    head.appendChild(el('span', 'register-name', r.register));
+    head.appendChild(el('span', 'register-type', r.error ? t('detail.undecodable') : r.type));
+    wrap.appendChild(head);
+    if (r.error) {
+      wrap.appendChild(el('div', 'register-value mono', r.serializedValue));
+      wrap.appendChild(el('div', 'register-error', r.error));
+    } else if (r.type === 'Coll[Byte]') {
+      if (r.value.utf8) wrap.appendChild(detailRow('UTF-8', r.value.utf8));
+      wrap.appendChild(detailRow('hex', r.value.hex || t('detail.empty'), { mono: true }));
+    } else {
+      wrap.appendChild(el('div', 'register-value mono', r.rendered));
+      if (r.address) wrap.appendChild(detailRow('address', r.address, { mono: true }));
+    }
+    if (r.warning) wrap.appendChild(el('div', 'register-error', r.warning));
+    section.appendChild(wrap);
+  });
+}
+
+function buildBoxView(box, registers) {
+  const root = el('div', 'detail-view');
+
+  const overview = detailSection(t('detail.box'));
+  overview.appendChild(detailRow(t('detail.boxId'), box.boxId, { mono: true }));
+  overview.appendChild(detailRow(t('detail.value'), formatErg(box.value), { title: `nanoERG: ${box.value}` }));
+  if (box.address) overview.appendChild(detailRow(t('detail.address'), box.address, { mono: true }));
+  overview.appendChild(detailRow(t('detail.creationHeight'), box.creationHeight ?? '-'));
+  if (box.settlementHeight) overview.appendChild(detailRow(t('detail.settlementHeight'), box.settlementHeight));
+  if (box.transactionId) overview.appendChild(detailRow(t('detail.createdBy'), simpleId(box.transactionId, 24), { mono: true, title: box.transactionId, onClick: ()=> openTxModal(box.transactionId) }));
+  if (box.unconfirmed) overview.appendChild(detailRow(t('detail.status'), t('detail.unconfirmed')));
+  else if (box.spentTransactionId) overview.appendChild(detailRow(t('detail.spentBy'), simpleId(box.spentTransactionId, 24), { mono: true, title: box.spentTransactionId, onClick: ()=> openTxModal(box.spentTransactionId) }));
+  else overview.appendChild(detailRow(t('detail.status'), t('detail.unspent')));
+  root.appendChild(overview);
+
+  const assets = detailSection(t('detail.assets', { n: (box.assets || []).length }));
+  (box.assets || []).forEach(a => {
+    assets.appendChild(detailRow(tokenLabel(a.tokenId, 12), formatTokenAmount(a.amount, tokenDecimals(a.tokenId)), { title: `${a.tokenId}\nraw: ${a.amount}` }));
+  });
+  if (!(box.assets || []).length) assets.appendChild(el('div', 'text-sm text-slate-500', t('detail.noTokens')));
+  root.appendChild(assets);
+
+  const regs = detailSection(t('detail.registers'));
+  if (registers === null) regs.appendChild(el('div', 'text-sm text-slate-500', t('detail.decoding')));
+  else renderRegisterRows(regs, registers);
+  root.appendChild(regs);
+
+  const tree = detailSection('ErgoTree');
+  tree.appendChild(el('div', 'ergo-tree mono', box.ergoTree || '-'));
+  root.appendChild(tree);
+  return root;
+}
+
+async function openBoxModal(box) {
+  showModal({ title: t('modal.boxTitle'), body: buildBoxView(box, null), raw: box });
+  let registers = [];
+  let full = box;
+  try {
+    if (box.unconfirmed || !box.boxId) {
+      const j = await fetchJson(`${API_ROOT}/api/registers/decode`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ registers: box.additionalRegisters || {} })
+      });
+      registers = j.registers || [];
+    } else {
+      const j = await fetchJson(`${API_ROOT}/api/box/${encodeURIComponent(box.boxId)}`);
+      full = Object.assign({}, box, j.item || {});
+      registers = j.registers || [];
+    }
+  } catch (err) {
+    console.warn('register decode failed', err);
+    registers = [{ register: '-', serializedValue: '', error: err && err.message ? err.message : t('detail.decodeFailed') }];
+  }
+  // the user may have closed or replaced the modal meanwhile
+  if (modal.classList.contains('hidden') || modalTitle.textContent !== t('modal.boxTitle')) return;
+  const showingRaw = !modalContent.classList.contains('hidden');
+  showModal({ title: t('modal.boxTitle'), body: buildBoxView(full, registers), raw: full });
+  if (showingRaw) toggleModalRaw();
+}
 
 // render table (kept simple, similar to previous)
+// unconfirmed outputs go on top of the first page (not in the spent-only view)
+function pendingRowsForTable() {
+  if (!mempoolState || pageOffset !== 0 || (boxStatus.value || 'unspent') === 'spent') return [];
+  return applyFiltersAndSort((mempoolState.items || []).flatMap(tx => tx.outputs || []));
+}
+
 function renderTable(items) {
   tableBody.innerHTML = '';
-  items.forEach(it => {
+  const spending = new Map();
+  ((mempoolState && mempoolState.items) || []).forEach(tx => (tx.spendingBoxIds || []).forEach(id => spending.set(id, tx.txId)));
+  pendingRowsForTable().concat(items).forEach(it => {
     const tr = document.createElement('tr');
-    if (!lastSeenBoxIds.has(it.boxId)) tr.classList.add('highlight-new');
+    if (it.unconfirmed) tr.classList.add('unconfirmed');
+    else if (promotedBoxIds.has(it.boxId)) tr.classList.add('promoted');
+    else if (!lastSeenBoxIds.has(it.boxId)) tr.classList.add('highlight-new');
+    if (spending.has(it.boxId)) tr.classList.add('pending-spend');
+    if (selectedBoxIds.has(it.boxId)) tr.classList.add('selected-input');
 
     const tdBox = document.createElement('td');
     tdBox.textContent = simpleId(it.boxId || '', 40);
     tdBox.title = it.boxId || '';
 
     const tdValue = document.createElement('td');
-    tdValue.textContent = (Number(it.value || 0)/1e9).toLocaleString('en-US');
+    tdValue.textContent = ergNumber(it.value);
     tdValue.title = `nanoERG: ${it.value || 0}`;
 
     const tdTokens = document.createElement('td');
-    tdTokens.textContent = (it.assets || []).map(a => `${simpleId(a.tokenId, 8)}(${a.amount})`).join(', ') || '-';
-    tdTokens.title = (it.assets || []).map(a => `${a.tokenId} (${a.amount})`).join('\n');
+    tdTokens.textContent = (it.assets || []).map(a => `${tokenLabel(a.tokenId)}(${formatTokenAmountHuman(a.amount, tokenDecimals(a.tokenId))})`).join(', ') || '-';
+    tdTokens.title = (it.assets || []).map(a => `${a.tokenId}: ${formatTokenAmount(a.amount, tokenDecimals(a.tokenId))} (raw ${a.amount})`).join('\n');
 
     const tdHeight = document.createElement('td'); tdHeight.textContent = it.creationHeight || '-';
-    const tdSpent = document.createElement('td'); tdSpent.textContent = it.spentTransactionId ? simpleId(it.spentTransactionId, 20) : '-';
+    const tdSpent = document.createElement('td'); tdSpent.textContent = '-';
+    // the spent column opens the spending (or pending creating) tx; the rest of the row opens the box
+    let spentTx = it.spentTransactionId || null;
+    if (it.unconfirmed) { tdSpent.textContent = t('utxo.unconfirmed'); tdSpent.title = t('utxo.pendingTx', { id: it.transactionId }); spentTx = it.transactionId; }
+    else if (spending.has(it.boxId)) { tdSpent.textContent = t('utxo.spending', { id: simpleId(spending.get(it.boxId), 12) }); tdSpent.title = t('utxo.unconfirmedTx', { id: spending.get(it.boxId) }); spentTx = spending.get(it.boxId); }
+    else if (spentTx) { tdSpent.textContent = simpleId(spentTx, 20); tdSpent.title = spentTx; }
+    if (spentTx) {
+      tdSpent.classList.add('tx-link');
+      tdSpent.addEventListener('click', (e)=> { e.stopPropagation(); openTxModal(spentTx); });
+    }
 
     tr.appendChild(tdBox); tr.appendChild(tdValue); tr.appendChild(tdTokens); tr.appendChild(tdHeight); tr.appendChild(tdSpent);
+    tr.addEventListener('click', ()=> openBoxModal(it));
+    tableBody.appendChild(tr);
+  });
+  showingCount.textContent = formatNumber(items.length);
+  renderSelectionOnPage();
+}
+
+// ---------- send preview (coin selection) ----------
+// '1.5' with 3 decimals -> '1500'; throws on malformed input or more decimals than the token has
+function parseTokenUnits(str, decimals = 0) {
+  const m = /^(\d*)(?:\.(\d*))?$/.exec(String(str).trim());
+  const d = Number(decimals) || 0;
+  const frac = m ? (m[2] || '').replace(/0+$/, '') : '';
+  if (!m || (!m[1] && !m[2]) || frac.length > d) throw new Error(t('select.invalidAmount', { value: str }));
+  return BigInt((m[1] || '0') + frac.padEnd(d, '0')).toString();
+}
+
+// #select-tokens "tokenId:amount, ..." (amounts in token units) -> "tokenId:raw,..." for the API
+async function selectTokensParam() {
+  const pairs = selectTokensInput.value.split(/[\s,،]+/).filter(Boolean).map(part => {
+    const i = part.lastIndexOf(':');
+    return i > 0 ? [part.slice(0, i), part.slice(i + 1)] : [part, ''];
+  });
+  if (pairs.length) await fetchTokenMetaBulk(pairs.map(([id]) => id));
+  return pairs.map(([id, amount]) => `${id}:${parseTokenUnits(amount, tokenDecimals(id))}`).join(',');
+}
+
+// every strategy is asked for at once; #select-strategy only picks which one is highlighted
+function buildSelectUrl(address, erg, tokens) {
+  const params = new URLSearchParams({ strategy: 'all' });
+  if (erg) params.set('erg', erg);
+  if (tokens) params.set('tokens', tokens);
+  return `${API_ROOT}/api/wallet/${encodeURIComponent(address)}/select?${params}`;
+}
+
+function describeSelectIssue(issue) {
+  const key = `selectIssue.${issue.code}`;
+  if (!hasMessage(key)) return issue.message;
+  return t(key, {
+    erg: formatErg(issue.missingNanoErg ?? issue.changeNanoErg ?? issue.recommendedNanoErg),
+    min: formatErg(issue.minBoxValue),
+    token: issue.tokenId ? tokenLabel(issue.tokenId, 10) : '',
+    amount: issue.missing ? formatTokenAmount(issue.missing, tokenDecimals(issue.tokenId)) : '',
+    n: formatNumber(issue.tokenCount)
+  });
+}
+
+function describeChange(change) {
+  if (!change) return t('select.noChange');
+  return change.tokens.length ? t('select.changeTokens', { erg: formatErg(change.nanoErg), n: formatNumber(change.tokens.length) }) : formatErg(change.nanoErg);
+}
+
+function renderSelection() {
+  const s = selectionState;
+  const picked = s ? s.selections.find(sel => sel.strategy === selectStrategy.value) : null;
+  selectedBoxIds = new Set(picked ? picked.inputs.map(b => b.boxId) : []);
+  selectResultEl.innerHTML = '';
+  selectResultEl.classList.toggle('hidden', !s);
+  if (s) {
+    const tokens = s.target.tokens.map(tk => ` + ${formatTokenAmount(tk.amount, tokenDecimals(tk.tokenId))} ${tokenLabel(tk.tokenId)}`).join('');
+    let summary = t('select.summary', { erg: formatErg(s.target.nanoErg), tokens, fee: formatErg(s.feeNanoErg), boxes: formatNumber(s.boxCount) });
+    if (s.excludedPending.length) summary += t('select.excluded', { n: formatNumber(s.excludedPending.length) });
+    selectResultEl.appendChild(el('div', '', summary));
+    s.issues.forEach(issue => selectResultEl.appendChild(el('div', `issue-${issue.severity}`, describeSelectIssue(issue))));
+
+    const table = el('table', 'select-table mt-1');
+    const head = document.createElement('tr');
+    ['select.strategyCol', 'select.inputsCol', 'select.changeCol', 'select.issuesCol'].forEach(key => head.appendChild(el('th', '', t(key))));
+    table.appendChild(head);
+    s.selections.forEach(sel => {
+      const tr = document.createElement('tr');
+      if (sel === picked) tr.classList.add('active');
+      tr.appendChild(el('td', '', t(`strategy.${sel.strategy}`)));
+      const inputs = el('td', '', t('select.inputs', { n: formatNumber(sel.inputCount), erg: formatErg(sel.inputNanoErg) }));
+      inputs.title = sel.inputs.map(b => b.boxId).join('\n');
+      tr.appendChild(inputs);
+      tr.appendChild(el('td', '', describeChange(sel.change)));
+      const worst = sel.issues.some(i => i.severity === 'error') ? 'error' : 'warning';
+      tr.appendChild(el('td', sel.issues.length ? `issue-${worst}` : '', sel.issues.length ? sel.issues.map(describeSelectIssue).join('; ') : t('select.ok')));
+      tr.addEventListener('click', () => { selectStrategy.value = sel.strategy; renderSelection(); });
+      table.appendChild(tr);
+    });
+    selectResultEl.appendChild(table);
+    selectResultEl.appendChild(el('div', 'select-onpage text-slate-500'));
+  }
+  renderTable(currentItems);
+}
+
+// the table is paged, so say how many of the highlighted inputs the current page shows
+function renderSelectionOnPage() {
+  const note = selectResultEl.querySelector('.select-onpage');
+  if (!note) return;
+  const onPage = currentItems.filter(it => selectedBoxIds.has(it.boxId)).length;
+  note.textContent = selectedBoxIds.size ? t('select.onPage', { n: formatNumber(onPage), total: formatNumber(selectedBoxIds.size) }) : '';
+}
+
+function clearSelection() {
+  selectionState = null;
+  renderSelection();
+}
+
+// ---------- dust analysis ----------
+const DUST_LIST_MAX = 50;
+
+function buildDustUrl(address, { format = null } = {}) {
+  const params = new URLSearchParams();
+  const threshold = dustThresholdInput.value.trim();
+  if (threshold) params.set('threshold', threshold);
+  if (format) { params.set('kind', 'dust'); params.set('format', format); }
+  return `${API_ROOT}/api/wallet/${encodeURIComponent(address)}/${format ? 'export' : 'dust'}?${params}`;
+}
+
+async function loadDust() {
+  if (!currentAddress) return;
+  dustResultEl.textContent = t('status.loading');
+  try {
+    dustState = await fetchJson(buildDustUrl(currentAddress));
+    const tokenIds = Array.from(new Set(dustState.boxes.flatMap(b => b.tokens.map(tk => tk.tokenId))));
+    if (tokenIds.length) await fetchTokenMetaBulk(tokenIds);
+  } catch (err) {
+    dustState = null;
+    dustResultEl.textContent = '';
+    showStatus(t('dust.failed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+    return;
+  }
+  renderDust();
+}
+
+function dustRange(min, max, fmt) {
+  return `${min !== null ? fmt(min) : '0'} – ${max !== null ? fmt(max) : '∞'}`;
+}
+
+function dustBucketTable(titleKey, buckets, rangeOf) {
+  const table = el('table', 'dust-table mt-1');
+  const head = document.createElement('tr');
+  [titleKey, 'dust.boxesCol', 'dust.ergCol', 'dust.flaggedCol'].forEach(key => head.appendChild(el('th', '', t(key))));
+  table.appendChild(head);
+  buckets.forEach(b => {
+    const tr = document.createElement('tr');
+    if (b.flagged) tr.classList.add('flagged');
+    [rangeOf(b), formatNumber(b.count), formatErg(b.nanoErg), formatNumber(b.flagged)].forEach(text => tr.appendChild(el('td', '', text)));
+    table.appendChild(tr);
+  });
+  return table;
+}
+
+function renderDust() {
+  const d = dustState;
+  dustResultEl.innerHTML = '';
+  if (!d) return;
+  dustResultEl.appendChild(el('div', '', t('dust.summary', {
+    boxes: formatNumber(d.boxCount),
+    erg: formatErg(d.totalNanoErg),
+    height: d.height !== null ? formatNumber(d.height) : '?'
+  })));
+  d.issues.forEach(issue => dustResultEl.appendChild(el('div', `issue-${issue.severity}`, describeSelectIssue(issue))));
+  dustResultEl.appendChild(el('div', '', t('dust.flagged', {
+    near: formatNumber(d.flagged['near-min-value']),
+    token: formatNumber(d.flagged['dust-token-only']),
+    rent: formatNumber(d.flagged['storage-rent'])
+  })));
+
+  const c = d.consolidation;
+  const plan = el('div', 'mt-2 font-semibold');
+  plan.textContent = c.txCount === 0
+    ? t('dust.nothingToMerge')
+    : t('dust.plan', { n: formatNumber(c.candidates), txs: formatNumber(c.txCount), fee: formatErg(c.feeNanoErg), result: formatErg(c.resultNanoErg), after: formatNumber(c.boxesAfter) });
+  dustResultEl.appendChild(plan);
+  if (c.txCount) {
+    dustResultEl.appendChild(el('div', c.worthIt ? '' : 'issue-warning', c.worthIt ? t('dust.worthIt') : t('dust.notWorthIt')));
+    c.issues.forEach(code => dustResultEl.appendChild(el('div', 'issue-error', t(`dust.issue.${code}`, { n: formatNumber(c.tokenCount) }))));
+  }
+
+  dustResultEl.appendChild(dustBucketTable('dust.valueCol', d.valueBuckets, b => `${dustRange(b.minNanoErg, b.maxNanoErg, ergNumber)} ERG`));
+  if (d.ageBuckets) {
+    dustResultEl.appendChild(dustBucketTable('dust.ageCol', d.ageBuckets, b => dustRange(b.minBlocks, b.maxBlocks, formatNumber)));
+  }
+
+  const flagged = d.boxes.filter(b => b.flags.length);
+  if (flagged.length) {
+    const table = el('table', 'dust-table mt-2');
+    const head = document.createElement('tr');
+    ['utxo.boxId', 'utxo.value', 'dust.ageCol', 'utxo.tokens', 'dust.flagsCol'].forEach(key => head.appendChild(el('th', '', t(key))));
+    table.appendChild(head);
+    flagged.slice(0, DUST_LIST_MAX).forEach(b => {
+      const tr = document.createElement('tr');
+      const id = el('td', 'font-mono', `${b.boxId.slice(0, 10)}…`);
+      id.title = b.boxId;
+      tr.appendChild(id);
+      tr.appendChild(el('td', '', formatErg(b.value)));
+      tr.appendChild(el('td', '', b.ageBlocks !== null ? formatNumber(b.ageBlocks) : '-'));
+      tr.appendChild(el('td', '', b.tokens.map(tk => `${formatTokenAmount(tk.amount, tokenDecimals(tk.tokenId))} ${tokenLabel(tk.tokenId)}`).join(', ') || '-'));
+      tr.appendChild(el('td', '', b.flags.map(f => t(`dustFlag.${f}`)).join(', ')));
+      table.appendChild(tr);
+    });
+    dustResultEl.appendChild(table);
+    if (flagged.length > DUST_LIST_MAX) dustResultEl.appendChild(el('div', 'text-slate-500', t('dust.more', { n: formatNumber(flagged.length - DUST_LIST_MAX) })));
+  }
+}
+
+// ---------- mempool (unconfirmed) ----------
+function renderPendingSummary() {
+  const p = mempoolState && mempoolState.pending;
+  if (!p || !mempoolState.count) { summaryPending.classList.add('hidden'); return; }
+  summaryPending.classList.remove('hidden');
+  summaryPendingIn.textContent = `+${ergNumber(p.incomingNanoErg)}`;
+  summaryPendingOut.textContent = `−${ergNumber(p.outgoingNanoErg)}`;
+  summaryPendingTotal.textContent = ergNumber(p.totalNanoErg);
+  summaryPendingTotal.title = t('summary.pendingTitle', { nano: p.totalNanoErg, count: mempoolState.count });
+}
+
+async function refreshMempool() {
+  if (!currentAddress) return;
+  try {
+    mempoolState = await fetchMempool(currentAddress);
+  } catch (err) {
+    console.warn('mempool fetch failed', err);
+    return;
+  }
+  const nextIds = new Set((mempoolState.items || []).flatMap(tx => (tx.outputs || []).map(o => o.boxId)));
+  // outputs that left the mempool and now show up as confirmed rows were mined
+  const confirmedIds = new Set(currentItems.map(it => it.boxId));
+  const promoted = Array.from(pendingOutputIds).filter(id => !nextIds.has(id) && confirmedIds.has(id));
+  promoted.forEach(id => promotedBoxIds.add(id));
+  pendingOutputIds = nextIds;
+
+  const pendingTokenIds = Array.from(new Set((mempoolState.items || []).flatMap(tx => (tx.outputs || []).flatMap(o => (o.assets || []).map(a => String(a.tokenId))))));
+  if (pendingTokenIds.length) await fetchTokenMetaBulk(pendingTokenIds);
+  renderPendingSummary();
+  renderTable(currentItems);
+  if (promoted.length) showStatus(t('status.boxesConfirmed', { n: formatNumber(promoted.length) }));
+}
+
+// ---------- transaction history timeline ----------
+function formatNanoErgDelta(nanoStr) {
+  let n;
+  try { n = BigInt(nanoStr || '0'); } catch { n = 0n; }
+  const sign = n > 0n ? '+' : (n < 0n ? '−' : '');
+  const abs = n < 0n ? -n : n;
+  return `${sign}${ergNumber(abs, 9)} ERG`;
+}
+
+function renderHistory() {
+  historyListEl.innerHTML = '';
+  if (historyItems.length === 0) {
+    historyListEl.appendChild(el('li', 'text-sm text-slate-500', t('history.empty')));
+  }
+  historyItems.forEach(tx => {
+    const li = document.createElement('li');
+    li.className = `timeline-item tx-${tx.direction}`;
+
+    const badge = document.createElement('span');
+    badge.className = `tx-badge tx-badge-${tx.direction}`;
+    badge.textContent = t(tx.direction === 'in' ? 'history.in' : (tx.direction === 'out' ? 'history.out' : 'history.self'));
+
+    const when = document.createElement('div');
+    when.className = 'tx-when';
+    when.textContent = tx.timestamp ? formatDateTime(tx.timestamp) : '-';
+    when.title = t('history.whenTitle', { height: tx.inclusionHeight ?? '-', confirmations: tx.numConfirmations ?? '-' });
+
+    const amount = document.createElement('div');
+    amount.className = 'tx-amount';
+    amount.textContent = formatNanoErgDelta(tx.netNanoErg);
+    amount.title = `nanoERG: ${tx.netNanoErg}`;
+
+    const tokens = document.createElement('div');
+    tokens.className = 'tx-tokens';
+    tokens.textContent = (tx.tokens || []).map(tk => `${tokenLabel(tk.tokenId)}(${tk.delta.startsWith('-') ? '' : '+'}${formatTokenAmount(tk.delta, tokenDecimals(tk.tokenId))})`).join(', ');
+    tokens.title = (tx.tokens || []).map(tk => `${tk.tokenId} (raw ${tk.delta})`).join('\n');
+
+    const idEl = document.createElement('div');
+    idEl.className = 'tx-id';
+    idEl.textContent = simpleId(tx.txId, 24);
+    idEl.title = tx.txId;
+
+    li.appendChild(badge); li.appendChild(when); li.appendChild(amount); li.appendChild(tokens); li.appendChild(idEl);
+    li.addEventListener('click', ()=> openTxModal(tx.txId));
+    historyListEl.appendChild(li);
+  });
+  historyCount.textContent = formatNumber(historyItems.length);
+  historyTotal.textContent = historyTotalCount !== null ? formatNumber(historyTotalCount) : '-';
+  historyMoreBtn.disabled = historyTotalCount !== null && historyItems.length >= historyTotalCount;
+}
+
+async function loadHistory(reset=false) {
+  if (!currentAddress) return;
+  if (reset) { historyItems = []; historyTotalCount = null; }
+  showStatus(t('status.loadingHistory'));
+  try {
+    const j = await fetchTransactions(currentAddress, HISTORY_PAGE, historyItems.length);
+    const txTokenIds = Array.from(new Set((j.items || []).flatMap(tx => (tx.tokens || []).map(t => String(t.tokenId)))));
+    if (txTokenIds.length) await fetchTokenMetaBulk(txTokenIds);
+    historyItems = historyItems.concat(j.items || []);
+    historyTotalCount = typeof j.total === 'number' ? j.total : null;
+    renderHistory();
+    showStatus(t('status.historyLoaded', { n: formatNumber(historyItems.length) }));
+  } catch (err) {
+    console.error(err);
+    showStatus(t('status.historyFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+}
+
+// ---------- transaction details ----------
+const TX_ID_RE = /^[0-9a-fA-F]{64}$/;
+// miners' fee contract (same constant as backend/aggregate.js)
+const FEE_ERGO_TREE = '1005040004000e36100204a00b08cd0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798ea02d192a39a8cc7a701730073011001020402d19683030193a38cc7b2a57300000193c2b2a57301007473027303830108cdeeac93b1a57304';
+
+function formatErg(nanoStr) {
+  return `${ergNumber(nanoStr, 9)} ERG`;
+}
+
+// one input/output box; boxes of the tracked address are highlighted
+function txBoxRow(box, isOutput) {
+  const own = Boolean(currentAddress) && box.address === currentAddress;
+  const row = el('div', `tx-box${own ? ' tx-box-own' : ''}`);
+  const head = el('div', 'tx-box-head');
+  const link = el('button', 'detail-link mono', simpleId(box.boxId || '', 20));
+  link.type = 'button';
+  link.title = box.boxId || '';
+  // inputs in the tx payload carry only part of the box; the box view fetches the rest
+  link.addEventListener('click', ()=> openBoxModal(box));
+  head.appendChild(link);
+  head.appendChild(el('span', 'tx-box-value', formatErg(box.value)));
+  if (own) head.appendChild(el('span', 'tx-box-badge', t('detail.tracked')));
+  if (isOutput && box.ergoTree === FEE_ERGO_TREE) head.appendChild(el('span', 'tx-box-badge fee', t('detail.fee.badge')));
+  row.appendChild(head);
+  row.appendChild(el('div', 'tx-box-address mono', box.address || '-'));
+  (box.assets || []).forEach(a => {
+    row.appendChild(el('div', 'tx-box-token', `${tokenLabel(a.tokenId, 12)}: ${formatTokenAmount(a.amount, tokenDecimals(a.tokenId))}`));
+  });
+  return row;
+}
+
+function buildTxView(j) {
+  const tx = j.item || {};
+  const root = el('div', 'detail-view');
+
+  const overview = detailSection(t('detail.transaction'));
+  overview.appendChild(detailRow(t('detail.txId'), tx.id, { mono: true }));
+  if (tx.inclusionHeight) {
+    overview.appendChild(detailRow(t('detail.status'), t('detail.confirmed')));
+    overview.appendChild(detailRow(t('detail.blockHeight'), tx.inclusionHeight));
+    overview.appendChild(detailRow(t('detail.confirmations'), tx.numConfirmations ?? '-'));
+  } else {
+    overview.appendChild(detailRow(t('detail.status'), t('detail.unconfirmed')));
+  }
+  if (tx.timestamp) overview.appendChild(detailRow(t('detail.time'), formatDateTime(tx.timestamp)));
+  overview.appendChild(detailRow(t('detail.fee'), formatErg(j.feeNanoErg), { title: `nanoERG: ${j.feeNanoErg}` }));
+  if (tx.size) overview.appendChild(detailRow(t('detail.size'), t('detail.bytes', { n: formatNumber(tx.size) })));
+  if (j.delta) {
+    overview.appendChild(detailRow(t('detail.trackedAddress'), formatNanoErgDelta(j.delta.netNanoErg), { title: t('detail.trackedTitle', { inputs: j.delta.ownInputs, outputs: j.delta.ownOutputs, address: j.address }) }));
+    (j.delta.tokens || []).forEach(tk => {
+      const d = formatTokenAmount(tk.delta, tokenDecimals(tk.tokenId));
+      overview.appendChild(detailRow('', `${d.startsWith('-') ? '' : '+'}${d} ${tokenLabel(tk.tokenId, 12)}`));
+    });
+  }
+  root.appendChild(overview);
+
+  const inputs = detailSection(t('detail.inputs', { n: (tx.inputs || []).length }));
+  (tx.inputs || []).forEach(b => inputs.appendChild(txBoxRow(b, false)));
+  root.appendChild(inputs);
+
+  const outputs = detailSection(t('detail.outputs', { n: (tx.outputs || []).length }));
+  (tx.outputs || []).forEach(b => outputs.appendChild(txBoxRow(b, true)));
+  root.appendChild(outputs);
+  return root;
+}
+
+// tx details in the shared modal
+async function openTxModal(txId) {
+  showModal({ title: t('modal.txTitle'), text: t('common.loading') });
+  try {
+    const q = currentAddress ? `?address=${encodeURIComponent(currentAddress)}` : '';
+    const j = await fetchJson(`${API_ROOT}/api/tx/${encodeURIComponent(txId)}${q}`);
+    const tx = j.item || {};
+    const tokenIds = Array.from(new Set([].concat(tx.inputs || [], tx.outputs || []).flatMap(b => (b.assets || []).map(a => String(a.tokenId)))));
+    if (tokenIds.length) await fetchTokenMetaBulk(tokenIds);
+    if (modal.classList.contains('hidden') || modalTitle.textContent !== t('modal.txTitle')) return;
+    showModal({ title: t('modal.txTitle'), body: buildTxView(j), raw: tx });
+  } catch (err) {
+    modalContent.textContent = t('common.errorWith', { message: err && err.message ? err.message : t('common.unknown') });
+  }
+}
+
+// ---------- watchlist / portfolio ----------
+// watchlist: [{ address, label }] persisted in localStorage
+const WATCHLIST_KEY = 'ergoTracker.watchlist';
+let watchlist = loadWatchlist();
+let portfolioData = null; // last /api/portfolio response
+
+function normalizeWatchlist(list) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : [])
+    .map(e => (typeof e === 'string' ? { address: e, label: '' } : e))
+    .filter(e => e && typeof e.address === 'string')
+    .map(e => ({ address: e.address.replace(/\s/g, ''), label: String(e.label || '').trim() }))
+    .filter(e => e.address && !seen.has(e.address) && seen.add(e.address));
+}
+function loadWatchlist() {
+  try { return normalizeWatchlist(JSON.parse(localStorage.getItem(WATCHLIST_KEY) || '[]')); }
+  catch { return []; }
+}
+function saveWatchlist() {
+  localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+}
+function addToWatchlist(address, label='') {
+  const addr = String(address || '').replace(/\s/g, '');
+  if (!addr) return false;
+  const existing = watchlist.find(e => e.address === addr);
+  if (existing) { if (label) existing.label = label; }
+  else watchlist.push({ address: addr, label });
+  saveWatchlist();
+  return true;
+}
+function removeFromWatchlist(address) {
+  watchlist = watchlist.filter(e => e.address !== address);
+  saveWatchlist();
+}
+
+function renderPortfolio() {
+  portfolioBody.innerHTML = '';
+  const byAddr = new Map(((portfolioData && portfolioData.addresses) || []).map(e => [e.address, e]));
+  if (watchlist.length === 0) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td'); td.colSpan = 6; td.className = 'text-sm text-slate-500';
+    td.textContent = t('portfolio.empty');
+    tr.appendChild(td); portfolioBody.appendChild(tr);
+  }
+  watchlist.forEach(entry => {
+    const data = byAddr.get(entry.address);
+    const tr = document.createElement('tr');
+    const cells = [
+      entry.label || '-',
+      simpleId(entry.address, 16),
+      data && !data.error ? ergNumber(data.totalNanoErg) : (data && data.error ? t('common.error') : '…'),
+      data && !data.error ? formatNumber(data.tokenCount) : '-',
+      data && data.lastChangeAt ? formatDateTime(data.lastChangeAt) : '-'
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 1) td.title = entry.address;
+      if (i === 2 && data) td.title = data.error ? describeApiError(data.error) : `nanoERG: ${data.totalNanoErg}${data.complete === false ? ` ${t('portfolio.partial')}` : ''}`;
+      tr.appendChild(td);
+    });
+    const tdRemove = document.createElement('td');
+    const rm = document.createElement('button');
+    rm.type = 'button'; rm.textContent = t('common.remove'); rm.style.fontSize = '12px';
+    rm.addEventListener('click', (ev)=> { ev.stopPropagation(); removeFromWatchlist(entry.address); renderPortfolio(); });
+    tdRemove.appendChild(rm); tr.appendChild(tdRemove);
+    // clicking a row opens that address in the main views
     tr.addEventListener('click', ()=> {
-      modalContent.style.direction = 'ltr';
-      modalContent.style.textAlign = 'left';
-      modalContent.textContent = JSON.stringify(it, null, 2);
-      modal.classList.remove('hidden'); modal.classList.add('flex');
+      addressInput.value = entry.address;
+      switchView('utxos');
+      form.requestSubmit();
     });
-    tableBody.appendChild(tr);
+    portfolioBody.appendChild(tr);
   });
-  showingCount.textContent = items.length;
+
+  if (portfolioData && portfolioData.combined) {
+    const c = portfolioData.combined;
+    portfolioCombined.textContent = t('portfolio.combined', {
+      erg: ergNumber(c.totalNanoErg),
+      tokens: formatNumber(c.tokenCount),
+      utxos: formatNumber(c.utxoCount),
+      partial: c.complete ? '' : ` ${t('portfolio.partial')}`
+    });
+  } else {
+    portfolioCombined.textContent = '';
+  }
 }
 
-// apply filters & sort for table (unchanged)
+async function refreshPortfolio() {
+  renderPortfolio();
+  if (watchlist.length === 0) return;
+  showStatus(t('status.loadingPortfolio'));
+  try {
+    portfolioData = await fetchJson(`${API_ROOT}/api/portfolio`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ addresses: watchlist.map(e => e.address) })
+    });
+    renderPortfolio();
+    showStatus(t('status.portfolioUpdated', { n: formatNumber(watchlist.length) }));
+  } catch (err) {
+    console.error(err);
+    showStatus(t('status.portfolioFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+}
+
+// ---------- alert rules ----------
+let alertRules = null; // last /api/alerts items
+
+function describeAlertRule(rule) {
+  switch (rule.type) {
+    case 'erg_below': return `ERG < ${formatErg(rule.thresholdNanoErg)}`;
+    case 'erg_above': return `ERG > ${formatErg(rule.thresholdNanoErg)}`;
+    case 'token_received': return t('alertRule.token_received');
+    case 'token_changed': return t('alertRule.token_changed', { token: tokenLabel(rule.tokenId, 10) });
+    case 'new_box': return t('alertRule.new_box');
+    default: return rule.type;
+  }
+}
+
+// only the inputs the selected rule type needs are shown
+function updateAlertFormFields() {
+  const type = alertTypeSelect.value;
+  alertThresholdInput.classList.toggle('hidden', type !== 'erg_below' && type !== 'erg_above');
+  alertTokenInput.classList.toggle('hidden', type !== 'token_changed');
+}
+
+// JSON request for the alert and snapshot routes; resolves to null on 204
+async function jsonRequest(url, method, body) {
+  const opts = { method };
+  if (body) { opts.headers = { 'Content-Type': 'application/json' }; opts.body = JSON.stringify(body); }
+  const res = await fetch(url, Object.assign({ cache: 'no-store' }, opts));
+  if (res.status === 204) return null;
+  if (!res.ok) throw await responseError(res);
+  return await res.json();
+}
+
+function renderAlerts() {
+  alertsBody.innerHTML = '';
+  if (!alertRules || alertRules.length === 0) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td'); td.colSpan = 5; td.className = 'text-sm text-slate-500';
+    td.textContent = alertRules ? t('alerts.none') : '…';
+    tr.appendChild(td); alertsBody.appendChild(tr);
+    return;
+  }
+  alertRules.forEach(rule => {
+    const tr = document.createElement('tr');
+    if (!rule.enabled) tr.className = 'rule-disabled';
+
+    const tdRule = document.createElement('td');
+    tdRule.textContent = `${rule.label ? rule.label + ' — ' : ''}${describeAlertRule(rule)}`;
+    tdRule.title = rule.webhookUrl ? t('alerts.webhook', { url: rule.webhookUrl }) : t('alerts.defaultWebhook');
+    const tdAddr = document.createElement('td');
+    tdAddr.textContent = simpleId(rule.address, 16); tdAddr.title = rule.address;
+    const tdCheck = document.createElement('td');
+    tdCheck.textContent = rule.lastCheckedAt ? formatDateTime(rule.lastCheckedAt) : '-';
+    if (rule.lastError) { tdCheck.textContent = t('common.error'); tdCheck.title = rule.lastError; }
+    const tdDelivery = document.createElement('td');
+    const d = rule.lastDelivery;
+    tdDelivery.textContent = d ? `${t(d.ok ? 'alerts.deliveryOk' : 'alerts.deliveryFailed')} (${formatNumber(d.attempts)}×)` : '-';
+    if (d) { tdDelivery.className = d.ok ? 'delivery-ok' : 'delivery-failed'; tdDelivery.title = `${formatDateTime(d.at)}${d.error ? ' — ' + d.error : ''}`; }
+
+    const tdActions = document.createElement('td');
+    tdActions.className = 'alert-actions';
+    const actions = [
+      [t(rule.enabled ? 'alerts.disable' : 'alerts.enable'), ()=> jsonRequest(`${API_ROOT}/api/alerts/${rule.id}`, 'PATCH', { enabled: !rule.enabled })],
+      [t('alerts.test'), async ()=> {
+        const j = await jsonRequest(`${API_ROOT}/api/alerts/${rule.id}/test`, 'POST');
+        showStatus(j.delivery.ok ? t('status.testDelivered') : t('status.testFailed', { message: j.delivery.error }), !j.delivery.ok);
+      }],
+      [t('common.remove'), ()=> jsonRequest(`${API_ROOT}/api/alerts/${rule.id}`, 'DELETE')]
+    ];
+    actions.forEach(([text, fn]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.textContent = text;
+      btn.addEventListener('click', async ()=> {
+        try { await fn(); await refreshAlerts(); }
+        catch (err) { showStatus(t('common.errorWith', { message: err && err.message ? err.message : t('common.unknown') }), true); }
+      });
+      tdActions.appendChild(btn);
+    });
+
+    [tdRule, tdAddr, tdCheck, tdDelivery, tdActions].forEach(td => tr.appendChild(td));
+    alertsBody.appendChild(tr);
+  });
+}
+
+async function refreshAlerts() {
+  try {
+    const j = await fetchJson(`${API_ROOT}/api/alerts`);
+    alertRules = j.items || [];
+    renderAlerts();
+  } catch (err) {
+    console.error(err);
+    showStatus(t('status.alertsFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+}
+
+// ---------- snapshots ----------
+async function refreshSnapshots() {
+  if (!currentAddress) return;
+  try {
+    const j = await fetchJson(`${API_ROOT}/api/snapshots?address=${encodeURIComponent(currentAddress)}`);
+    snapshotList = j.items || [];
+  } catch (err) {
+    showStatus(t('snapshots.failed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+    return;
+  }
+  renderSnapshots();
+}
+
+function snapshotLabel(s) {
+  return `${s.name} (${formatDateTime(s.createdAt)})`;
+}
+
+function renderSnapshots() {
+  snapshotsBody.innerHTML = '';
+  const list = snapshotList || [];
+  // keep the picked pair when the list is redrawn
+  const from = diffFromSelect.value;
+  const to = diffToSelect.value;
+  diffFromSelect.innerHTML = '';
+  diffToSelect.innerHTML = '';
+  diffToSelect.appendChild(Object.assign(el('option', '', t('snapshots.live')), { value: 'live' }));
+  list.forEach(s => {
+    diffFromSelect.appendChild(Object.assign(el('option', '', snapshotLabel(s)), { value: s.id }));
+    diffToSelect.appendChild(Object.assign(el('option', '', snapshotLabel(s)), { value: s.id }));
+  });
+  // default: the oldest snapshot against live state
+  diffFromSelect.value = list.some(s => s.id === from) ? from : (list.length ? list[list.length - 1].id : '');
+  diffToSelect.value = to === 'live' || list.some(s => s.id === to) ? to : 'live';
+  diffRunBtn.disabled = list.length === 0;
+
+  if (list.length === 0) {
+    const tr = document.createElement('tr');
+    const td = el('td', 'text-sm text-slate-500', snapshotList ? t('snapshots.none') : '…');
+    td.colSpan = 5;
+    tr.appendChild(td); snapshotsBody.appendChild(tr);
+    return;
+  }
+  list.forEach(s => {
+    const tr = document.createElement('tr');
+    tr.appendChild(el('td', '', s.name));
+    tr.appendChild(el('td', '', formatDateTime(s.createdAt)));
+    tr.appendChild(el('td', '', formatErg(s.totalNanoErg)));
+    tr.appendChild(el('td', '', formatNumber(s.boxCount)));
+    const tdActions = el('td', 'alert-actions');
+    const compare = el('button', '', t('snapshots.vsLive'));
+    compare.type = 'button';
+    compare.addEventListener('click', ()=> { diffFromSelect.value = s.id; diffToSelect.value = 'live'; runDiff(); });
+    const remove = el('button', '', t('common.remove'));
+    remove.type = 'button';
+    remove.addEventListener('click', async ()=> {
+      try {
+        await jsonRequest(`${API_ROOT}/api/snapshots/${s.id}`, 'DELETE');
+        if (diffState && (diffState.from.id === s.id || diffState.to.id === s.id)) { diffState = null; renderDiff(); }
+        await refreshSnapshots();
+      } catch (err) {
+        showStatus(t('common.errorWith', { message: err && err.message ? err.message : t('common.unknown') }), true);
+      }
+    });
+    tdActions.appendChild(compare);
+    tdActions.appendChild(remove);
+    tr.appendChild(tdActions);
+    snapshotsBody.appendChild(tr);
+  });
+}
+
+function buildDiffUrl(fromId, toId) {
+  return `${API_ROOT}/api/snapshots/${encodeURIComponent(fromId)}/diff?to=${encodeURIComponent(toId || 'live')}`;
+}
+
+async function runDiff() {
+  if (!diffFromSelect.value) return;
+  diffResultEl.textContent = t('status.loading');
+  try {
+    diffState = await fetchJson(buildDiffUrl(diffFromSelect.value, diffToSelect.value));
+    const tokenIds = diffState.tokens.map(tk => tk.tokenId)
+      .concat(diffState.boxesAdded.concat(diffState.boxesSpent).flatMap(b => b.assets.map(a => a.tokenId)));
+    if (tokenIds.length) await fetchTokenMetaBulk(Array.from(new Set(tokenIds)));
+  } catch (err) {
+    diffState = null;
+    diffResultEl.textContent = '';
+    showStatus(t('snapshots.diffFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+    return;
+  }
+  renderDiff();
+}
+
+const signed = (text, delta) => (String(delta).startsWith('-') ? text : `+${text}`);
+
+function diffBoxTable(titleKey, boxes, cls) {
+  const wrap = el('div', 'mt-2');
+  wrap.appendChild(el('div', 'font-semibold', t(titleKey, { n: formatNumber(boxes.length) })));
+  if (!boxes.length) return wrap;
+  const table = el('table', `dust-table ${cls}`);
+  boxes.forEach(b => {
+    const tr = document.createElement('tr');
+    const id = el('td', 'font-mono', simpleId(b.boxId, 16));
+    id.title = b.boxId;
+    tr.appendChild(id);
+    tr.appendChild(el('td', '', formatErg(b.value)));
+    tr.appendChild(el('td', '', b.assets.map(a => `${formatTokenAmount(a.amount, tokenDecimals(a.tokenId))} ${tokenLabel(a.tokenId)}`).join(', ') || '-'));
+    table.appendChild(tr);
+  });
+  wrap.appendChild(table);
+  return wrap;
+}
+
+function renderDiff() {
+  const d = diffState;
+  diffResultEl.innerHTML = '';
+  if (!d) return;
+  const toName = d.to.live ? t('snapshots.live') : snapshotLabel(d.to);
+  diffResultEl.appendChild(el('div', 'font-semibold', t('diff.title', { from: snapshotLabel(d.from), to: toName })));
+  const ergLine = el('div', d.erg.delta === '0' ? '' : d.erg.delta.startsWith('-') ? 'pending-out' : 'pending-in');
+  ergLine.textContent = t('diff.erg', { before: formatErg(d.erg.before), after: formatErg(d.erg.after), delta: signed(formatErg(d.erg.delta), d.erg.delta) });
+  diffResultEl.appendChild(ergLine);
+
+  if (d.tokens.length) {
+    const table = el('table', 'dust-table diff-tokens mt-1');
+    const head = document.createElement('tr');
+    ['diff.token', 'diff.before', 'diff.after', 'diff.delta'].forEach(key => head.appendChild(el('th', '', t(key))));
+    table.appendChild(head);
+    d.tokens.forEach(tk => {
+      const dec = tokenDecimals(tk.tokenId);
+      const tr = document.createElement('tr');
+      const name = el('td', '', tokenLabel(tk.tokenId));
+      name.title = tk.tokenId;
+      tr.appendChild(name);
+      tr.appendChild(el('td', '', formatTokenAmount(tk.before, dec)));
+      tr.appendChild(el('td', '', formatTokenAmount(tk.after, dec)));
+      tr.appendChild(el('td', tk.delta.startsWith('-') ? 'pending-out' : 'pending-in', signed(formatTokenAmount(tk.delta, dec), tk.delta)));
+      table.appendChild(tr);
+    });
+    diffResultEl.appendChild(table);
+  } else {
+    diffResultEl.appendChild(el('div', 'text-slate-500', t('diff.noTokenChanges')));
+  }
+  diffResultEl.appendChild(diffBoxTable('diff.added', d.boxesAdded, 'diff-added'));
+  diffResultEl.appendChild(diffBoxTable('diff.spent', d.boxesSpent, 'diff-spent'));
+  diffResultEl.appendChild(el('div', 'mt-1 text-slate-500', t('diff.unchanged', { n: formatNumber(d.unchangedBoxCount) })));
+}
+
+function switchView(view) {
+  activeView = view;
+  viewTabs.forEach(btn => btn.classList.toggle('active', btn.dataset.view === view));
+  document.querySelectorAll('.view-panel').forEach(el => el.classList.toggle('hidden', el.id !== `view-${view}`));
+  if (view === 'history' && currentAddress && historyItems.length === 0) loadHistory(true);
+  if (view === 'portfolio' && !portfolioData) refreshPortfolio();
+  if (view === 'alerts' && !alertRules) refreshAlerts();
+  if (view === 'dust' && currentAddress && !dustState) loadDust();
+  if (view === 'snapshots' && currentAddress && !snapshotList) refreshSnapshots();
+}
+
+// apply filters & sort for table rows held locally (the backend already does this per page;
+// kept so locally-inserted rows follow the same order)
 function applyFiltersAndSort(items) {
   const tokenQ = filterToken.value.trim();
-  const minQ = Number(filterMin.value) || 0;
-  let filtered = items.filter(it => (Number(it.value || 0) >= minQ));
+  const minQ = /^\d+$/.test(minValueParam()) ? BigInt(minValueParam()) : 0n;
+  let filtered = items.filter(it => BigInt(it.value || 0) >= minQ);
   if (tokenQ) filtered = filtered.filter(it => (it.assets || []).some(a => String(a.tokenId).includes(tokenQ)));
   const s = sortBy.value;
   if (s === 'value_desc') filtered.sort((a,b)=> (Number(b.value||0) - Number(a.value||0)));
   if (s === 'value_asc') filtered.sort((a,b)=> (Number(a.value||0) - Number(b.value||0)));
   if (s === 'height_desc') filtered.sort((a,b)=> (Number(b.creationHeight||0) - Number(a.creationHeight||0)));
-  if (s === 'height_asc') filtered.sort((a,b)=> (Number(a.creationHeight||0) - Number(a.creationHeight||0)));
+  if (s === 'height_asc') filtered.sort((a,b)=> (Number(a.creationHeight||0) - Number(b.creationHeight||0)));
   return filtered;
 }
 
-// main refresh
-async function doRefresh(full=false) {
+function updatePager() {
+  const pages = pageTotal !== null ? Math.max(1, Math.ceil(pageTotal / pageLimit)) : null;
+  const page = Math.floor(pageOffset / pageLimit) + 1;
+  pageInfo.textContent = t('pager.page', { page: formatNumber(page), pages: pages !== null ? formatNumber(pages) : '?' });
+  totalCount.textContent = pageTotal !== null ? formatNumber(pageTotal) : '-';
+  prevPageBtn.disabled = pageOffset <= 0;
+  nextPageBtn.disabled = pages !== null ? page >= pages : currentItems.length < pageLimit;
+}
+
+// fetch + render the current table page only
+async function loadPage() {
   if (!currentAddress) return;
-  showStatus('در حال بارگذاری...');
+  const j = await fetchUTXOs(currentAddress, pageLimit, pageOffset, currentBoxQuery());
+  currentItems = applyFiltersAndSort(j.items || []);
+  // token labels/decimals for the table cells (cached after first lookup)
+  const pageTokenIds = Array.from(new Set(currentItems.flatMap(it => (it.assets || []).map(a => String(a.tokenId)))));
+  if (pageTokenIds.length) await fetchTokenMetaBulk(pageTokenIds);
+  pageTotal = typeof j.total === 'number' ? j.total : null;
+  // a refresh can shrink the set under us: step back to the last page that exists
+  if (pageTotal !== null && pageOffset > 0 && pageOffset >= pageTotal) {
+    pageOffset = Math.max(0, (Math.ceil(pageTotal / pageLimit) - 1) * pageLimit);
+    return loadPage();
+  }
+  renderTable(currentItems);
+  updatePager();
+  currentItems.forEach(it => lastSeenBoxIds.add(it.boxId));
+  return j;
+}
+
+async function loadPageWithStatus() {
+  showStatus(t('status.loading'));
   try {
-    const items = await fetchUTXOs(currentAddress, 500, 0);
-    currentItems = items || [];
+    await loadPage();
+    showStatus(t('status.page', { page: formatNumber(Math.floor(pageOffset / pageLimit) + 1), total: pageTotal !== null ? formatNumber(pageTotal) : '?' }));
+  } catch (err) {
+    console.error(err);
+    showStatus(t('status.loadFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+}
 
-    const summ = await fetchSummary(currentAddress);
+// main refresh: summary + token panel + current page
+async function doRefresh(full=false) {
+  if (!currentAddress) return;
+  showStatus(t('status.loading'));
+  try {
+    const [summ] = await Promise.all([fetchSummary(currentAddress), loadPage()]);
+    await refreshMempool();
     if (summ) {
       summaryAddress.textContent = currentAddress;
-      summaryErg.textContent = summ.totalNanoErg ? (Number(summ.totalNanoErg)/1e9).toLocaleString('en-US') : '-';
-      summaryTokenCount.textContent = summ.tokenCount ?? '-';
-      summaryUtxoCount.textContent = summ.utxoCount ?? currentItems.length;
+      updateSummaryTotals({ totalNanoErg: summ.totalNanoErg, tokenCount: summ.tokenCount, utxoCount: summ.utxoCount });
+      // summary already carries name/decimals: seed the meta cache so the panel skips per-token lookups
+      (summ.tokens || []).forEach(t => {
+        if (t.decimals === undefined || tokenMetaCache.has(String(t.tokenId))) return;
+        tokenMetaCache.set(String(t.tokenId), { tokenId: String(t.tokenId), name: t.name ?? null, symbol: null, decimals: t.decimals ?? null });
+      });
       // render token panel (user-friendly)
       await renderTokensPanel(summ.tokens || []);
+      updateChartTokenOptions(summ.tokens || []);
     }
 
-    const processed = applyFiltersAndSort(currentItems.slice());
-    const pageItems = processed.slice(pageOffset, pageOffset + pageLimit);
-    renderTable(pageItems);
+    if (summ && summ.complete === false) {
+      showStatus(t('status.partialSummary', { fetched: formatNumber(summ.pagesFetched), pages: summ.pagesTotal != null ? formatNumber(summ.pagesTotal) : '?', ms: summ.elapsedMs }), true);
+    } else {
+      showStatus(t('status.updated', { total: pageTotal !== null ? formatNumber(pageTotal) : '?', shown: formatNumber(currentItems.length) }));
+    }
+  } catch (err) {
+    console.error(err);
+    showStatus(t('status.loadFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+}
 
-    currentItems.forEach(it => lastSeenBoxIds.add(it.boxId));
-    showStatus(`به‌روزرسانی انجام شد — ${processed.length} مورد (نمایش ${pageItems.length})`);
+// ---------- balance history chart ----------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// token choices follow the current summary; keeps the selection if the token is still held
+function updateChartTokenOptions(tokens) {
+  const selected = chartToken.value;
+  chartToken.innerHTML = '';
+  chartToken.appendChild(Object.assign(el('option', '', t('chart.ergOnly')), { value: '' }));
+  chartToken.options[0].setAttribute('data-i18n', 'chart.ergOnly');
+  (tokens || []).forEach(t => {
+    const opt = document.createElement('option');
+    opt.value = String(t.tokenId);
+    opt.textContent = tokenLabel(t.tokenId, 10);
+    chartToken.appendChild(opt);
+  });
+  chartToken.value = Array.from(chartToken.options).some(o => o.value === selected) ? selected : '';
+}
+
+async function loadBalanceChart() {
+  if (!currentAddress) return;
+  const params = new URLSearchParams({ axis: 'time', points: '300' });
+  if (chartRange.value !== 'all') params.set('from', String(Date.now() - Number(chartRange.value) * DAY_MS));
+  const tokenId = chartToken.value;
+  if (tokenId) params.set('tokens', tokenId);
+  chartNote.textContent = t('common.loading');
+  try {
+    const j = await fetchJson(`${API_ROOT}/api/wallet/${encodeURIComponent(currentAddress)}/balance-history?${params}`);
+    renderBalanceChart(j, tokenId);
+    const notes = [t('chart.txs', { n: formatNumber(j.txCount) })];
+    if (j.downsampled) notes.push(t('chart.downsampled', { n: formatNumber(j.points.length) }));
+    if (j.complete === false) notes.push(t('chart.partial'));
+    chartNote.textContent = notes.join(' — ');
   } catch (err) {
     console.error(err);
-    showStatus(`خطا در دریافت داده‌ها: ${err && err.message ? err.message : 'unknown'}`, true);
+    chartNote.textContent = t('chart.failed', { message: err && err.message ? err.message : t('common.unknown') });
   }
 }
 
-// auto refresh
-function startAutoRefresh() { stopAutoRefresh(); const s = Number(refreshIntervalInput.value) || 15; autoRefreshTimer = setInterval(()=> doRefresh(), Math.max(5000, s*1000)); }
-function stopAutoRefresh() { if (autoRefreshTimer) { clearInterval(autoRefreshTimer); autoRefreshTimer = null; } }
+function renderBalanceChart(j, tokenId) {
+  if (typeof Chart === 'undefined') { chartNote.textContent = t('chart.noChartJs'); return; }
+  const points = (j.points || []).slice();
+  // extend the last balance to "now" so the step line reaches the right edge
+  if (points.length) points.push(Object.assign({}, points[points.length - 1], { x: Math.max(Date.now(), points[points.length - 1].x) }));
+  const decimals = tokenId ? (tokenDecimals(tokenId) || 0) : 0;
+  const datasets = [{
+    label: 'ERG',
+    data: points.map(p => ({ x: p.x, y: Number(p.nanoErg) / 1e9 })),
+    borderColor: '#4f46e5',
+    backgroundColor: 'rgba(79,70,229,0.1)',
+    stepped: true,
+    pointRadius: 0,
+    fill: true,
+    yAxisID: 'y'
+  }];
+  if (tokenId) {
+    datasets.push({
+      label: tokenLabel(tokenId, 10),
+      data: points.map(p => ({ x: p.x, y: Number(p.tokens[tokenId] || 0) / Math.pow(10, decimals) })),
+      borderColor: colorFromString(tokenId),
+      stepped: true,
+      pointRadius: 0,
+      yAxisID: 'y1'
+    });
+  }
+  const scales = {
+    x: { type: 'linear', ticks: { maxTicksLimit: 5, callback: v => formatDate(v) } },
+    y: { position: 'left', beginAtZero: true, ticks: { callback: v => formatNumber(v) } },
+    y1: { position: 'right', beginAtZero: true, display: Boolean(tokenId), grid: { drawOnChartArea: false }, ticks: { callback: v => formatNumber(v) } }
+  };
+  if (balanceChart) balanceChart.destroy();
+  balanceChart = new Chart(chartCanvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      scales,
+      locale: currentLocale(),
+      plugins: {
+        legend: { display: Boolean(tokenId) },
+        tooltip: { callbacks: { title: items => items.length ? formatDateTime(items[0].parsed.x) : '' } }
+      }
+    }
+  });
+}
+
+chartRange.addEventListener('change', loadBalanceChart);
+chartToken.addEventListener('change', loadBalanceChart);
+
+// ---------- live updates (SSE) ----------
+// the backend polls the explorer once per address and pushes box/balance diffs;
+// the table and summary are patched in place instead of refetching everything
+let liveState = 'offline';
+function setLiveState(state) {
+  liveState = state;
+  liveIndicator.className = `live-dot live-${state}`;
+  liveIndicator.title = t(`live.${state}`);
+}
+
+// summary sidebar numbers; kept so a language switch can redraw them
+let summaryTotals = null;
+function updateSummaryTotals(totals) {
+  summaryTotals = {
+    totalNanoErg: totals.totalNanoErg,
+    tokenCount: totals.tokenCount ?? (totals.tokens ? totals.tokens.length : null),
+    utxoCount: totals.utxoCount ?? null
+  };
+  renderSummaryTotals();
+}
+function renderSummaryTotals() {
+  if (!summaryTotals) return;
+  summaryErg.textContent = summaryTotals.totalNanoErg ? ergNumber(summaryTotals.totalNanoErg) : '-';
+  summaryTokenCount.textContent = summaryTotals.tokenCount !== null ? formatNumber(summaryTotals.tokenCount) : '-';
+  summaryUtxoCount.textContent = summaryTotals.utxoCount !== null ? formatNumber(summaryTotals.utxoCount) : '-';
+}
+
+// reload the visible page at most once per burst of events
+let liveReloadTimer = null;
+function scheduleLivePageReload() {
+  if (liveReloadTimer) clearTimeout(liveReloadTimer);
+  liveReloadTimer = setTimeout(()=> { liveReloadTimer = null; loadPage().catch(err => console.warn('live page reload failed', err)); }, 500);
+}
+
+async function onLiveBoxAdded(box) {
+  // spent/all views need spentTransactionId etc. from the backend; just reload them
+  if ((boxStatus.value || 'unspent') !== 'unspent') return scheduleLivePageReload();
+  if (applyFiltersAndSort([box]).length === 0) return;
+  if (pageTotal !== null) pageTotal++;
+  if (pageOffset === 0) {
+    const ids = (box.assets || []).map(a => String(a.tokenId));
+    if (ids.length) await fetchTokenMetaBulk(ids);
+    currentItems = applyFiltersAndSort(currentItems.concat([box])).slice(0, pageLimit);
+    renderTable(currentItems);
+    currentItems.forEach(it => lastSeenBoxIds.add(it.boxId));
+  }
+  updatePager();
+}
+
+function onLiveBoxSpent(boxId, box) {
+  if ((boxStatus.value || 'unspent') !== 'unspent') return scheduleLivePageReload();
+  if (box && applyFiltersAndSort([box]).length === 0) return;
+  if (pageTotal !== null) pageTotal = Math.max(0, pageTotal - 1);
+  const before = currentItems.length;
+  currentItems = currentItems.filter(it => it.boxId !== boxId);
+  if (currentItems.length !== before) {
+    // a row left this page; pull the page again so it stays full
+    renderTable(currentItems);
+    scheduleLivePageReload();
+  }
+  updatePager();
+}
+
+function startLive() {
+  stopLive();
+  if (!currentAddress || typeof EventSource === 'undefined') return;
+  const src = new EventSource(`${API_ROOT}/api/wallet/${encodeURIComponent(currentAddress)}/stream`);
+  liveSource = src;
+  setLiveState('connecting');
+  const parse = (ev) => { try { return JSON.parse(ev.data); } catch { return null; } };
+  src.addEventListener('open', ()=> setLiveState('live'));
+  src.addEventListener('snapshot', (ev)=> { const d = parse(ev); if (d) updateSummaryTotals(d); });
+  src.addEventListener('box-added', (ev)=> { const d = parse(ev); if (d && d.box) onLiveBoxAdded(d.box); });
+  src.addEventListener('box-spent', (ev)=> { const d = parse(ev); if (d) onLiveBoxSpent(d.boxId, d.box); });
+  src.addEventListener('balance-changed', async (ev)=> {
+    const d = parse(ev);
+    if (!d) return;
+    updateSummaryTotals(d);
+    await renderTokensPanel(d.tokens || []);
+    showStatus(t('status.balanceChanged', { erg: ergNumber(d.totalNanoErg) }));
+  });
+  src.addEventListener('mempool-changed', ()=> refreshMempool());
+  src.addEventListener('upstream-error', (ev)=> {
+    const d = parse(ev);
+    setLiveState('error');
+    showStatus(t('status.liveError', { message: d && d.message ? d.message : t('common.unknown') }), true);
+  });
+  // EventSource reconnects by itself; just reflect the state
+  src.onerror = ()=> setLiveState(src.readyState === EventSource.CLOSED ? 'offline' : 'connecting');
+}
+
+function stopLive() {
+  if (liveSource) { liveSource.close(); liveSource = null; }
+  setLiveState('offline');
+}
 
 // pagination buttons
-prevPageBtn.addEventListener('click', ()=> { pageOffset = Math.max(0, pageOffset - pageLimit); doRefresh(); });
-nextPageBtn.addEventListener('click', ()=> { pageOffset += pageLimit; doRefresh(); });
-
-// export CSV
-exportCsvBtn.addEventListener('click', ()=> {
-  if (!currentItems || currentItems.length === 0) return alert('هیچ داده‌ای برای صادرات نیست');
-  const rows = currentItems.map(it => ({
-    boxId: it.boxId,
-    value: it.value,
-    erg: (Number(it.value || 0)/1e9).toString(),
-    tokens: (it.assets || []).map(a => `${a.tokenId}(${a.amount})`).join(';'),
-    creationHeight: it.creationHeight || ''
-  }));
-  const header = Object.keys(rows[0]).join(',');
-  const csvBody = rows.map(r => Object.values(r).map(v => `"${String(v).replace(/"/g,'""')}"`).join(',')).join('\n');
-  const csv = header + '\n' + csvBody;
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = `${currentAddress || 'wallet'}_utxos.csv`; a.click();
-  URL.revokeObjectURL(url);
+prevPageBtn.addEventListener('click', ()=> { pageOffset = Math.max(0, pageOffset - pageLimit); loadPageWithStatus(); });
+nextPageBtn.addEventListener('click', ()=> { pageOffset += pageLimit; loadPageWithStatus(); });
+pageSizeSelect.addEventListener('change', ()=> {
+  pageLimit = Number(pageSizeSelect.value) || 20;
+  pageOffset = 0;
+  loadPageWithStatus();
+});
+
+// export: the backend streams the whole address (every page, not just the table) with the
+// current filters; a plain link lets the browser write it to disk as it arrives
+function buildExportUrl() {
+  const params = new URLSearchParams({ kind: exportKind.value || 'boxes', format: exportFormat.value || 'csv' });
+  params.set('status', boxStatus.value || 'unspent');
+  if (filterToken.value.trim()) params.set('token', filterToken.value.trim());
+  if (minValueParam()) params.set('minValue', minValueParam());
+  if (sortBy.value) params.set('sort', sortBy.value);
+  if (exportFrom.value) params.set('from', exportFrom.value);
+  if (exportTo.value) params.set('to', exportTo.value);
+  return `${API_ROOT}/api/wallet/${encodeURIComponent(currentAddress)}/export?${params}`;
+}
+
+exportBtn.addEventListener('click', ()=> {
+  if (!currentAddress) return alert(t('status.nothingToExport'));
+  const a = document.createElement('a');
+  a.href = buildExportUrl();
+  a.download = '';
+  a.click();
 });
 
 // copy JSON
 copyJsonBtn.addEventListener('click', ()=> {
-  if (!currentItems || currentItems.length === 0) return alert('هیچ داده‌ای برای کپی نیست');
-  navigator.clipboard.writeText(JSON.stringify(currentItems, null, 2)).then(()=> alert('Copied JSON to clipboard')).catch(()=> alert('کپی ناموفق بود'));
+  if (!currentItems || currentItems.length === 0) return alert(t('status.nothingToCopy'));
+  navigator.clipboard.writeText(JSON.stringify(currentItems, null, 2)).then(()=> alert(t('status.jsonCopied'))).catch(()=> alert(t('common.copyFailed')));
+});
+
+// history controls
+viewTabs.forEach(btn => btn.addEventListener('click', ()=> switchView(btn.dataset.view)));
+historyMoreBtn.addEventListener('click', ()=> loadHistory());
+
+// watchlist controls
+watchForm.addEventListener('submit', async (e)=> {
+  e.preventDefault();
+  const addr = (watchAddressInput.value || '').replace(/\s/g, '');
+  if (!addr) { showStatus(t('status.enterAddress'), true); return; }
+  const check = await validateAddress(addr);
+  if (!check.ok) { showStatus(check.message, true); return; }
+  addToWatchlist(addr, watchLabelInput.value.trim());
+  watchAddressInput.value = ''; watchLabelInput.value = '';
+  refreshPortfolio();
+});
+watchAddCurrentBtn.addEventListener('click', ()=> {
+  if (!currentAddress) { showStatus(t('status.fetchFirst'), true); return; }
+  addToWatchlist(currentAddress);
+  refreshPortfolio();
+});
+portfolioRefreshBtn.addEventListener('click', ()=> refreshPortfolio());
+watchExportBtn.addEventListener('click', ()=> {
+  const blob = new Blob([JSON.stringify({ version: 1, watchlist }, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = 'ergo-watchlist.json'; a.click();
+  URL.revokeObjectURL(url);
+});
+watchImportInput.addEventListener('change', async ()=> {
+  const file = watchImportInput.files && watchImportInput.files[0];
+  if (!file) return;
+  try {
+    const parsed = JSON.parse(await file.text());
+    const imported = normalizeWatchlist(Array.isArray(parsed) ? parsed : parsed.watchlist);
+    imported.forEach(e => addToWatchlist(e.address, e.label));
+    showStatus(t('status.imported', { n: formatNumber(imported.length) }));
+    refreshPortfolio();
+  } catch (err) {
+    showStatus(t('status.invalidJsonFile', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  } finally {
+    watchImportInput.value = '';
+  }
+});
+
+// alert controls
+alertTypeSelect.addEventListener('change', updateAlertFormFields);
+alertsRefreshBtn.addEventListener('click', ()=> refreshAlerts());
+alertForm.addEventListener('submit', async (e)=> {
+  e.preventDefault();
+  const addr = (alertAddressInput.value || '').replace(/\s/g, '') || currentAddress;
+  if (!addr) { showStatus(t('status.enterAddress'), true); return; }
+  const body = { address: addr, type: alertTypeSelect.value, label: alertLabelInput.value.trim() };
+  if (body.type === 'erg_below' || body.type === 'erg_above') body.thresholdErg = alertThresholdInput.value.trim();
+  if (body.type === 'token_changed') body.tokenId = alertTokenInput.value.trim();
+  if (alertWebhookInput.value.trim()) body.webhookUrl = alertWebhookInput.value.trim();
+  try {
+    await jsonRequest(`${API_ROOT}/api/alerts`, 'POST', body);
+    alertThresholdInput.value = ''; alertTokenInput.value = ''; alertLabelInput.value = '';
+    showStatus(t('status.alertSaved'));
+    await refreshAlerts();
+  } catch (err) {
+    showStatus(t('status.alertSaveFailed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+});
+updateAlertFormFields();
+
+// send preview
+selectForm.addEventListener('submit', async (e)=> {
+  e.preventDefault();
+  if (!currentAddress) { showStatus(t('status.fetchFirst'), true); return; }
+  const erg = selectErgInput.value.trim();
+  try {
+    const tokens = await selectTokensParam();
+    if (!erg && !tokens) { showStatus(t('select.nothing'), true); return; }
+    selectionState = await fetchJson(buildSelectUrl(currentAddress, erg, tokens));
+    renderSelection();
+  } catch (err) {
+    showStatus(t('select.failed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+});
+selectStrategy.addEventListener('change', ()=> { if (selectionState) renderSelection(); });
+selectClearBtn.addEventListener('click', clearSelection);
+
+// snapshots
+snapshotForm.addEventListener('submit', async (e)=> {
+  e.preventDefault();
+  if (!currentAddress) { showStatus(t('status.fetchFirst'), true); return; }
+  const name = snapshotNameInput.value.trim();
+  if (!name) { showStatus(t('snapshots.nameRequired'), true); return; }
+  try {
+    await jsonRequest(`${API_ROOT}/api/snapshots`, 'POST', { address: currentAddress, name });
+    snapshotNameInput.value = '';
+    showStatus(t('snapshots.saved', { name }));
+    await refreshSnapshots();
+  } catch (err) {
+    showStatus(t('snapshots.failed', { message: err && err.message ? err.message : t('common.unknown') }), true);
+  }
+});
+diffRunBtn.addEventListener('click', runDiff);
+
+// dust analysis
+dustForm.addEventListener('submit', (e)=> {
+  e.preventDefault();
+  if (!currentAddress) { showStatus(t('status.fetchFirst'), true); return; }
+  loadDust();
+});
+dustExportBtn.addEventListener('click', ()=> {
+  if (!currentAddress) return alert(t('status.nothingToExport'));
+  const a = document.createElement('a');
+  a.href = buildDustUrl(currentAddress, { format: exportFormat.value || 'csv' });
+  a.download = '';
+  a.click();
 });
 
 // modal controls
 closeModalBtn.addEventListener('click', closeModal);
+modalRawToggle.addEventListener('click', toggleModalRaw);
 modal.addEventListener('click', (e)=> { if (e.target === modal) closeModal(); });
 
 // wire small inputs
 tokensSearch.addEventListener('input', ()=> { /* handled in renderTokensPanel via debounce */ });
 tokensSort.addEventListener('change', ()=> { /* handled in renderTokensPanel */ });
 
-autoRefresh.addEventListener('change', ()=> { if (autoRefresh.checked) startAutoRefresh(); else stopAutoRefresh(); });
-filterToken.addEventListener('input', ()=> doRefresh());
-filterMin.addEventListener('input', ()=> doRefresh());
-sortBy.addEventListener('change', ()=> doRefresh());
+autoRefresh.addEventListener('change', ()=> { if (autoRefresh.checked) startLive(); else stopLive(); });
+// filters go to the backend: restart at page 1 (typing is debounced)
+let filterTimer = null;
+function onFilterChange() {
+  if (filterTimer) clearTimeout(filterTimer);
+  filterTimer = setTimeout(()=> { pageOffset = 0; loadPageWithStatus(); }, 300);
+}
+filterToken.addEventListener('input', onFilterChange);
+filterMin.addEventListener('input', onFilterChange);
+sortBy.addEventListener('change', ()=> { pageOffset = 0; loadPageWithStatus(); });
+boxStatus.addEventListener('change', ()=> { pageOffset = 0; loadPageWithStatus(); });
 
 form.addEventListener('submit', async (e)=> {
   e.preventDefault();
-  const addr = (addressInput.value || '').trim();
-  if (!addr) { showStatus('لطفاً آدرس را وارد کنید', true); return; }
+  const addr = (addressInput.value || '').replace(/\s/g, '');
+  if (!addr) { showStatus(t('status.enterAddress'), true); return; }
+  // a pasted tx id opens the tx view without changing the tracked address
+  if (TX_ID_RE.test(addr)) { openTxModal(addr.toLowerCase()); return; }
+  const check = await validateAddress(addr);
+  if (!check.ok) { showStatus(check.message, true); return; }
   currentAddress = addr;
   pageOffset = 0;
+  pageTotal = null;
+  mempoolState = null; pendingOutputIds = new Set(); promotedBoxIds = new Set();
   lastSeenBoxIds = new Set();
+  selectionState = null; selectedBoxIds = new Set(); selectResultEl.innerHTML = ''; selectResultEl.classList.add('hidden');
+  historyItems = []; historyTotalCount = null;
+  dustState = null; dustResultEl.innerHTML = '';
+  snapshotList = null; diffState = null; renderSnapshots(); renderDiff();
   await doRefresh(true);
+  loadBalanceChart();
+  if (autoRefresh.checked) startLive(); else stopLive();
+  if (activeView === 'history') await loadHistory(true);
+  if (activeView === 'dust') await loadDust();
+  if (activeView === 'snapshots') await refreshSnapshots();
+});
+
+// the backend decides the network (ERGO_NETWORK); reflect it in the header
+async function loadNetworkLabel() {
+  try {
+    const h = await fetchJson(`${API_ROOT}/api/health`);
+    if (!h.network) return;
+    backendNetwork = h.network;
+    const name = h.network.charAt(0).toUpperCase() + h.network.slice(1);
+    document.getElementById('network-label').textContent = `(${name})`;
+    document.title = `Mini Ergo Wallet Tracker (${name})`;
+    const down = (h.upstreams || []).filter(u => !u.reachable).map(u => u.name);
+    if (down.length) console.warn('unreachable upstreams:', down.join(', '));
+  } catch (err) {
+    console.warn('health check failed', err);
+  }
+}
+
+// ---------- language ----------
+// i18n.js re-applies the data-i18n markup; everything app.js drew itself is redrawn from state
+const langSelect = document.getElementById('lang-select');
+langSelect.addEventListener('change', ()=> setLang(langSelect.value));
+window.addEventListener('localechange', ()=> {
+  langSelect.value = getLang();
+  setLiveState(liveState);
+  updatePager();
+  renderSummaryTotals();
+  renderPendingSummary();
+  if (currentAddress) {
+    if (selectionState) renderSelection(); else renderTable(currentItems);
+    renderHistory();
+    if (tokensLast) renderTokensPanel(tokensLast);
+    renderDust();
+    renderSnapshots();
+    renderDiff();
+    loadBalanceChart();
+  } else {
+    showStatus(t('status.ready'));
+  }
+  if (portfolioData || watchlist.length === 0) renderPortfolio();
+  if (alertRules) renderAlerts();
 });
 
 // initial
-showStatus('آماده — آدرس تست‌نت را وارد کنید و Fetch را بزنید.');
+applyTranslations();
+langSelect.value = getLang();
+loadNetworkLabel();
+showStatus(t('status.ready'));
+updatePager();
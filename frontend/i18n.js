@@ -0,0 +1,802 @@
+// frontend/i18n.js
+// Message catalog + locale helpers. Loaded before app.js as a plain script.
+//   t('key', { name: value })     catalog lookup with {name} placeholders (falls back to English, then the key)
+//   setLang('en' | 'fa')          switch, persist in localStorage, update <html lang/dir>, re-apply data-i18n
+//   formatNumber / formatDecimal / formatDateTime / formatDate   Intl formatting for the current language
+// Static markup is translated through data attributes:
+//   data-i18n (textContent), data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+// app.js listens for the `localechange` event on window to re-render what it drew itself.
+
+const LANG_KEY = 'ergoTracker.lang';
+const DEFAULT_LANG = 'fa';
+
+const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr', locale: 'en-US' },
+  fa: { name: 'فارسی', dir: 'rtl', locale: 'fa-IR' }
+};
+
+const MESSAGES = {
+  en: {
+    'app.tagline': 'Educational — no private keys',
+    'app.language': 'Language',
+    'app.footer': 'Mini Ergo Wallet Tracker — educational demo',
+    'app.sourceNote': 'Note: data comes from the Ergo explorer (or node) configured on the backend.',
+
+    'form.addressPlaceholder': 'Testnet wallet address (starts with 9 or 3) or a transaction id',
+    'form.fetch': 'Fetch UTXOs',
+
+    'controls.filterToken': 'Token filter:',
+    'controls.filterTokenPlaceholder': 'tokenId or part of it',
+    'controls.minValue': 'Minimum (nanoERG):',
+    'controls.minValuePlaceholder': 'e.g. 1000000',
+    'controls.sort': 'Sort:',
+    'controls.status': 'Status:',
+    'controls.live': 'Live updates:',
+    'controls.export': 'Export',
+    'controls.exportTitle': 'Downloads the whole address history with the current filters',
+    'controls.exportKind': 'Export kind',
+    'controls.exportFrom': 'From date',
+    'controls.exportTo': 'To date',
+    'exportKind.boxes': 'Boxes',
+    'exportKind.transactions': 'Transactions',
+    'exportKind.ledger': 'Ledger',
+    'exportKind.dust': 'Dust analysis',
+    'controls.copyJson': 'Copy JSON',
+    'sort.value_desc': 'Value ↓',
+    'sort.value_asc': 'Value ↑',
+    'sort.height_desc': 'Height ↓',
+    'sort.height_asc': 'Height ↑',
+    'boxStatus.unspent': 'Unspent',
+    'boxStatus.spent': 'Spent',
+    'boxStatus.all': 'All (history)',
+
+    'tabs.utxos': 'UTXOs',
+    'tabs.history': 'Transaction history',
+    'tabs.portfolio': 'Portfolio',
+    'tabs.alerts': 'Alerts',
+    'tabs.dust': 'Dust',
+    'tabs.snapshots': 'Snapshots',
+
+    'utxo.boxId': 'Box ID',
+    'utxo.value': 'Value (ERG)',
+    'utxo.tokens': 'Tokens',
+    'utxo.height': 'Creation height',
+    'utxo.spentTx': 'Spent tx',
+    'utxo.unconfirmed': 'unconfirmed',
+    'utxo.pendingTx': 'pending tx {id}',
+    'utxo.spending': 'spending… {id}',
+    'utxo.unconfirmedTx': 'unconfirmed tx {id}',
+
+    'pager.showing': 'Showing',
+    'pager.of': 'of',
+    'pager.utxos': 'UTXOs',
+    'pager.prev': 'Previous',
+    'pager.next': 'Next',
+    'pager.page': 'Page {page} of {pages}',
+
+    'history.transactions': 'transactions',
+    'history.more': 'More',
+    'history.empty': 'No transactions found.',
+    'history.in': 'In',
+    'history.out': 'Out',
+    'history.self': 'Internal',
+    'history.whenTitle': 'height {height} — {confirmations} confirmations',
+
+    'watch.labelPlaceholder': 'Label (e.g. treasury)',
+    'watch.addressPlaceholder': 'Testnet address',
+    'watch.addCurrent': 'Add current address',
+    'watch.export': 'Export JSON',
+    'watch.import': 'Import JSON',
+    'portfolio.label': 'Label',
+    'portfolio.address': 'Address',
+    'portfolio.erg': 'ERG',
+    'portfolio.tokens': 'Tokens',
+    'portfolio.lastChange': 'Last change',
+    'portfolio.empty': 'The watchlist is empty.',
+    'portfolio.partial': '(partial)',
+    'portfolio.combined': 'Total: {erg} ERG — {tokens} tokens — {utxos} UTXOs{partial}',
+
+    'alerts.addressPlaceholder': 'Testnet address (empty = current address)',
+    'alerts.webhookPlaceholder': 'Webhook URL (optional)',
+    'alerts.labelPlaceholder': 'Label',
+    'alerts.rule': 'Rule',
+    'alerts.address': 'Address',
+    'alerts.lastCheck': 'Last check',
+    'alerts.lastDelivery': 'Last delivery',
+    'alerts.none': 'No alert rules yet.',
+    'alerts.webhook': 'webhook: {url}',
+    'alerts.defaultWebhook': 'default webhook',
+    'alerts.deliveryOk': 'OK',
+    'alerts.deliveryFailed': 'failed',
+    'alerts.enable': 'Enable',
+    'alerts.disable': 'Disable',
+    'alerts.test': 'Test',
+    'alertType.erg_below': 'ERG below',
+    'alertType.erg_above': 'ERG above',
+    'alertType.token_received': 'Any token received',
+    'alertType.token_changed': 'One token changed',
+    'alertType.new_box': 'New box',
+    'alertRule.token_received': 'any token received',
+    'alertRule.token_changed': '{token} changed',
+    'alertRule.new_box': 'new box',
+
+    'summary.title': 'Wallet summary',
+    'summary.address': 'Address:',
+    'summary.totalErg': 'Total ERG:',
+    'summary.tokens': 'Tokens:',
+    'summary.utxos': 'UTXOs:',
+    'summary.pending': 'Pending:',
+    'summary.afterConfirm': 'Balance once confirmed:',
+    'summary.pendingTitle': 'nanoERG: {nano} — {count} unconfirmed tx',
+
+    'chart.title': 'Balance history',
+    'chart.range.7': '7d',
+    'chart.range.30': '30d',
+    'chart.range.90': '90d',
+    'chart.range.365': '1y',
+    'chart.range.all': 'All',
+    'chart.ergOnly': 'ERG only',
+    'chart.txs': '{n} transactions',
+    'chart.downsampled': '{n} points (downsampled)',
+    'chart.partial': 'partial',
+    'chart.failed': 'Failed to load balance history: {message}',
+    'chart.noChartJs': 'Chart.js did not load',
+
+    'tokens.searchPlaceholder': 'Search tokens...',
+    'tokens.sort.amount_desc': 'Amount ↓',
+    'tokens.sort.amount_asc': 'Amount ↑',
+    'tokens.sort.name_asc': 'Name ↑',
+    'tokens.none': 'No tokens.',
+    'tokens.copyId': 'Copy id',
+    'tokens.copied': 'Copied',
+    'tokens.details': 'Details',
+    'tokens.capNotice': 'Showing the first {cap} of {total} (change the filter or sort to see the rest)',
+
+    'modal.details': 'Details',
+    'modal.raw': 'Raw JSON',
+    'modal.structured': 'Structured',
+    'modal.close': 'Close',
+    'modal.closeAria': 'Close details',
+    'modal.tokenTitle': 'Token details',
+    'modal.boxTitle': 'Box details',
+    'modal.txTitle': 'Transaction details',
+
+    'token.id': 'Token ID',
+    'token.name': 'Name',
+    'token.symbol': 'Symbol',
+    'token.decimals': 'Decimals',
+    'token.description': 'Description',
+    'token.overview': 'Token',
+    'token.supply': 'Supply',
+    'token.emission': 'Emitted',
+    'token.circulating': 'Circulating (unspent boxes)',
+    'token.burned': 'Burned',
+    'token.unspentBoxes': 'Unspent boxes',
+    'token.partial': 'Partial: read {fetched} of {total} pages of holder boxes',
+    'token.walletHolds': 'This wallet holds',
+    'token.walletShare': 'Share of circulating supply',
+    'token.walletShareEmission': 'Share of emitted supply',
+    'token.shareTitle': 'This wallet holds {percent} of the circulating supply',
+    'token.shareUnknown': 'Share of circulating supply not loaded yet (open the details)',
+    'token.minting': 'Minting',
+    'token.issuer': 'Issuer address',
+    'token.noMinting': 'Minting box unknown',
+    'token.eip4': 'EIP-4 metadata',
+    'token.noEip4': 'The minting box has no EIP-4 registers',
+    'token.assetType': 'Asset type',
+    'token.contentHash': 'Content hash',
+    'token.link': 'Link',
+    'token.holders': 'Top holders ({shown} of {total})',
+    'token.noHolders': 'No unspent boxes hold this token',
+    'token.boxCount': '{n} box(es)',
+
+    'detail.box': 'Box',
+    'detail.boxId': 'Box ID',
+    'detail.value': 'Value',
+    'detail.address': 'Address',
+    'detail.creationHeight': 'Creation height',
+    'detail.settlementHeight': 'Settlement height',
+    'detail.createdBy': 'Created by',
+    'detail.spentBy': 'Spent by',
+    'detail.status': 'Status',
+    'detail.unspent': 'unspent',
+    'detail.confirmed': 'confirmed',
+    'detail.unconfirmed': 'unconfirmed (mempool)',
+    'detail.assets': 'Assets ({n})',
+    'detail.noTokens': 'No tokens',
+    'detail.registers': 'Registers',
+    'detail.noRegisters': 'No registers',
+    'detail.decoding': 'Decoding…',
+    'detail.decodeFailed': 'decode failed',
+    'detail.undecodable': 'undecodable',
+    'detail.empty': '(empty)',
+    'detail.transaction': 'Transaction',
+    'detail.txId': 'Tx ID',
+    'detail.blockHeight': 'Block height',
+    'detail.confirmations': 'Confirmations',
+    'detail.time': 'Time',
+    'detail.fee': 'Fee',
+    'detail.size': 'Size',
+    'detail.bytes': '{n} bytes',
+    'detail.trackedAddress': 'Tracked address',
+    'detail.trackedTitle': '{inputs} input(s), {outputs} output(s) of {address}',
+    'detail.inputs': 'Inputs ({n})',
+    'detail.outputs': 'Outputs ({n})',
+    'detail.tracked': 'tracked',
+    'detail.fee.badge': 'fee',
+
+    'live.offline': 'offline',
+    'live.connecting': 'connecting',
+    'live.live': 'live',
+    'live.error': 'error',
+
+    'common.add': 'Add',
+    'common.refresh': 'Refresh',
+    'common.remove': 'Remove',
+    'common.loading': 'Loading...',
+    'common.error': 'Error',
+    'common.errorWith': 'Error: {message}',
+    'common.unknown': 'unknown',
+    'common.copyFailed': 'Copy failed',
+
+    'status.ready': 'Ready — enter a testnet address and press Fetch.',
+    'status.enterAddress': 'Please enter an address',
+    'status.fetchFirst': 'Fetch an address first',
+    'status.addressCheckFailed': 'Address check failed: {message}',
+    'status.loading': 'Loading...',
+    'status.loadFailed': 'Failed to load data: {message}',
+    'status.page': 'Page {page} — {total} items',
+    'status.updated': 'Updated — {total} items (showing {shown})',
+    'status.partialSummary': 'Summary is partial — {fetched}/{pages} pages fetched ({ms}ms)',
+    'status.boxesConfirmed': '{n} box(es) confirmed',
+    'status.loadingHistory': 'Loading history...',
+    'status.historyLoaded': 'History — {n} transactions',
+    'status.historyFailed': 'Failed to load history: {message}',
+    'status.loadingPortfolio': 'Loading portfolio...',
+    'status.portfolioUpdated': 'Portfolio updated — {n} addresses',
+    'status.portfolioFailed': 'Failed to load portfolio: {message}',
+    'status.alertsFailed': 'Failed to load alerts: {message}',
+    'status.alertSaved': 'Alert rule saved',
+    'status.alertSaveFailed': 'Failed to save alert: {message}',
+    'status.testDelivered': 'Test delivery succeeded',
+    'status.testFailed': 'Test delivery failed: {message}',
+    'status.balanceChanged': 'Balance changed — {erg} ERG',
+    'status.liveError': 'Live update error: {message}',
+    'status.nothingToExport': 'Nothing to export',
+    'status.nothingToCopy': 'Nothing to copy',
+    'status.jsonCopied': 'Copied JSON to clipboard',
+    'status.imported': '{n} addresses imported',
+    'status.invalidJsonFile': 'Invalid JSON file: {message}',
+
+    'select.title': 'Send preview:',
+    'select.erg': 'ERG to send',
+    'select.tokensPlaceholder': 'tokenId:amount, …',
+    'select.strategy': 'Selection strategy',
+    'select.run': 'Preview',
+    'select.clear': 'Clear',
+    'select.strategyCol': 'Strategy',
+    'select.inputsCol': 'Inputs',
+    'select.changeCol': 'Change',
+    'select.issuesCol': 'Issues',
+    'select.inputs': '{n} boxes — {erg}',
+    'select.noChange': 'none',
+    'select.changeTokens': '{erg} + {n} tokens',
+    'select.ok': 'OK',
+    'select.summary': 'Send {erg}{tokens} + fee {fee} — {boxes} spendable boxes',
+    'select.excluded': ', {n} already spent by pending txs',
+    'select.onPage': '{n} of {total} selected boxes are on this page',
+    'select.invalidAmount': 'Invalid amount: {value}',
+    'select.nothing': 'Enter an ERG amount or tokens to send',
+    'select.failed': 'Send preview failed: {message}',
+    'strategy.largest-first': 'Largest first',
+    'strategy.smallest-first': 'Smallest first',
+    'strategy.min-inputs': 'Fewest inputs',
+    'strategy.consolidate-dust': 'Consolidate dust',
+    'selectIssue.INSUFFICIENT_ERG': 'not enough ERG (missing {erg})',
+    'selectIssue.INSUFFICIENT_TOKEN': 'not enough {token} (missing {amount})',
+    'selectIssue.CHANGE_BELOW_MIN_BOX_VALUE': 'change {erg} is below the minimum box value {min}',
+    'selectIssue.OUTPUT_BELOW_MIN_BOX_VALUE': 'the amount is below the minimum box value {min}',
+    'selectIssue.CHANGE_TOO_MANY_TOKENS': 'change holds {n} tokens and must be split over several boxes',
+    'selectIssue.FEE_BELOW_RECOMMENDED': 'fee is below the recommended {erg}',
+    'selectIssue.PARTIAL_BOX_LIST': 'only part of the boxes could be read',
+    'selectIssue.MEMPOOL_UNKNOWN': 'mempool unknown; boxes a pending tx spends may be selected',
+    'selectIssue.MEMPOOL_PARTIAL': 'mempool only partly known; boxes a pending tx spends may be selected',
+    'selectIssue.HEIGHT_UNKNOWN': 'block height unknown; box ages are left out',
+    'dust.thresholdPlaceholder': 'ERG threshold (optional)',
+    'dust.run': 'Analyze',
+    'dust.export': 'Export',
+    'dust.failed': 'Dust analysis failed: {message}',
+    'dust.summary': '{boxes} unspent boxes, {erg} — block height {height}',
+    'dust.flagged': 'Near the minimum box value: {near} · holding only a dust token: {token} · storage rent due: {rent}',
+    'dust.nothingToMerge': 'Fewer than two flagged boxes — nothing to consolidate',
+    'dust.plan': 'Merging {n} flagged boxes: {txs} txs, fee {fee}, leaves {result} in one box ({after} boxes afterwards)',
+    'dust.worthIt': 'Worth sweeping: the fee is below the ERG it frees up',
+    'dust.notWorthIt': 'Not worth sweeping yet',
+    'dust.issue.RESULT_BELOW_MIN_BOX_VALUE': 'the merged box would be below the minimum box value; add a larger input',
+    'dust.issue.TOO_MANY_TOKENS': 'the flagged boxes hold {n} tokens, more than one box can carry',
+    'dust.valueCol': 'Value',
+    'dust.ageCol': 'Age (blocks)',
+    'dust.boxesCol': 'Boxes',
+    'dust.ergCol': 'ERG',
+    'dust.flaggedCol': 'Flagged',
+    'dust.flagsCol': 'Flags',
+    'dust.more': '… and {n} more flagged boxes (see the export)',
+    'dustFlag.near-min-value': 'near min value',
+    'dustFlag.dust-token-only': 'dust token only',
+    'dustFlag.storage-rent': 'storage rent',
+    'snapshots.namePlaceholder': 'Snapshot name (e.g. before contract test)',
+    'snapshots.save': 'Save snapshot',
+    'snapshots.from': 'Compare from',
+    'snapshots.to': 'Compare to',
+    'snapshots.compare': 'Compare',
+    'snapshots.arrow': '→',
+    'snapshots.name': 'Name',
+    'snapshots.createdAt': 'Taken',
+    'snapshots.erg': 'ERG',
+    'snapshots.boxes': 'Boxes',
+    'snapshots.none': 'No snapshots of this address yet',
+    'snapshots.live': 'Live state',
+    'snapshots.vsLive': 'Diff vs live',
+    'snapshots.nameRequired': 'Enter a name for the snapshot',
+    'snapshots.saved': 'Snapshot "{name}" saved',
+    'snapshots.failed': 'Snapshot request failed: {message}',
+    'snapshots.diffFailed': 'Diff failed: {message}',
+    'diff.title': '{from} → {to}',
+    'diff.erg': 'ERG: {before} → {after} ({delta})',
+    'diff.token': 'Token',
+    'diff.before': 'Before',
+    'diff.after': 'After',
+    'diff.delta': 'Change',
+    'diff.noTokenChanges': 'No token amounts changed',
+    'diff.added': 'Boxes added: {n}',
+    'diff.spent': 'Boxes spent: {n}',
+    'diff.unchanged': '{n} boxes unchanged',
+
+    'address.INVALID_ADDRESS': 'Invalid address ({reason})',
+    'address.WRONG_NETWORK': 'This address belongs to {network}; only {expected} addresses are supported',
+
+    'apiError.INVALID_ADDRESS': 'Invalid address',
+    'apiError.WRONG_NETWORK': 'This address is for another network',
+    'apiError.NOT_FOUND': 'Not found',
+    'apiError.RATE_LIMITED': 'Too many requests; wait a moment',
+    'apiError.UPSTREAM_RATE_LIMITED': 'The explorer is rate limiting requests',
+    'apiError.UPSTREAM_ERROR': 'The explorer returned an error',
+    'apiError.UPSTREAM_MALFORMED': 'The explorer sent an invalid response',
+    'apiError.UPSTREAM_UNREACHABLE': 'The explorer is unreachable',
+    'apiError.UPSTREAM_TIMEOUT': 'The explorer did not answer in time',
+    'apiError.INTERNAL': 'Internal server error',
+    'apiError.retryHint': ' — try again',
+    'apiError.ref': ' [ref {id}]'
+  },
+
+  fa: {
+    'app.tagline': 'آموزشی — بدون کلید خصوصی',
+    'app.language': 'زبان',
+    'app.footer': 'Mini Ergo Wallet Tracker — نسخه آموزشی',
+    'app.sourceNote': 'نکته: داده‌ها از Explorer (یا نود) تنظیم‌شده در بک‌اند گرفته می‌شوند.',
+
+    'form.addressPlaceholder': 'آدرس کیف پول تست‌نت (مثلاً با 9 یا 3 شروع می‌شود) یا شناسه تراکنش',
+    'form.fetch': 'دریافت UTXOها',
+
+    'controls.filterToken': 'فیلتر توکن:',
+    'controls.filterTokenPlaceholder': 'tokenId یا بخشی از آن',
+    'controls.minValue': 'حداقل (nanoERG):',
+    'controls.minValuePlaceholder': 'مثلاً 1000000',
+    'controls.sort': 'مرتب‌سازی:',
+    'controls.status': 'وضعیت:',
+    'controls.live': 'به‌روزرسانی زنده:',
+    'controls.export': 'خروجی',
+    'controls.exportTitle': 'کل تاریخچه آدرس با فیلترهای فعلی دانلود می‌شود',
+    'controls.exportKind': 'نوع خروجی',
+    'controls.exportFrom': 'از تاریخ',
+    'controls.exportTo': 'تا تاریخ',
+    'exportKind.boxes': 'باکس‌ها',
+    'exportKind.transactions': 'تراکنش‌ها',
+    'exportKind.ledger': 'دفتر حساب',
+    'exportKind.dust': 'تحلیل ریزباکس‌ها',
+    'controls.copyJson': 'کپی JSON',
+    'sort.value_desc': 'مقدار ↓',
+    'sort.value_asc': 'مقدار ↑',
+    'sort.height_desc': 'ارتفاع ↓',
+    'sort.height_asc': 'ارتفاع ↑',
+    'boxStatus.unspent': 'خرج‌نشده',
+    'boxStatus.spent': 'خرج‌شده',
+    'boxStatus.all': 'همه (تاریخچه)',
+
+    'tabs.utxos': 'UTXOها',
+    'tabs.history': 'تاریخچه تراکنش‌ها',
+    'tabs.portfolio': 'پورتفولیو',
+    'tabs.alerts': 'هشدارها',
+    'tabs.dust': 'ریزباکس‌ها',
+    'tabs.snapshots': 'اسنپ‌شات‌ها',
+
+    'utxo.boxId': 'شناسه باکس',
+    'utxo.value': 'مقدار (ERG)',
+    'utxo.tokens': 'توکن‌ها',
+    'utxo.height': 'ارتفاع ایجاد',
+    'utxo.spentTx': 'تراکنش خرج',
+    'utxo.unconfirmed': 'تأییدنشده',
+    'utxo.pendingTx': 'تراکنش در انتظار {id}',
+    'utxo.spending': 'در حال خرج… {id}',
+    'utxo.unconfirmedTx': 'تراکنش تأییدنشده {id}',
+
+    'pager.showing': 'نمایش',
+    'pager.of': 'از',
+    'pager.utxos': 'UTXO',
+    'pager.prev': 'قبلی',
+    'pager.next': 'بعدی',
+    'pager.page': 'صفحه {page} از {pages}',
+
+    'history.transactions': 'تراکنش',
+    'history.more': 'بیشتر',
+    'history.empty': 'تراکنشی یافت نشد.',
+    'history.in': 'ورودی',
+    'history.out': 'خروجی',
+    'history.self': 'داخلی',
+    'history.whenTitle': 'ارتفاع {height} — {confirmations} تأیید',
+
+    'watch.labelPlaceholder': 'برچسب (مثلاً treasury)',
+    'watch.addressPlaceholder': 'آدرس تست‌نت',
+    'watch.addCurrent': 'افزودن آدرس فعلی',
+    'watch.export': 'خروجی JSON',
+    'watch.import': 'ورود JSON',
+    'portfolio.label': 'برچسب',
+    'portfolio.address': 'آدرس',
+    'portfolio.erg': 'ERG',
+    'portfolio.tokens': 'توکن‌ها',
+    'portfolio.lastChange': 'آخرین تغییر',
+    'portfolio.empty': 'لیست پیگیری خالی است.',
+    'portfolio.partial': '(ناقص)',
+    'portfolio.combined': 'مجموع: {erg} ERG — {tokens} توکن — {utxos} UTXO{partial}',
+
+    'alerts.addressPlaceholder': 'آدرس تست‌نت (خالی = آدرس فعلی)',
+    'alerts.webhookPlaceholder': 'Webhook URL (اختیاری)',
+    'alerts.labelPlaceholder': 'برچسب',
+    'alerts.rule': 'قانون',
+    'alerts.address': 'آدرس',
+    'alerts.lastCheck': 'آخرین بررسی',
+    'alerts.lastDelivery': 'آخرین ارسال',
+    'alerts.none': 'هیچ قانون هشداری تعریف نشده است.',
+    'alerts.webhook': 'وب‌هوک: {url}',
+    'alerts.defaultWebhook': 'وب‌هوک پیش‌فرض',
+    'alerts.deliveryOk': 'موفق',
+    'alerts.deliveryFailed': 'ناموفق',
+    'alerts.enable': 'فعال',
+    'alerts.disable': 'غیرفعال',
+    'alerts.test': 'تست',
+    'alertType.erg_below': 'ERG کمتر از',
+    'alertType.erg_above': 'ERG بیشتر از',
+    'alertType.token_received': 'دریافت هر توکن',
+    'alertType.token_changed': 'تغییر یک توکن',
+    'alertType.new_box': 'باکس جدید',
+    'alertRule.token_received': 'دریافت هر توکن',
+    'alertRule.token_changed': 'تغییر {token}',
+    'alertRule.new_box': 'باکس جدید',
+
+    'summary.title': 'خلاصه کیف پول',
+    'summary.address': 'آدرس:',
+    'summary.totalErg': 'کل ERG:',
+    'summary.tokens': 'توکن‌ها:',
+    'summary.utxos': 'UTXO ها:',
+    'summary.pending': 'در انتظار تأیید:',
+    'summary.afterConfirm': 'موجودی پس از تأیید:',
+    'summary.pendingTitle': 'nanoERG: {nano} — {count} تراکنش تأییدنشده',
+
+    'chart.title': 'تاریخچه موجودی',
+    'chart.range.7': '۷ روز',
+    'chart.range.30': '۳۰ روز',
+    'chart.range.90': '۹۰ روز',
+    'chart.range.365': '۱ سال',
+    'chart.range.all': 'همه',
+    'chart.ergOnly': 'فقط ERG',
+    'chart.txs': '{n} تراکنش',
+    'chart.downsampled': '{n} نقطه (نمونه‌برداری شده)',
+    'chart.partial': 'ناقص',
+    'chart.failed': 'خطا در دریافت تاریخچه موجودی: {message}',
+    'chart.noChartJs': 'Chart.js بارگذاری نشد',
+
+    'tokens.searchPlaceholder': 'جستجوی توکن...',
+    'tokens.sort.amount_desc': 'مقدار ↓',
+    'tokens.sort.amount_asc': 'مقدار ↑',
+    'tokens.sort.name_asc': 'نام ↑',
+    'tokens.none': 'توکنی وجود ندارد.',
+    'tokens.copyId': 'کپی id',
+    'tokens.copied': 'کپی شد',
+    'tokens.details': 'جزئیات',
+    'tokens.capNotice': 'نمایش {cap} آیتم اول از {total} (برای نمایش بقیه تغییر فیلتر یا مرتب‌سازی را امتحان کنید)',
+
+    'modal.details': 'جزئیات',
+    'modal.raw': 'JSON خام',
+    'modal.structured': 'نمای ساختاریافته',
+    'modal.close': 'بستن',
+    'modal.closeAria': 'بستن جزئیات',
+    'modal.tokenTitle': 'جزئیات توکن',
+    'modal.boxTitle': 'جزئیات باکس',
+    'modal.txTitle': 'جزئیات تراکنش',
+
+    'token.id': 'شناسه توکن',
+    'token.name': 'نام',
+    'token.symbol': 'نماد',
+    'token.decimals': 'اعشار',
+    'token.description': 'توضیحات',
+    'token.overview': 'توکن',
+    'token.supply': 'عرضه',
+    'token.emission': 'منتشرشده',
+    'token.circulating': 'در گردش (باکس‌های خرج‌نشده)',
+    'token.burned': 'سوزانده‌شده',
+    'token.unspentBoxes': 'باکس‌های خرج‌نشده',
+    'token.partial': 'ناقص: {fetched} از {total} صفحه باکس‌های دارندگان خوانده شد',
+    'token.walletHolds': 'موجودی این کیف پول',
+    'token.walletShare': 'سهم از عرضه در گردش',
+    'token.walletShareEmission': 'سهم از عرضه منتشرشده',
+    'token.shareTitle': 'این کیف پول {percent} از عرضه در گردش را دارد',
+    'token.shareUnknown': 'سهم از عرضه در گردش هنوز بارگذاری نشده (جزئیات را باز کنید)',
+    'token.minting': 'ضرب توکن',
+    'token.issuer': 'آدرس صادرکننده',
+    'token.noMinting': 'باکس ضرب توکن نامشخص است',
+    'token.eip4': 'متادیتای EIP-4',
+    'token.noEip4': 'باکس ضرب توکن رجیسترهای EIP-4 ندارد',
+    'token.assetType': 'نوع دارایی',
+    'token.contentHash': 'هش محتوا',
+    'token.link': 'لینک',
+    'token.holders': 'بزرگ‌ترین دارندگان ({shown} از {total})',
+    'token.noHolders': 'هیچ باکس خرج‌نشده‌ای این توکن را ندارد',
+    'token.boxCount': '{n} باکس',
+
+    'detail.box': 'باکس',
+    'detail.boxId': 'شناسه باکس',
+    'detail.value': 'مقدار',
+    'detail.address': 'آدرس',
+    'detail.creationHeight': 'ارتفاع ایجاد',
+    'detail.settlementHeight': 'ارتفاع ثبت',
+    'detail.createdBy': 'ایجادشده در',
+    'detail.spentBy': 'خرج‌شده در',
+    'detail.status': 'وضعیت',
+    'detail.unspent': 'خرج‌نشده',
+    'detail.confirmed': 'تأییدشده',
+    'detail.unconfirmed': 'تأییدنشده (mempool)',
+    'detail.assets': 'دارایی‌ها ({n})',
+    'detail.noTokens': 'بدون توکن',
+    'detail.registers': 'رجیسترها',
+    'detail.noRegisters': 'بدون رجیستر',
+    'detail.decoding': 'در حال رمزگشایی…',
+    'detail.decodeFailed': 'رمزگشایی ناموفق بود',
+    'detail.undecodable': 'غیرقابل رمزگشایی',
+    'detail.empty': '(خالی)',
+    'detail.transaction': 'تراکنش',
+    'detail.txId': 'شناسه تراکنش',
+    'detail.blockHeight': 'ارتفاع بلاک',
+    'detail.confirmations': 'تأییدها',
+    'detail.time': 'زمان',
+    'detail.fee': 'کارمزد',
+    'detail.size': 'اندازه',
+    'detail.bytes': '{n} بایت',
+    'detail.trackedAddress': 'آدرس پیگیری‌شده',
+    'detail.trackedTitle': '{inputs} ورودی و {outputs} خروجی از {address}',
+    'detail.inputs': 'ورودی‌ها ({n})',
+    'detail.outputs': 'خروجی‌ها ({n})',
+    'detail.tracked': 'پیگیری‌شده',
+    'detail.fee.badge': 'کارمزد',
+
+    'live.offline': 'آفلاین',
+    'live.connecting': 'در حال اتصال',
+    'live.live': 'زنده',
+    'live.error': 'خطا',
+
+    'common.add': 'افزودن',
+    'common.refresh': 'به‌روزرسانی',
+    'common.remove': 'حذف',
+    'common.loading': 'در حال بارگذاری...',
+    'common.error': 'خطا',
+    'common.errorWith': 'خطا: {message}',
+    'common.unknown': 'نامشخص',
+    'common.copyFailed': 'کپی ناموفق بود',
+
+    'status.ready': 'آماده — آدرس تست‌نت را وارد کنید و «دریافت» را بزنید.',
+    'status.enterAddress': 'لطفاً آدرس را وارد کنید',
+    'status.fetchFirst': 'ابتدا یک آدرس را دریافت کنید',
+    'status.addressCheckFailed': 'بررسی آدرس ناموفق بود: {message}',
+    'status.loading': 'در حال بارگذاری...',
+    'status.loadFailed': 'خطا در دریافت داده‌ها: {message}',
+    'status.page': 'صفحه {page} — {total} مورد',
+    'status.updated': 'به‌روزرسانی انجام شد — {total} مورد (نمایش {shown})',
+    'status.partialSummary': 'خلاصه ناقص است — {fetched}/{pages} صفحه دریافت شد ({ms}ms)',
+    'status.boxesConfirmed': '{n} باکس تأیید شد',
+    'status.loadingHistory': 'در حال بارگذاری تاریخچه...',
+    'status.historyLoaded': 'تاریخچه — {n} تراکنش',
+    'status.historyFailed': 'خطا در دریافت تاریخچه: {message}',
+    'status.loadingPortfolio': 'در حال بارگذاری پورتفولیو...',
+    'status.portfolioUpdated': 'پورتفولیو به‌روزرسانی شد — {n} آدرس',
+    'status.portfolioFailed': 'خطا در دریافت پورتفولیو: {message}',
+    'status.alertsFailed': 'خطا در دریافت هشدارها: {message}',
+    'status.alertSaved': 'قانون هشدار ذخیره شد',
+    'status.alertSaveFailed': 'خطا در ذخیره هشدار: {message}',
+    'status.testDelivered': 'ارسال آزمایشی موفق بود',
+    'status.testFailed': 'ارسال آزمایشی ناموفق: {message}',
+    'status.balanceChanged': 'موجودی تغییر کرد — {erg} ERG',
+    'status.liveError': 'خطای به‌روزرسانی زنده: {message}',
+    'status.nothingToExport': 'هیچ داده‌ای برای صادرات نیست',
+    'status.nothingToCopy': 'هیچ داده‌ای برای کپی نیست',
+    'status.jsonCopied': 'JSON در کلیپ‌بورد کپی شد',
+    'status.imported': '{n} آدرس وارد شد',
+    'status.invalidJsonFile': 'فایل JSON نامعتبر است: {message}',
+
+    'select.title': 'پیش‌نمایش ارسال:',
+    'select.erg': 'مقدار ERG برای ارسال',
+    'select.tokensPlaceholder': 'tokenId:مقدار، …',
+    'select.strategy': 'روش انتخاب',
+    'select.run': 'پیش‌نمایش',
+    'select.clear': 'پاک کردن',
+    'select.strategyCol': 'روش',
+    'select.inputsCol': 'ورودی‌ها',
+    'select.changeCol': 'باقی‌مانده',
+    'select.issuesCol': 'مشکلات',
+    'select.inputs': '{n} باکس — {erg}',
+    'select.noChange': 'ندارد',
+    'select.changeTokens': '{erg} + {n} توکن',
+    'select.ok': 'بدون مشکل',
+    'select.summary': 'ارسال {erg}{tokens} + کارمزد {fee} — {boxes} باکس قابل خرج',
+    'select.excluded': '، {n} باکس در حال خرج توسط تراکنش‌های تأییدنشده',
+    'select.onPage': '{n} از {total} باکس انتخاب‌شده در این صفحه است',
+    'select.invalidAmount': 'مقدار نامعتبر: {value}',
+    'select.nothing': 'مقدار ERG یا توکن برای ارسال وارد کنید',
+    'select.failed': 'پیش‌نمایش ارسال ناموفق بود: {message}',
+    'strategy.largest-first': 'بزرگ‌ترین اول',
+    'strategy.smallest-first': 'کوچک‌ترین اول',
+    'strategy.min-inputs': 'کمترین ورودی',
+    'strategy.consolidate-dust': 'تجمیع ریزها',
+    'selectIssue.INSUFFICIENT_ERG': 'ERG کافی نیست ({erg} کم است)',
+    'selectIssue.INSUFFICIENT_TOKEN': '{token} کافی نیست ({amount} کم است)',
+    'selectIssue.CHANGE_BELOW_MIN_BOX_VALUE': 'باقی‌مانده {erg} از حداقل ارزش باکس {min} کمتر است',
+    'selectIssue.OUTPUT_BELOW_MIN_BOX_VALUE': 'مقدار ارسالی از حداقل ارزش باکس {min} کمتر است',
+    'selectIssue.CHANGE_TOO_MANY_TOKENS': 'باقی‌مانده {n} توکن دارد و باید در چند باکس تقسیم شود',
+    'selectIssue.FEE_BELOW_RECOMMENDED': 'کارمزد از مقدار پیشنهادی {erg} کمتر است',
+    'selectIssue.PARTIAL_BOX_LIST': 'فقط بخشی از باکس‌ها خوانده شد',
+    'selectIssue.MEMPOOL_UNKNOWN': 'ممپول نامشخص است؛ ممکن است باکس‌های در حال خرج انتخاب شوند',
+    'selectIssue.MEMPOOL_PARTIAL': 'ممپول فقط تا حدی مشخص است؛ ممکن است باکس‌های در حال خرج انتخاب شوند',
+    'selectIssue.HEIGHT_UNKNOWN': 'ارتفاع بلاک نامشخص است؛ سن باکس‌ها نمایش داده نمی‌شود',
+    'dust.thresholdPlaceholder': 'آستانه ERG (اختیاری)',
+    'dust.run': 'تحلیل',
+    'dust.export': 'خروجی',
+    'dust.failed': 'تحلیل ریزباکس‌ها ناموفق بود: {message}',
+    'dust.summary': '{boxes} باکس خرج‌نشده، {erg} — ارتفاع بلاک {height}',
+    'dust.flagged': 'نزدیک حداقل ارزش باکس: {near} · فقط یک توکن ریز: {token} · مشمول اجاره ذخیره‌سازی: {rent}',
+    'dust.nothingToMerge': 'کمتر از دو باکس علامت‌دار — چیزی برای تجمیع نیست',
+    'dust.plan': 'تجمیع {n} باکس علامت‌دار: {txs} تراکنش، کارمزد {fee}، {result} در یک باکس باقی می‌ماند ({after} باکس پس از آن)',
+    'dust.worthIt': 'تجمیع می‌ارزد: کارمزد کمتر از ERG آزادشده است',
+    'dust.notWorthIt': 'هنوز تجمیع نمی‌ارزد',
+    'dust.issue.RESULT_BELOW_MIN_BOX_VALUE': 'باکس حاصل از حداقل ارزش باکس کمتر است؛ یک ورودی بزرگ‌تر اضافه کنید',
+    'dust.issue.TOO_MANY_TOKENS': 'باکس‌های علامت‌دار {n} توکن دارند، بیش از ظرفیت یک باکس',
+    'dust.valueCol': 'ارزش',
+    'dust.ageCol': 'سن (بلاک)',
+    'dust.boxesCol': 'باکس‌ها',
+    'dust.ergCol': 'ERG',
+    'dust.flaggedCol': 'علامت‌دار',
+    'dust.flagsCol': 'علامت‌ها',
+    'dust.more': '… و {n} باکس علامت‌دار دیگر (در خروجی)',
+    'dustFlag.near-min-value': 'نزدیک حداقل ارزش',
+    'dustFlag.dust-token-only': 'فقط توکن ریز',
+    'dustFlag.storage-rent': 'اجاره ذخیره‌سازی',
+    'snapshots.namePlaceholder': 'نام اسنپ‌شات (مثلاً قبل از تست)',
+    'snapshots.save': 'ذخیره اسنپ‌شات',
+    'snapshots.from': 'مقایسه از',
+    'snapshots.to': 'مقایسه با',
+    'snapshots.compare': 'مقایسه',
+    'snapshots.arrow': '←',
+    'snapshots.name': 'نام',
+    'snapshots.createdAt': 'زمان',
+    'snapshots.erg': 'ERG',
+    'snapshots.boxes': 'باکس‌ها',
+    'snapshots.none': 'هنوز اسنپ‌شاتی از این آدرس نیست',
+    'snapshots.live': 'وضعیت فعلی',
+    'snapshots.vsLive': 'مقایسه با وضعیت فعلی',
+    'snapshots.nameRequired': 'یک نام برای اسنپ‌شات وارد کنید',
+    'snapshots.saved': 'اسنپ‌شات «{name}» ذخیره شد',
+    'snapshots.failed': 'درخواست اسنپ‌شات ناموفق بود: {message}',
+    'snapshots.diffFailed': 'مقایسه ناموفق بود: {message}',
+    'diff.title': '{from} ← {to}',
+    'diff.erg': 'ERG: {before} ← {after} ({delta})',
+    'diff.token': 'توکن',
+    'diff.before': 'قبل',
+    'diff.after': 'بعد',
+    'diff.delta': 'تغییر',
+    'diff.noTokenChanges': 'مقدار هیچ توکنی تغییر نکرده',
+    'diff.added': 'باکس‌های اضافه‌شده: {n}',
+    'diff.spent': 'باکس‌های خرج‌شده: {n}',
+    'diff.unchanged': '{n} باکس بدون تغییر',
+
+    'address.INVALID_ADDRESS': 'آدرس نامعتبر است ({reason})',
+    'address.WRONG_NETWORK': 'این آدرس متعلق به {network} است؛ فقط آدرس‌های {expected} پشتیبانی می‌شوند',
+
+    'apiError.INVALID_ADDRESS': 'آدرس نامعتبر است',
+    'apiError.WRONG_NETWORK': 'این آدرس متعلق به شبکه دیگری است',
+    'apiError.NOT_FOUND': 'پیدا نشد',
+    'apiError.RATE_LIMITED': 'درخواست‌ها زیاد است؛ کمی صبر کنید',
+    'apiError.UPSTREAM_RATE_LIMITED': 'Explorer درخواست‌ها را محدود کرده است',
+    'apiError.UPSTREAM_ERROR': 'Explorer خطا داد',
+    'apiError.UPSTREAM_MALFORMED': 'پاسخ Explorer نامعتبر بود',
+    'apiError.UPSTREAM_UNREACHABLE': 'Explorer در دسترس نیست',
+    'apiError.UPSTREAM_TIMEOUT': 'Explorer دیر پاسخ داد',
+    'apiError.INTERNAL': 'خطای داخلی سرور',
+    'apiError.retryHint': ' — دوباره تلاش کنید',
+    'apiError.ref': ' [ref {id}]'
+  }
+};
+
+function storedLang() {
+  try { return localStorage.getItem(LANG_KEY); } catch { return null; }
+}
+
+// saved choice, else the browser language when we have it, else Persian (the original UI language)
+function detectLang() {
+  const saved = storedLang();
+  if (saved && LANGUAGES[saved]) return saved;
+  const browser = String((navigator.languages && navigator.languages[0]) || navigator.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES[browser] ? browser : DEFAULT_LANG;
+}
+
+let currentLang = detectLang();
+
+function getLang() { return currentLang; }
+function currentLocale() { return LANGUAGES[currentLang].locale; }
+
+function hasMessage(key) {
+  return key in MESSAGES[currentLang] || key in MESSAGES.en;
+}
+
+function t(key, vars = {}) {
+  const template = MESSAGES[currentLang][key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+}
+
+// ---------- formatting ----------
+function formatNumber(n, opts = {}) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return String(n);
+  return new Intl.NumberFormat(currentLocale(), opts).format(v);
+}
+
+// an exact decimal string ('-1234.5678') in the current locale, without going through a float
+function formatDecimal(str) {
+  const m = /^(-?)(\d+)(?:\.(\d+))?$/.exec(String(str));
+  if (!m) return String(str);
+  const nf = new Intl.NumberFormat(currentLocale());
+  const digits = new Intl.NumberFormat(currentLocale(), { useGrouping: false });
+  const decimalSep = (nf.formatToParts(1.5).find(p => p.type === 'decimal') || { value: '.' }).value;
+  const whole = nf.format(BigInt(m[2]));
+  const frac = m[3] ? decimalSep + m[3].split('').map(d => digits.format(Number(d))).join('') : '';
+  return `${m[1] ? '-' : ''}${whole}${frac}`;
+}
+
+function formatDateTime(ts) {
+  return new Date(ts).toLocaleString(currentLocale());
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(currentLocale());
+}
+
+// ---------- static markup ----------
+const I18N_ATTRS = [
+  ['data-i18n-placeholder', 'placeholder'],
+  ['data-i18n-title', 'title'],
+  ['data-i18n-aria-label', 'aria-label']
+];
+
+function applyTranslations(root = document) {
+  const html = document.documentElement;
+  html.lang = currentLang;
+  html.dir = LANGUAGES[currentLang].dir;
+  root.querySelectorAll('[data-i18n]').forEach(node => { node.textContent = t(node.getAttribute('data-i18n')); });
+  I18N_ATTRS.forEach(([dataAttr, attr]) => {
+    root.querySelectorAll(`[${dataAttr}]`).forEach(node => node.setAttribute(attr, t(node.getAttribute(dataAttr))));
+  });
+}
+
+function setLang(lang) {
+  if (!LANGUAGES[lang] || lang === currentLang) return;
+  currentLang = lang;
+  try { localStorage.setItem(LANG_KEY, lang); } catch { /* private mode: not persisted */ }
+  applyTranslations();
+  window.dispatchEvent(new CustomEvent('localechange', { detail: { lang } }));
+}